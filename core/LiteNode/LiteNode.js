@@ -1,11 +1,18 @@
 // Built-in modules
 import http from "node:http"
-import { writeFile } from "node:fs/promises"
+import { mkdir, writeFile } from "node:fs/promises"
+import { dirname, resolve } from "node:path"
+import { pathToFileURL } from "node:url"
 
 // Internal classes
 import { RouteNode } from "./RouteNode.js"
 import { StaticAssetLoader } from "./StaticAssetLoader.js"
 import { STE } from "../STE/ste.js"
+import { SafeString } from "../STE/evaluator/utils/SafeString.js"
+import { TemplateError } from "../STE/TemplateError.js"
+import { TemplateCompiler } from "../STE/TemplateCompiler.js"
+import { TemplateLinter } from "../STE/TemplateLinter.js"
+import { FrontmatterError } from "../SMP/FrontmatterError.js"
 
 // Internal Router functions
 import { printNode } from "./methods/printNode.js"
@@ -22,6 +29,7 @@ import { bodyParser } from "../utils/bodyParser.js"
 import { checkForUpdate } from "../utils/updateChecker.js"
 import { loadEnv, getEnv } from "../utils/envLoader.js"
 import { cookieParser, createSignedCookies } from "../utils/cookieManager.js"
+import { I18n } from "../utils/i18n.js"
 
 export class LiteNode {
     #rootNode
@@ -35,6 +43,8 @@ export class LiteNode {
     #viewsDir
     #staticAssetLoader
     #markdownHandler
+    #templateOptions
+    #i18n
 
     constructor(staticDir = "static", viewsDir = "views") {
         // If staticDir is provided but viewsDir isn't, use default views
@@ -52,6 +62,7 @@ export class LiteNode {
         this.#notFoundHandler = null // Handler for 404 errors
         this.#errorHandler = null // Handler for general errors
         this.#middlewareStack = [] // Stack of middleware functions
+        this.#templateOptions = {} // Options passed to the template engine
 
         // Bind handleRequest method to LiteNode instance
         this.#handleRequest = (nativeReq, nativeRes) => {
@@ -63,7 +74,9 @@ export class LiteNode {
                     this.#errorHandler,
                     nativeReq,
                     nativeRes,
-                    this.#viewsDir
+                    this.#viewsDir,
+                    this.#templateOptions,
+                    this.#markdownHandler
                 )
             } catch (error) {
                 console.error(`Error handling request: ${error.message}`)
@@ -192,10 +205,131 @@ export class LiteNode {
         return this
     }
 
+    /**
+     * Sets the options of the template engine used by res.render and renderToFile
+     * @param {Object} options - Template options, merged with the current ones
+     * @param {boolean} [options.autoescape=true] - HTML-escape the output of {{ expressions }}
+     * @param {boolean} [options.production] - Use cached templates without checking their files for changes,
+     * and don't watch markdown files in startServer
+     * @param {string|Function} [options.callPolicy="all"] - Which functions and methods templates may call
+     * @param {boolean} [options.trimBlocks=false] - Remove the whitespace around block tags
+     * @param {boolean} [options.stream=false] - Stream res.render output to the response as it is rendered
+     * @param {Object} [options.limits] - Resource limits of each render (maxIncludeDepth, maxCallDepth, maxIterations,
+     * maxOutputSize, timeout)
+     * @param {Array<string>} [options.extensions] - Extensions of the template files, .html, .xml, .txt and .svg by default
+     * @param {string} [options.markdownLayout] - The layout of markdown views without a `layout` frontmatter key
+     * @returns {LiteNode} The LiteNode instance for chaining
+     */
+    setTemplateOptions(options = {}) {
+        this.#templateOptions = { ...this.#templateOptions, ...options }
+        return this
+    }
+
+    /**
+     * Adds a custom template filter, available to res.render and renderToFile
+     * @param {string} name - The filter name, as used after | in templates
+     * @param {Function} filter - The filter function (value, ...args), may be async
+     * @returns {LiteNode} The LiteNode instance for chaining
+     * @throws {Error} If the name isn't an identifier or the filter isn't a function
+     */
+    addFilter(name, filter) {
+        STE.validateFilter(name, filter)
+        const filters = { ...this.#templateOptions.filters, [name]: filter }
+        this.#templateOptions = { ...this.#templateOptions, filters }
+        return this
+    }
+
+    /**
+     * Adds a global value or function, available to every template rendered by res.render and renderToFile
+     * @param {string} name - The variable name
+     * @param {*} value - The value, functions can be called from templates
+     * @returns {LiteNode} The LiteNode instance for chaining
+     * @throws {Error} If the name isn't an identifier
+     */
+    addGlobal(name, value) {
+        STE.validateGlobal(name)
+        const globals = { ...this.#templateOptions.globals, [name]: value }
+        this.#templateOptions = { ...this.#templateOptions, globals }
+        return this
+    }
+
+    /**
+     * Removes parsed templates from the template cache
+     * @param {string} [template] - The template to remove, all templates are removed when omitted
+     * @returns {Promise<void>}
+     */
+    async clearTemplateCache(template) {
+        const templateEngine = new STE(this.#viewsDir, this.#templateOptions)
+        if (template) {
+            await templateEngine.removeFromCache(template)
+        } else {
+            templateEngine.clearCache()
+        }
+    }
+
+    /**
+     * Compiles the templates of the views directory into a JavaScript module,
+     * to deploy them without reading and parsing template files at runtime
+     * @param {string} outputPath - The path of the generated module (e.g. "dist/templates.js")
+     * @returns {Promise<void>}
+     */
+    async precompileTemplates(outputPath) {
+        const { trimBlocks, extensions } = this.#templateOptions
+        const source = await TemplateCompiler.compile(this.#viewsDir, { trimBlocks, extensions })
+        await mkdir(dirname(outputPath), { recursive: true })
+        await writeFile(outputPath, source, "utf-8")
+    }
+
+    /**
+     * Loads precompiled templates, used by res.render and renderToFile instead of the template files
+     * @param {string|Object} compiled - The path of a module generated by precompileTemplates, or the imported module
+     * @returns {Promise<number>} The number of loaded templates
+     */
+    async usePrecompiledTemplates(compiled) {
+        const module = typeof compiled === "string" ? await import(pathToFileURL(resolve(compiled)).href) : compiled
+        return await TemplateCompiler.load(this.#viewsDir, module)
+    }
+
+    /**
+     * Checks the templates of the views directory without rendering them, for syntax errors, unknown filters,
+     * missing includes, undefined html_ references and unused #set variables
+     * @param {Object} [options] - Lint options
+     * @param {Array<string>} [options.variables] - The variables passed by res.render and renderToFile (e.g. html_content)
+     * @returns {Promise<Array<Object>>} The diagnostics ({ template, line, column, severity, rule, message })
+     */
+    async lintTemplates(options = {}) {
+        return await TemplateLinter.lint(this.#viewsDir, {
+            filters: Object.keys(this.#templateOptions.filters || {}),
+            variables: [...Object.keys(this.#templateOptions.globals || {}), ...(options.variables || [])],
+            trimBlocks: this.#templateOptions.trimBlocks,
+            extensions: this.#templateOptions.extensions,
+        })
+    }
+
+    /**
+     * Renders a template given as a string, with includes resolved against the views directory
+     * @param {string} source - The template source (e.g. from a database or an email body)
+     * @param {Object} data - The data object containing values
+     * @param {Object} [options] - Render options
+     * @param {string} [options.name="string"] - The template name shown by error messages, relative includes are resolved from it
+     * @returns {Promise<string>} The rendered template
+     */
+    async renderString(source, data, options = {}) {
+        const templateEngine = new STE(this.#viewsDir, this.#templateOptions)
+        return await templateEngine.renderString(source, data, options)
+    }
+
     async renderToFile(template, data, outputPath) {
         try {
+            // Markdown views are rendered through their layout, as with res.render
+            if (template.endsWith(".md")) {
+                const view = this.#markdownHandler.markdownView(template, data, this.#templateOptions.markdownLayout)
+                template = view.layout
+                data = view.data
+            }
+
             // Render a template to a file
-            const templateEngine = new STE(this.#viewsDir)
+            const templateEngine = new STE(this.#viewsDir, this.#templateOptions)
             const html = await templateEngine.render(template, data)
             await writeFile(outputPath, html, "utf-8")
         } catch (error) {
@@ -203,12 +337,65 @@ export class LiteNode {
         }
     }
 
+    /**
+     * Registers the frontmatter schema of the markdown files of a directory and its subdirectories.
+     * Parsed files are validated by the schema of their closest directory, which fills in the defaults
+     * of missing fields, and invalid files throw a FrontmatterError listing each problem with its file and line.
+     * @param {string} dir - The directory, relative to the views directory
+     * @param {Object|null} fields - The fields by key: a type name ("string", "date", "boolean?" when optional...)
+     * or a definition ({ type, required, default, enum, items, properties, validate }), `null` removes the schema
+     * @param {Object} [options] - Schema options
+     * @param {boolean} [options.strict=false] - Report keys missing from the schema, such as misspelled keys
+     * @returns {LiteNode} The LiteNode instance for chaining
+     */
+    setMarkdownSchema(dir, fields, options = {}) {
+        this.#markdownHandler.setSchema(dir, fields, options)
+        return this
+    }
+
     parseMarkdownFile(filePath) {
         return this.#markdownHandler.parseMarkdownFile(filePath)
     }
 
-    async parseMarkdownFileS(dir) {
-        return this.#markdownHandler.parseMarkdownFileS(dir)
+    /**
+     * Parses all markdown files once, for production: parsed files and directory listings are then served from memory
+     * without checking the files. In development, startServer watches the views directory instead, and parsed files
+     * are otherwise reused while their modification time is unchanged.
+     * @param {string} [dir=""] - The directory to preload, relative to the views directory, defaults to all of it
+     * @returns {Promise<number>} The number of parsed files
+     * @throws {FrontmatterError} If frontmatter can't be parsed or doesn't match its schema, listing all the errors
+     * @example
+     * if (process.env.NODE_ENV === "production") await app.preloadMarkdown()
+     */
+    async preloadMarkdown(dir = "") {
+        return this.#markdownHandler.preload(dir)
+    }
+
+    /**
+     * Parses all markdown files in a directory
+     * @param {string} dir - The directory, relative to the views directory
+     * @param {Object} [options] - Parsing options
+     * @param {string} [options.locale] - Keep one variant of each file for this locale (post.fr.md, post.en.md or post.md)
+     * @param {Array<string>} [options.locales] - The locales of the variants, defaults to the i18n locales
+     * @param {string} [options.defaultLocale] - The variant used when the locale has none, defaults to the i18n default locale
+     * @returns {Promise<Array<Object>>} The parsed files
+     */
+    async parseMarkdownFileS(dir, options = {}) {
+        const i18nOptions = this.#i18n ? { locales: this.#i18n.locales, defaultLocale: this.#i18n.defaultLocale } : {}
+        return this.#markdownHandler.parseMarkdownFileS(dir, { ...i18nOptions, ...options })
+    }
+
+    /**
+     * Starts a query over the markdown files of a content directory, with chainable where, sort, limit, skip,
+     * excludeDrafts and between operations. The files of a directory are parsed once, into an in-memory index
+     * shared by its queries.
+     * @param {string} dir - The directory, relative to the views directory
+     * @returns {ContentCollection} A query of all the files of the directory
+     * @example
+     * const posts = await app.collection("blog").excludeDrafts().sort("date", "desc").paginate(1, 10)
+     */
+    collection(dir) {
+        return this.#markdownHandler.collection(dir)
     }
 
     async extractMarkdownProperties(input, properties) {
@@ -223,6 +410,35 @@ export class LiteNode {
         return this.#markdownHandler.paginateMarkdownFiles(input, page, perPage)
     }
 
+    /**
+     * Sets the function used to highlight fenced code blocks in markdown files
+     * @param {Function|null} highlight - Called with the raw code and its parsed info string ({ language, meta, info })
+     * @returns {LiteNode} The LiteNode instance for chaining
+     */
+    setMarkdownHighlighter(highlight) {
+        this.#markdownHandler.setHighlighter(highlight)
+        return this
+    }
+
+    /**
+     * Registers a custom markdown processor, run at a given stage of the markdown pipeline
+     * @param {Object} processor - The processor definition ({ name, stage, order, ... })
+     * @returns {LiteNode} The LiteNode instance for chaining
+     */
+    addMarkdownProcessor(processor) {
+        this.#markdownHandler.addProcessor(processor)
+        return this
+    }
+
+    /**
+     * Removes a registered markdown processor
+     * @param {string} name - The name of the processor to remove
+     * @returns {boolean} True if a processor was removed
+     */
+    removeMarkdownProcessor(name) {
+        return this.#markdownHandler.removeProcessor(name)
+    }
+
     generateTOC(input) {
         return generateTOC(input)
     }
@@ -244,6 +460,21 @@ export class LiteNode {
         return this
     }
 
+    /**
+     * Enables internationalization: loads the message catalogs, adds the locale detection middleware
+     * and the `t` and `trans` template filters
+     * @param {Object} [options] - I18n options (directory, defaultLocale, locales, cookie, prefix)
+     * @returns {Promise<I18n>} The loaded I18n instance, to translate messages outside templates
+     */
+    async enableI18n(options = {}) {
+        this.#i18n = await new I18n(options).load()
+        this.use(this.#i18n.middleware())
+
+        const translate = this.#i18n.filter()
+        this.addFilter("t", translate).addFilter("trans", translate)
+        return this.#i18n
+    }
+
     /**
      * Creates signed cookie utilities with the provided secret
      * @param {string} secret - The secret to use for signing cookies
@@ -266,6 +497,11 @@ export class LiteNode {
             this.#staticAssetLoader.serveStaticAssets(this)
         }
 
+        // In development, parsed markdown files are kept in memory and updated when their files change
+        if (!(this.#templateOptions.production ?? process.env.NODE_ENV === "production")) {
+            this.#markdownHandler.watch()
+        }
+
         // Read environment PORT variable if available
         const envPort = getEnv("PORT", port)
 
@@ -276,3 +512,5 @@ export class LiteNode {
         })
     }
 }
+
+export { SafeString, TemplateError, I18n, TemplateLinter, FrontmatterError }
@@ -0,0 +1,312 @@
+// Comparison operators of `where`, called with the property value and the operand
+const OPERATORS = {
+	"=": (value, operand) => comparable(value, operand) === comparable(operand, value),
+	"!=": (value, operand) => comparable(value, operand) !== comparable(operand, value),
+	"<": (value, operand) => isSet(value) && comparable(value, operand) < comparable(operand, value),
+	"<=": (value, operand) => isSet(value) && comparable(value, operand) <= comparable(operand, value),
+	">": (value, operand) => isSet(value) && comparable(value, operand) > comparable(operand, value),
+	">=": (value, operand) => isSet(value) && comparable(value, operand) >= comparable(operand, value),
+	in: (value, operand) => operand.some((item) => OPERATORS["="](value, item)),
+	contains: (value, operand) => {
+		if (Array.isArray(value)) return value.some((item) => OPERATORS["="](item, operand))
+		return typeof value === "string" && value.includes(operand)
+	},
+}
+
+/**
+ * A query over the markdown files of a content directory, such as `views/blog`.
+ * Queries are immutable: each operation returns a new query, so that a query can be shared and refined.
+ * They read the parsed files from the in-memory index of the directory, parsed once by the markdown handler,
+ * and return copies of them. Functions given to `where` and `sort` are called with copies too.
+ *
+ * Properties are dotted paths in the frontmatter (`author.name`), as in `extractMarkdownProperties`.
+ *
+ * @example
+ * const posts = app.collection("blog").excludeDrafts().sort("date", "desc")
+ * const latest = await posts.limit(5).all()
+ * const page = await posts.where("tags", "contains", "node").paginate(2, 10)
+ */
+export class ContentCollection {
+	#handler
+	#dir
+	#filters
+	#sorts
+	#offset
+	#limit
+
+	/**
+	 * @param {MarkdownHandler} handler - The markdown handler holding the index of the directory
+	 * @param {string} dir - The content directory, relative to the views directory
+	 * @param {Object} [query] - The operations of the query, set by the query methods
+	 */
+	constructor(handler, dir, query = {}) {
+		this.#handler = handler
+		this.#dir = dir
+		this.#filters = query.filters ?? []
+		this.#sorts = query.sorts ?? []
+		this.#offset = query.offset ?? 0
+		this.#limit = query.limit ?? null
+	}
+
+	/**
+	 * Keeps the files whose property matches a value, or the files accepted by a function.
+	 *
+	 * @param {string|Function} property - The property, or a function called with each parsed file
+	 * @param {string} [operator="="] - One of `=`, `!=`, `<`, `<=`, `>`, `>=`, `in` (the value is an array of allowed
+	 * values) or `contains` (the property is an array or a string containing the value)
+	 * @param {any} value - The value, dates may be compared to date strings (`"2024-05-01"`)
+	 * @returns {ContentCollection} The refined query
+	 * @throws {Error} If the operator is unknown
+	 */
+	where(property, operator, value) {
+		if (typeof property === "function") {
+			return this.#with({ filters: [...this.#filters, (file, copy) => property(copy(file))] })
+		}
+
+		if (arguments.length === 2) {
+			value = operator
+			operator = "="
+		}
+		const test = OPERATORS[operator]
+		if (!test) {
+			const operators = Object.keys(OPERATORS).join(", ")
+			throw new Error(`Unknown collection operator: ${operator}, expected one of: ${operators}`)
+		}
+		if (operator === "in" && !Array.isArray(value)) throw new Error('The "in" collection operator needs an array')
+
+		return this.#with({ filters: [...this.#filters, (file) => test(propertyValue(file, property), value)] })
+	}
+
+	/**
+	 * Leaves out draft files, whose draft property is truthy.
+	 *
+	 * @param {string} [property="draft"] - The property marking drafts
+	 * @returns {ContentCollection} The refined query
+	 */
+	excludeDrafts(property = "draft") {
+		return this.#with({ filters: [...this.#filters, (file) => !propertyValue(file, property)] })
+	}
+
+	/**
+	 * Keeps the files whose date property is between two dates, included.
+	 * Files without a valid date are left out.
+	 *
+	 * @param {string} property - The date property, whose values are dates or date strings
+	 * @param {Date|string|number|null} start - The first date, or null for no lower bound
+	 * @param {Date|string|number|null} [end] - The last date, or null for no upper bound
+	 * @returns {ContentCollection} The refined query
+	 * @throws {Error} If a bound isn't a valid date
+	 */
+	between(property, start, end = null) {
+		const [from, to] = [start, end].map((bound) => {
+			if (bound === null || bound === undefined) return null
+			const time = toTime(bound)
+			if (isNaN(time)) throw new Error(`Invalid date in collection between(): ${bound}`)
+			return time
+		})
+
+		const filter = (file) => {
+			const time = toTime(propertyValue(file, property))
+			return !isNaN(time) && (from === null || time >= from) && (to === null || time <= to)
+		}
+		return this.#with({ filters: [...this.#filters, filter] })
+	}
+
+	/**
+	 * Sorts the files by a property, or with a compare function. Files without the property come last.
+	 * Several sorts apply in order: later sorts order the files that earlier sorts find equal.
+	 *
+	 * @param {string|Function} property - The property, or a function comparing two parsed files
+	 * @param {string} [order="asc"] - "asc" or "desc"
+	 * @returns {ContentCollection} The refined query
+	 * @throws {Error} If the order is invalid
+	 */
+	sort(property, order = "asc") {
+		if (order !== "asc" && order !== "desc") throw new Error(`Invalid sort order: ${order}, expected asc or desc`)
+
+		const compare =
+			typeof property === "function"
+				? (a, b, copy) => property(copy(a), copy(b))
+				: (a, b) => compareValues(propertyValue(a, property), propertyValue(b, property), order === "desc")
+		return this.#with({ sorts: [...this.#sorts, compare] })
+	}
+
+	/**
+	 * Keeps at most a number of files.
+	 *
+	 * @param {number} count - The maximum number of files
+	 * @returns {ContentCollection} The refined query
+	 */
+	limit(count) {
+		return this.#with({ limit: checkCount(count, "limit") })
+	}
+
+	/**
+	 * Skips a number of files, before the limit applies.
+	 *
+	 * @param {number} count - The number of files to skip
+	 * @returns {ContentCollection} The refined query
+	 */
+	skip(count) {
+		return this.#with({ offset: checkCount(count, "skip") })
+	}
+
+	/**
+	 * Parses the files of the directory again, to see changes made since its index was built.
+	 *
+	 * @returns {Promise<ContentCollection>} This query, once the index is rebuilt
+	 */
+	async reload() {
+		this.#handler.clearCollectionIndex(this.#dir)
+		await this.#handler.collectionIndex(this.#dir, () => []) // Rebuilds the index, without copying its files
+		return this
+	}
+
+	/**
+	 * Runs the query.
+	 *
+	 * @returns {Promise<Array<Object>>} The parsed files, as returned by `parseMarkdownFileS`
+	 */
+	async all() {
+		return await this.#handler.collectionIndex(this.#dir, (files) => {
+			// The files of the index are shared, functions of the query get a copy of each file, made once per run
+			const copies = new Map()
+			const copy = (file) => {
+				if (!copies.has(file)) copies.set(file, structuredClone(file))
+				return copies.get(file)
+			}
+
+			const results = files.filter((file) => this.#filters.every((filter) => filter(file, copy)))
+			if (this.#sorts.length) {
+				results.sort((a, b) => {
+					for (const compare of this.#sorts) {
+						const result = compare(a, b, copy)
+						if (result) return result
+					}
+					return 0
+				})
+			}
+			return results.slice(this.#offset, this.#limit === null ? undefined : this.#offset + this.#limit)
+		})
+	}
+
+	/**
+	 * Runs the query and returns its first file.
+	 *
+	 * @returns {Promise<Object|null>} The parsed file, or null if no file matches
+	 */
+	async first() {
+		const [file] = await this.all()
+		return file ?? null
+	}
+
+	/**
+	 * Runs the query and counts its files.
+	 *
+	 * @returns {Promise<number>} The number of files
+	 */
+	async count() {
+		return (await this.all()).length
+	}
+
+	/**
+	 * Runs the query and extracts properties of its files (see `extractMarkdownProperties`).
+	 *
+	 * @param {Array<string>} properties - The properties to extract
+	 * @returns {Promise<Array<Object>>} The extracted properties of each file
+	 */
+	async extract(properties) {
+		return this.#handler.extractMarkdownProperties(await this.all(), properties)
+	}
+
+	/**
+	 * Runs the query and paginates its files (see `paginateMarkdownFiles`).
+	 *
+	 * @param {number} [page=1] - The page number, starting at 1
+	 * @param {number} [perPage=10] - The number of files per page
+	 * @returns {Promise<Object>} The page of files and the pagination metadata
+	 */
+	async paginate(page = 1, perPage = 10) {
+		return this.#handler.paginateMarkdownFiles(await this.all(), page, perPage)
+	}
+
+	/**
+	 * Runs the query and groups its files by a property. A file whose property is an array, such as tags,
+	 * is added to the group of each value, and files without the property or with an empty array are grouped
+	 * under "Undefined".
+	 *
+	 * @param {string} property - The property
+	 * @returns {Promise<Object>} The parsed files by property value, in the order of the query
+	 */
+	async groupBy(property) {
+		const groups = {}
+		for (const file of await this.all()) {
+			const value = propertyValue(file, property)
+			const values = Array.isArray(value) ? value : [value]
+			for (const item of values.length ? values : [undefined]) {
+				let group = "Undefined"
+				if (item instanceof Date) group = item.toISOString()
+				else if (isSet(item) && item !== "") group = String(item)
+
+				if (!groups[group]) groups[group] = []
+				groups[group].push(file)
+			}
+		}
+		return groups
+	}
+
+	/**
+	 * Returns a query with changed operations.
+	 */
+	#with(changes) {
+		return new ContentCollection(this.#handler, this.#dir, {
+			filters: this.#filters,
+			sorts: this.#sorts,
+			offset: this.#offset,
+			limit: this.#limit,
+			...changes,
+		})
+	}
+}
+
+// The value of a dotted frontmatter property of a parsed file
+function propertyValue(file, property) {
+	return property.split(".").reduce((value, key) => value?.[key], file.frontmatter)
+}
+
+function isSet(value) {
+	return value !== undefined && value !== null
+}
+
+// Dates compare by time, with date strings when compared to a date
+function comparable(value, other) {
+	if (value instanceof Date) return value.getTime()
+	if (other instanceof Date && (typeof value === "string" || typeof value === "number")) return new Date(value).getTime()
+	return value
+}
+
+function toTime(value) {
+	if (value instanceof Date) return value.getTime()
+	if (typeof value === "string" || typeof value === "number") return new Date(value).getTime()
+	return NaN
+}
+
+// Compares two property values, missing values last in both orders, after dates compared to invalid date strings
+function compareValues(a, b, descending) {
+	if (!isSet(a) || !isSet(b)) return isSet(a) ? -1 : isSet(b) ? 1 : 0
+
+	const [x, y] = [comparable(a, b), comparable(b, a)]
+	if (Number.isNaN(x) || Number.isNaN(y)) return Number.isNaN(x) ? (Number.isNaN(y) ? 0 : 1) : -1
+	let result
+	if (typeof x === "string" && typeof y === "string") result = x.localeCompare(y)
+	else if (typeof x === typeof y) result = x < y ? -1 : x > y ? 1 : 0
+	else result = String(x).localeCompare(String(y))
+	return descending ? -result : result
+}
+
+function checkCount(count, operation) {
+	if (!Number.isInteger(count) || count < 0) {
+		throw new Error(`Collection ${operation}() needs a non-negative integer, got ${count}`)
+	}
+	return count
+}
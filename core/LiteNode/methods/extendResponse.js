@@ -1,9 +1,13 @@
 import { STE } from "../../STE/ste.js"
+import { TemplateError } from "../../STE/TemplateError.js"
+import { templateErrorPage } from "./templateErrorPage.js"
+import { escapeHtml } from "../../utils/escapeHtml.js"
 import { getContentType } from "../../utils/getContentType.js"
 import { readFileSync } from "node:fs"
+import { extname } from "node:path"
 import { extendResponseWithCookies } from "../../utils/cookieManager.js"
 
-export function extendResponse(nativeRes, viewsDir) {
+export function extendResponse(nativeRes, viewsDir, templateOptions = {}, markdownHandler = null) {
     // Extend response with cookie management methods
     extendResponseWithCookies(nativeRes)
 
@@ -34,15 +38,34 @@ export function extendResponse(nativeRes, viewsDir) {
         }
     }
 
-    nativeRes.render = async (template, data) => {
+    nativeRes.render = async (template, data, options = {}) => {
+        const production = templateOptions.production ?? process.env.NODE_ENV === "production"
+
+        // The locale detected by the i18n middleware is available to templates, unless data sets its own
+        if (nativeRes.locale && !(data && "locale" in data)) data = { ...data, locale: nativeRes.locale }
+
+        // Markdown views are rendered through their layout
+        if (markdownHandler && template.endsWith(".md")) {
+            try {
+                const view = markdownHandler.markdownView(template, data, templateOptions.markdownLayout)
+                template = view.layout
+                data = view.data
+            } catch (error) {
+                return sendRenderError(nativeRes, error, production)
+            }
+        }
+
+        if (options.stream ?? templateOptions.stream) {
+            return await streamTemplate(nativeRes, viewsDir, templateOptions, template, data, production)
+        }
+
         try {
-            const templateEngine = new STE(viewsDir)
+            const templateEngine = new STE(viewsDir, templateOptions)
             const html = await templateEngine.render(template, data)
-            nativeRes.setHeader("Content-Type", "text/html")
+            nativeRes.setHeader("Content-Type", templateContentType(nativeRes, template))
             nativeRes.end(html)
         } catch (error) {
-            nativeRes.writeHead(500)
-            nativeRes.end(`Error rendering template: ${error.message}`)
+            sendRenderError(nativeRes, error, production)
         }
     }
 
@@ -77,3 +100,62 @@ export function extendResponse(nativeRes, viewsDir) {
         }
     }
 }
+
+// Content type of a rendered template: the one set by the route handler, or the one of the template extension
+// (e.g. application/xml for feed.xml), HTML for custom extensions
+function templateContentType(nativeRes, template) {
+    const contentType = getContentType(extname(template))
+    return nativeRes.getHeader("Content-Type") ?? (contentType === "application/octet-stream" ? "text/html" : contentType)
+}
+
+// Sends the response of a failed render, with an error page for template errors in development
+function sendRenderError(nativeRes, error, production) {
+    if (error instanceof TemplateError && !production) {
+        nativeRes.writeHead(500, { "Content-Type": "text/html" })
+        nativeRes.end(templateErrorPage(error))
+        return
+    }
+    nativeRes.writeHead(500)
+    nativeRes.end(`Error rendering template: ${error.message}`)
+}
+
+// Streams a template to the response, writing each chunk as soon as it is rendered
+async function streamTemplate(nativeRes, viewsDir, templateOptions, template, data, production) {
+    const write = (chunk) => {
+        if (nativeRes.destroyed) throw new Error("Response closed before the template was fully rendered")
+        if (!nativeRes.headersSent) {
+            nativeRes.writeHead(nativeRes.statusCode || 200, { "Content-Type": templateContentType(nativeRes, template) })
+        }
+        if (nativeRes.write(chunk)) return
+
+        // Wait for the client to catch up before rendering more
+        return new Promise((resolve) => {
+            const done = () => {
+                nativeRes.off("drain", done)
+                nativeRes.off("close", done)
+                resolve()
+            }
+            nativeRes.on("drain", done)
+            nativeRes.on("close", done)
+        })
+    }
+
+    try {
+        const templateEngine = new STE(viewsDir, templateOptions)
+        await templateEngine.stream(template, data, write)
+        if (!nativeRes.headersSent) {
+            nativeRes.writeHead(nativeRes.statusCode || 200, { "Content-Type": templateContentType(nativeRes, template) })
+        }
+        nativeRes.end()
+    } catch (error) {
+        // Nothing sent yet: the error is reported like a regular render
+        if (!nativeRes.headersSent) return sendRenderError(nativeRes, error, production)
+        if (nativeRes.destroyed) return
+
+        // Part of the page was sent with a 200 status, which can't be changed anymore.
+        // In development the error is appended to the page, in production the response is aborted
+        // so that clients and proxies see an incomplete response instead of a complete page.
+        if (production) return nativeRes.destroy()
+        nativeRes.end(`\n<pre style="color: #b42318">Template rendering failed: ${escapeHtml(error.message)}</pre>\n`)
+    }
+}
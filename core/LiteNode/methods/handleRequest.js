@@ -9,10 +9,12 @@ export async function handleRequest(
 	errorHandler,
 	nativeReq,
 	nativeRes,
-	viewsDir
+	viewsDir,
+	templateOptions,
+	markdownHandler
 ) {
 	try {
-		extendResponse(nativeRes, viewsDir)
+		extendResponse(nativeRes, viewsDir, templateOptions, markdownHandler)
 
 		await applyMiddleware(middlewareStack, nativeReq, nativeRes)
 
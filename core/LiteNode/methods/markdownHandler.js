@@ -1,9 +1,21 @@
 import { readdir, stat } from "node:fs/promises"
-import { join, relative } from "node:path"
+import { statSync, watch } from "node:fs"
+import { join, posix, relative, sep } from "node:path"
 import { SMP } from "../../SMP/smp.js"
+import { FrontmatterSchema } from "../../SMP/FrontmatterSchema.js"
+import { FrontmatterError } from "../../SMP/FrontmatterError.js"
+import { ContentCollection } from "./contentCollection.js"
+import { localeFallbacks } from "../../utils/i18n.js"
+import { generateTOC } from "../../utils/generateTOC.js"
 
 export class MarkdownHandler {
 	#viewsDir
+	#schemas = new Map() // Frontmatter schemas by content directory, relative to the views directory
+	#collectionIndexes = new Map() // Promises of the parsed files of collections and their stamps, by content directory
+	#parsedFiles = new Map() // Parsed files with the modification time and size of their file, by path
+	#fileLists = new Map() // Markdown file paths by directory, kept while watching or preloaded
+	#watcher = null
+	#preloaded = false
 
 	constructor(viewsDir = "views") {
 		this.#viewsDir = viewsDir
@@ -11,31 +23,403 @@ export class MarkdownHandler {
 		this.smp = new SMP(viewsDir)
 	}
 
+	/**
+	 * Sets the function used to highlight code blocks in markdown files.
+	 * @param {Function|null} highlight - The highlighter function, or `null` to restore the default escaped output.
+	 */
+	setHighlighter(highlight) {
+		this.smp.setHighlighter(highlight)
+		this.#clearParsedFiles()
+	}
+
+	/**
+	 * Registers a custom markdown processor.
+	 * @param {Object} processor - The processor definition (see `MarkdownProcessor.addProcessor`).
+	 */
+	addProcessor(processor) {
+		this.smp.addProcessor(processor)
+		this.#clearParsedFiles()
+	}
+
+	/**
+	 * Removes a registered markdown processor.
+	 * @param {string} name - The name of the processor to remove.
+	 * @returns {boolean} - True if a processor was removed, false otherwise.
+	 */
+	removeProcessor(name) {
+		const removed = this.smp.removeProcessor(name)
+		if (removed) this.#clearParsedFiles()
+		return removed
+	}
+
+	/**
+	 * Watches the views directory, so that parsed files and directory listings are kept in memory and only read again
+	 * when the watcher reports a change, instead of checking each file on every parse.
+	 * Without the watcher, a parsed file is reused while its modification time and size are unchanged.
+	 * @returns {boolean} - True if the directory is watched, false if it can't be (e.g. it doesn't exist).
+	 */
+	watch() {
+		if (this.#watcher) return true
+		try {
+			this.#watcher = watch(this.#viewsDir, { recursive: true }, (eventType, filename) => {
+				if (!filename) this.#clearParsedFiles(true)
+				else this.#invalidate(normalizeContentPath(filename.toString()), eventType === "rename")
+			})
+		} catch {
+			return false
+		}
+		// Events may have been missed: files are checked again from now on
+		this.#watcher.on("error", () => this.unwatch())
+		this.#fileLists.clear()
+		this.#collectionIndexes.clear()
+		return true
+	}
+
+	/**
+	 * Stops watching the views directory. Collection indexes are built again, as changes are no longer reported.
+	 */
+	unwatch() {
+		this.#watcher?.close()
+		this.#watcher = null
+		this.#collectionIndexes.clear()
+		if (!this.#preloaded) this.#fileLists.clear()
+	}
+
+	/**
+	 * Parses all markdown files of a directory once, for production: parsed files and directory listings are then
+	 * used without checking the files, until the process restarts.
+	 * @param {string} [dir=""] - The directory, relative to the views directory, defaults to the whole views directory.
+	 * @returns {Promise<number>} - A promise that resolves to the number of parsed files.
+	 * @throws {FrontmatterError} - If frontmatter can't be parsed or doesn't match its schema, listing the errors
+	 * of all files.
+	 */
+	async preload(dir = "") {
+		const preloaded = this.#preloaded
+		this.#preloaded = true
+		try {
+			return (await this.parseMarkdownFileS(dir)).length
+		} catch (error) {
+			this.#preloaded = preloaded
+			throw error
+		}
+	}
+
+	/**
+	 * Whether cached files and listings are used without checking the files: while watching, or once preloaded.
+	 * @private
+	 */
+	get #trusted() {
+		return this.#watcher !== null || this.#preloaded
+	}
+
+	/**
+	 * Drops the cached data of a changed file or directory, and the collection indexes it belongs to.
+	 * @param {string} path - The changed path, relative to the views directory.
+	 * @param {boolean} renamed - Whether the path was created, deleted or renamed, which changes directory listings.
+	 * @private
+	 */
+	#invalidate(path, renamed) {
+		for (const key of this.#parsedFiles.keys()) {
+			if (key === path || key.startsWith(`${path}/`)) this.#parsedFiles.delete(key)
+		}
+		if (renamed) this.#fileLists.clear()
+		if (!renamed && !path.endsWith(".md")) return
+
+		for (const dir of this.#collectionIndexes.keys()) {
+			if (dir === "" || path.startsWith(`${dir}/`) || dir.startsWith(`${path}/`)) this.#collectionIndexes.delete(dir)
+		}
+	}
+
+	/**
+	 * Drops all parsed files and collection indexes, for example when the markdown rendering changes.
+	 * @param {boolean} [fileLists=false] - Whether to drop directory listings too.
+	 * @private
+	 */
+	#clearParsedFiles(fileLists = false) {
+		this.#parsedFiles.clear()
+		this.#collectionIndexes.clear()
+		if (fileLists) this.#fileLists.clear()
+	}
+
+	/**
+	 * Registers the frontmatter schema of the markdown files of a directory and its subdirectories.
+	 * A file is validated by the schema of its closest directory that has one.
+	 * @param {string} dir - The directory, relative to the views directory.
+	 * @param {Object|FrontmatterSchema|null} fields - The fields of the schema (see `FrontmatterSchema`),
+	 * or `null` to remove the schema of the directory.
+	 * @param {Object} [options] - The schema options, such as `strict`.
+	 * @throws {Error} - If a field definition is invalid.
+	 */
+	setSchema(dir, fields, options = {}) {
+		const key = normalizeContentPath(dir)
+		if (fields === null) this.#schemas.delete(key)
+		else this.#schemas.set(key, fields instanceof FrontmatterSchema ? fields : new FrontmatterSchema(fields, options))
+		this.#clearParsedFiles()
+	}
+
 	/**
 	 * Parses a single markdown file and extracts its frontmatter and content.
+	 * The frontmatter is validated by the schema of the directory of the file, if any.
+	 * Parsed files are cached: a file is parsed again when its modification time or size changes,
+	 * or when the watcher reports a change. Each call returns a copy of the cached file, which callers may change.
 	 * @param {string} filePath - The path to the markdown file.
 	 * @returns {Object} - An object containing the parsed frontmatter and content.
+	 * @throws {FrontmatterError} - If the frontmatter can't be parsed or doesn't match its schema.
 	 */
 	parseMarkdownFile(filePath) {
-		return this.smp.parseFrontmatter(filePath)
+		const key = normalizeContentPath(filePath)
+		const cached = this.#parsedFiles.get(key)
+		if (cached && this.#trusted) return structuredClone(cached.parsed)
+
+		let stats = null
+		if (!this.#trusted) {
+			try {
+				stats = statSync(join(this.#viewsDir, key))
+			} catch {
+				// A missing file is reported by the parser
+			}
+			if (cached && stats && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+				return structuredClone(cached.parsed)
+			}
+		}
+
+		const parsed = this.smp.parseFrontmatter(filePath, { schema: this.#schemaFor(filePath) })
+		this.#parsedFiles.set(key, { parsed, mtimeMs: stats?.mtimeMs ?? null, size: stats?.size ?? null })
+		return structuredClone(parsed)
+	}
+
+	/**
+	 * Finds the schema of the closest directory of a file.
+	 * @param {string} filePath - The path to the markdown file, relative to the views directory.
+	 * @returns {FrontmatterSchema|undefined} - The schema, if any.
+	 * @private
+	 */
+	#schemaFor(filePath) {
+		const path = normalizeContentPath(filePath)
+		let closest
+		for (const dir of this.#schemas.keys()) {
+			const contains = dir === "" || path.startsWith(`${dir}/`)
+			if (contains && (closest === undefined || dir.length > closest.length)) closest = dir
+		}
+		return closest === undefined ? undefined : this.#schemas.get(closest)
+	}
+
+	/**
+	 * Prepares a markdown file to be rendered as a view, through the layout named by its `layout` frontmatter key.
+	 * The layout receives the route data with `frontmatter`, `html_content` (the markdown rendered as HTML),
+	 * `html_toc` (its table of contents) and `file` (the file metadata), unless the route data sets them.
+	 * @param {string} filePath - The path to the markdown file, relative to the views directory.
+	 * @param {Object} [data] - The data passed by the route.
+	 * @param {string} [defaultLayout] - The layout of files without a `layout` key.
+	 * @returns {{layout: string, data: Object}} - The layout to render and its data.
+	 * @throws {Error} - If the file has no layout and no default layout is given.
+	 */
+	markdownView(filePath, data = {}, defaultLayout) {
+		const { frontmatter, content, ...file } = this.parseMarkdownFile(filePath)
+
+		let layout = frontmatter?.layout ?? defaultLayout
+		if (!layout) {
+			throw new Error(
+				`Markdown view ${filePath} has no layout: set "layout" in its frontmatter or the markdownLayout template option`
+			)
+		}
+		// Relative layouts are resolved from the directory of the markdown file
+		if (layout.startsWith("./") || layout.startsWith("../")) layout = posix.join(file.fileDir, layout)
+
+		return {
+			layout,
+			data: { frontmatter, html_content: content, html_toc: generateTOC(content), file, ...data },
+		}
 	}
 
 	/**
 	 * Parses all markdown files in a directory.
+	 * With a locale, files with locale variants (`post.fr.md`, `post.en.md`, `post.md`) are parsed once, in the variant
+	 * of the locale, of its language, of the default locale, or without locale, in that order of preference.
+	 * Files only available in other locales are left out, and parsed variants get a `locale` property (null without locale).
 	 * @param {string} dir - The directory containing markdown files.
+	 * @param {Object} [options] - Parsing options.
+	 * @param {string} [options.locale] - The locale of the variants to parse.
+	 * @param {Array<string>} [options.locales] - The locales that can suffix file names, required with a locale.
+	 * @param {string} [options.defaultLocale] - The locale of the variants used when the locale has none.
 	 * @returns {Promise<Array<Object>>} - A promise that resolves to an array of parsed markdown objects.
+	 * @throws {FrontmatterError} - If frontmatter can't be parsed or doesn't match its schema, listing the errors
+	 * of all files.
 	 */
-	async parseMarkdownFileS(dir) {
+	async parseMarkdownFileS(dir, options = {}) {
 		const normalizedDir = dir.startsWith("/") ? dir.slice(1) : dir
 		// Use the custom views directory instead of hardcoded "views"
-		const files = await this.getMarkdownFiles(join(this.#viewsDir, normalizedDir))
-		return Promise.all(
-			files.map((file) => {
-				// Use the custom views directory instead of hardcoded "views"
-				const relativePath = relative(this.#viewsDir, file)
-				return this.parseMarkdownFile(relativePath)
+		const files = await this.#listMarkdownFiles(join(this.#viewsDir, normalizedDir))
+
+		if (options.locale) {
+			const variants = this.#selectLocaleVariants(files, options)
+			return this.#parseAll(variants, ({ file, locale }) => ({
+				...this.parseMarkdownFile(relative(this.#viewsDir, file)),
+				locale,
+			}))
+		}
+
+		// Use the custom views directory instead of hardcoded "views"
+		return this.#parseAll(files, (file) => this.parseMarkdownFile(relative(this.#viewsDir, file)))
+	}
+
+	/**
+	 * Parses markdown files, collecting the frontmatter errors of all files before throwing them together.
+	 * @param {Array} entries - The files to parse.
+	 * @param {Function} parse - Parses an entry.
+	 * @returns {Array<Object>} - The parsed markdown objects, in entry order.
+	 * @throws {FrontmatterError} - If any frontmatter can't be parsed or doesn't match its schema.
+	 * @private
+	 */
+	#parseAll(entries, parse) {
+		const parsed = []
+		const errors = []
+		for (const entry of entries) {
+			try {
+				parsed.push(parse(entry))
+			} catch (error) {
+				if (!(error instanceof FrontmatterError)) throw error
+				errors.push(...error.errors)
+			}
+		}
+		if (errors.length) throw new FrontmatterError(errors)
+		return parsed
+	}
+
+	/**
+	 * Starts a query over the markdown files of a content directory (see `ContentCollection`).
+	 * @param {string} dir - The content directory, relative to the views directory.
+	 * @returns {ContentCollection} - A query of all the files of the directory.
+	 */
+	collection(dir) {
+		return new ContentCollection(this, normalizeContentPath(dir))
+	}
+
+	/**
+	 * Returns the index of a collection: the parsed markdown files of its directory, sorted by path.
+	 * The files are parsed by the first query, and shared by the following ones until the watcher reports
+	 * a change in the directory. Without the watcher, nor preloading, the index is built again when the modification
+	 * time or size of its files change, or when files are added or removed. The returned files are copies,
+	 * which callers may change.
+	 * @param {string} dir - The content directory, relative to the views directory.
+	 * @param {Function} [select] - Selects files of the index, without changing them, so that only the selected
+	 * files are copied.
+	 * @returns {Promise<Array<Object>>} - A promise that resolves to the parsed markdown files.
+	 */
+	async collectionIndex(dir, select = (files) => files) {
+		return structuredClone(select(await this.#collectionIndex(dir)))
+	}
+
+	/**
+	 * Returns the shared index of a collection, parsing its files on first use.
+	 * @param {string} dir - The content directory, relative to the views directory.
+	 * @returns {Promise<Array<Object>>} - A promise that resolves to the parsed markdown files.
+	 * @private
+	 */
+	async #collectionIndex(dir) {
+		const key = normalizeContentPath(dir)
+		const cached = this.#collectionIndexes.get(key)
+		if (cached) {
+			const { files, stamps } = await cached
+			if (this.#trusted || stamps === (await this.#collectionStamps(key))) return files
+			if (this.#collectionIndexes.get(key) === cached) this.#collectionIndexes.delete(key)
+		}
+
+		if (!this.#collectionIndexes.has(key)) {
+			const index = (async () => {
+				// Stamped before parsing, so that a file changed while parsing is parsed again by the next query
+				const stamps = this.#trusted ? null : await this.#collectionStamps(key)
+				const files = await this.parseMarkdownFileS(key)
+				files.sort((a, b) => (a.filePath < b.filePath ? -1 : a.filePath > b.filePath ? 1 : 0))
+				return { files, stamps }
+			})()
+			// A failed parse, such as a frontmatter error, is retried by the next query
+			index.catch(() => this.#collectionIndexes.delete(key))
+			this.#collectionIndexes.set(key, index)
+		}
+		return (await this.#collectionIndexes.get(key)).files
+	}
+
+	/**
+	 * Lists the markdown files of a collection with their modification time and size, telling whether its index
+	 * is up to date when the files aren't watched.
+	 * @param {string} dir - The content directory, relative to the views directory.
+	 * @returns {Promise<string>} - A promise that resolves to the stamps of the files.
+	 * @private
+	 */
+	async #collectionStamps(dir) {
+		const files = await this.#listMarkdownFiles(join(this.#viewsDir, dir))
+		const stamps = await Promise.all(
+			files.map(async (file) => {
+				const stats = await stat(file).catch(() => null)
+				return `${file}:${stats?.mtimeMs}:${stats?.size}`
 			})
 		)
+		return stamps.join("\n")
+	}
+
+	/**
+	 * Drops the index of a collection, or of all collections, so that their files are parsed again.
+	 * @param {string} [dir] - The content directory, relative to the views directory.
+	 */
+	clearCollectionIndex(dir) {
+		if (dir === undefined) this.#collectionIndexes.clear()
+		else this.#collectionIndexes.delete(normalizeContentPath(dir))
+	}
+
+	/**
+	 * Keeps the preferred locale variant of each markdown file.
+	 * @param {Array<string>} files - The markdown file paths.
+	 * @param {Object} options - The locale, locales and defaultLocale options of parseMarkdownFileS.
+	 * @returns {Array<{file: string, locale: string|null}>} - The preferred variants, in file order.
+	 * @private
+	 */
+	#selectLocaleVariants(files, { locale, locales, defaultLocale }) {
+		if (!locales?.length) {
+			throw new Error("Markdown locale variants need the list of locales, enable i18n or pass the locales option")
+		}
+		const knownLocales = new Map(locales.map((known) => [known.toLowerCase(), known]))
+
+		// Variants are grouped by path without locale suffix: posts/hello.fr.md and posts/hello.md are posts/hello
+		const groups = new Map()
+		for (const file of files) {
+			const match = /^(.*)\.([^./\\]+)\.md$/.exec(file)
+			const variant = (match && knownLocales.get(match[2].toLowerCase())) ?? null
+			const base = variant ? match[1] : file.slice(0, -3)
+			if (!groups.has(base)) groups.set(base, new Map())
+			groups.get(base).set(variant, file)
+		}
+
+		const fallbacks = localeFallbacks(locale, defaultLocale).map((tag) => knownLocales.get(tag.toLowerCase()))
+		const preferred = [...fallbacks.filter(Boolean), null]
+
+		const selected = []
+		for (const variants of groups.values()) {
+			const variant = preferred.find((candidate) => variants.has(candidate))
+			if (variant !== undefined) selected.push({ file: variants.get(variant), locale: variant })
+		}
+		return selected
+	}
+
+	/**
+	 * Lists the markdown files of a directory, from memory while watching or preloaded.
+	 * @param {string} dir - The directory to search for markdown files.
+	 * @returns {Promise<Array<string>>} - A promise that resolves to a new array of markdown file paths.
+	 * @private
+	 */
+	async #listMarkdownFiles(dir) {
+		dir = dir.replace(/[\\/]+$/, "") || dir
+		if (this.#trusted) {
+			// The listing of the directory, or of a parent directory, such as the views directory once preloaded
+			for (const [listedDir, files] of this.#fileLists) {
+				if (listedDir === dir) return [...files]
+				if (dir.startsWith(`${listedDir}${sep}`)) return files.filter((file) => file.startsWith(`${dir}${sep}`))
+			}
+		}
+
+		const files = await this.getMarkdownFiles(dir)
+		if (this.#trusted) this.#fileLists.set(dir, [...files])
+		return files
 	}
 
 	/**
@@ -169,3 +553,9 @@ export class MarkdownHandler {
 		return this.#paginator(parsedFiles, page, perPage)
 	}
 }
+
+// Normalizes a path relative to the views directory: forward slashes, without leading, trailing or `./` parts
+function normalizeContentPath(path) {
+	const normalized = posix.normalize(path.split(sep).join("/")).replace(/^\/+|\/+$/g, "")
+	return normalized === "." ? "" : normalized
+}
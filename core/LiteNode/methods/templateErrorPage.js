@@ -0,0 +1,37 @@
+import { escapeHtml } from "../../utils/escapeHtml.js"
+
+/**
+ * Builds the HTML page sent by res.render in development when a template fails to render.
+ * It shows the error, where it happened, the include chain and the template snippet.
+ *
+ * @param {TemplateError} error - The template error
+ * @returns {string} The HTML page
+ */
+export function templateErrorPage(error) {
+	const location = error.templateName
+		? `${error.templateName}${error.line !== undefined ? `:${error.line}:${error.column}` : ""}`
+		: ""
+	const chain = error.includeChain?.length > 1 ? error.includeChain.map(escapeHtml).join(" &rsaquo; ") : ""
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Template error</title>
+<style>
+body { margin: 0; padding: 2rem; font: 16px/1.5 system-ui, sans-serif; color: #1f2328; background: #fff5f5; }
+h1 { margin: 0 0 1rem; font-size: 1.25rem; color: #b42318; }
+p { margin: 0.25rem 0; }
+code, pre { font-family: ui-monospace, Consolas, monospace; }
+pre { margin-top: 1.5rem; padding: 1rem; overflow-x: auto; background: #1f2328; color: #f6f8fa; border-radius: 6px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(error.reason)}</h1>
+${location ? `<p>in <code>${escapeHtml(location)}</code></p>` : ""}
+${chain ? `<p>include chain: <code>${chain}</code></p>` : ""}
+${error.snippet ? `<pre>${escapeHtml(error.snippet)}</pre>` : ""}
+</body>
+</html>
+`
+}
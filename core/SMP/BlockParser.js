@@ -0,0 +1,864 @@
+import { MarkdownNode } from "./MarkdownNode.js"
+import { InlineParser, OPENTAG, CLOSETAG } from "./InlineParser.js"
+import { HeadingProcessor } from "./HeadingProcessor.js"
+import { unescapeString } from "./utils/markdownHelpers.js"
+
+const CODE_INDENT = 4
+// Block quotes and lists nested deeper than this are text, deeper trees would overflow the stack when processed
+const MAX_NESTING = 100
+
+const reHtmlBlockOpen = [
+	/./, // Dummy for 0
+	/^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+	/^<!--/,
+	/^<[?]/,
+	/^<![A-Za-z]/,
+	/^<!\[CDATA\[/,
+	/^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+	new RegExp(`^(?:${OPENTAG}|${CLOSETAG})\\s*$`, "i"),
+]
+
+const reHtmlBlockClose = [
+	/./, // Dummy for 0
+	/<\/(?:script|pre|textarea|style)>/i,
+	/-->/,
+	/\?>/,
+	/>/,
+	/\]\]>/,
+]
+
+const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/
+const reMaybeSpecial = /^[#`~*+_=<>0-9|:-]/
+const reNonSpace = /[^ \t\f\v\r\n]/
+const reBulletListMarker = /^[*+-]/
+const reOrderedListMarker = /^(\d{1,9})([.)])/
+const reATXHeadingMarker = /^#{1,6}(?:[ \t]+|$)/
+const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/
+const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/
+const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/
+const reTableDelimiterRow = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+const reLineEnding = /\r\n|\n|\r/
+
+const isSpaceOrTab = (c) => c === " " || c === "\t"
+
+// The number of containers a block is nested in, the document excluded
+const nestingDepth = (block) => {
+	let depth = 0
+	for (let parent = block.parent; parent; parent = parent.parent) depth++
+	return depth
+}
+const isBlank = (s) => !reNonSpace.test(s)
+
+/**
+ * Splits a table row into its cells, honoring escaped pipes (`\|`).
+ *
+ * @param {string} row - The raw table row.
+ * @returns {Array<string>} - The trimmed cell contents.
+ */
+const splitTableRow = (row) => {
+	let line = row.trim()
+	if (line.startsWith("|")) line = line.slice(1)
+	if (line.endsWith("|") && !line.endsWith("\\|")) line = line.slice(0, -1)
+
+	const cells = []
+	let current = ""
+	for (let i = 0; i < line.length; i++) {
+		if (line[i] === "\\" && line[i + 1] === "|") {
+			current += "|"
+			i++
+		} else if (line[i] === "|") {
+			cells.push(current.trim())
+			current = ""
+		} else {
+			current += line[i]
+		}
+	}
+	cells.push(current.trim())
+	return cells
+}
+
+/**
+ * Block definitions. Each entry describes how an open block of that type is continued by a new line
+ * (0 = matched, 1 = not matched, 2 = matched and the whole line was consumed), how it is finalized,
+ * which children it may contain and whether it accepts raw lines of text.
+ */
+const blocks = {
+	document: {
+		continue: () => 0,
+		finalize: () => {},
+		canContain: (t) => t !== "item",
+		acceptsLines: false,
+	},
+	list: {
+		continue: () => 0,
+		finalize: (parser, block) => {
+			// A list is loose if any of its items, or the blocks inside an item, are separated by blank lines
+			for (let item = block.firstChild; item; item = item.next) {
+				if (item.next && endsWithBlankLine(item)) {
+					block.listData.tight = false
+					break
+				}
+				for (let subitem = item.firstChild; subitem; subitem = subitem.next) {
+					if (subitem.next && endsWithBlankLine(subitem)) {
+						block.listData.tight = false
+						break
+					}
+				}
+			}
+			block.endLine = block.lastChild ? block.lastChild.endLine : block.startLine
+		},
+		canContain: (t) => t === "item",
+		acceptsLines: false,
+	},
+	block_quote: {
+		continue: (parser) => {
+			const ln = parser.currentLine
+			if (!parser.indented && ln.charAt(parser.nextNonspace) === ">") {
+				parser.advanceNextNonspace()
+				parser.advanceOffset(1, false)
+				if (isSpaceOrTab(ln.charAt(parser.offset))) {
+					parser.advanceOffset(1, true)
+				}
+				return 0
+			}
+			return 1
+		},
+		finalize: () => {},
+		canContain: (t) => t !== "item",
+		acceptsLines: false,
+	},
+	item: {
+		continue: (parser, container) => {
+			if (parser.blank) {
+				// An empty list item can contain at most one blank line
+				if (container.firstChild === null) return 1
+				parser.advanceNextNonspace()
+			} else if (parser.indent >= container.listData.markerOffset + container.listData.padding) {
+				parser.advanceOffset(container.listData.markerOffset + container.listData.padding, true)
+			} else {
+				return 1
+			}
+			return 0
+		},
+		finalize: (parser, block) => {
+			block.endLine = block.lastChild ? block.lastChild.endLine : block.startLine
+		},
+		canContain: (t) => t !== "item",
+		acceptsLines: false,
+	},
+	heading: {
+		continue: () => 1, // A heading can never contain more than one line
+		finalize: () => {},
+		canContain: () => false,
+		acceptsLines: false,
+	},
+	thematic_break: {
+		continue: () => 1,
+		finalize: () => {},
+		canContain: () => false,
+		acceptsLines: false,
+	},
+	code_block: {
+		continue: (parser, container) => {
+			const ln = parser.currentLine
+			const indent = parser.indent
+			if (container.isFenced) {
+				const match =
+					indent <= 3 &&
+					ln.charAt(parser.nextNonspace) === container.fenceChar &&
+					ln.slice(parser.nextNonspace).match(reClosingCodeFence)
+				if (match && match[0].length >= container.fenceLength) {
+					// Closing fence, the rest of the line can be ignored
+					parser.finalize(container, parser.lineNumber)
+					return 2
+				}
+				// Skip the optional indentation of the opening fence
+				let i = container.fenceOffset
+				while (i > 0 && isSpaceOrTab(ln.charAt(parser.offset))) {
+					parser.advanceOffset(1, true)
+					i--
+				}
+			} else if (indent >= CODE_INDENT) {
+				parser.advanceOffset(CODE_INDENT, true)
+			} else if (parser.blank) {
+				parser.advanceNextNonspace()
+			} else {
+				return 1
+			}
+			return 0
+		},
+		finalize: (parser, block) => {
+			if (block.isFenced) {
+				// The first line is the info string
+				const newlinePos = block.content.indexOf("\n")
+				block.info = unescapeString(block.content.slice(0, newlinePos).trim())
+				block.literal = block.content.slice(newlinePos + 1)
+			} else {
+				// Indented code blocks drop their trailing blank lines
+				const lines = block.content.split("\n")
+				while (/^[ \t]*$/.test(lines[lines.length - 1])) {
+					lines.pop()
+				}
+				block.literal = lines.join("\n") + "\n"
+			}
+			block.content = ""
+		},
+		canContain: () => false,
+		acceptsLines: true,
+	},
+	html_block: {
+		continue: (parser, container) => {
+			return parser.blank && (container.htmlBlockType === 6 || container.htmlBlockType === 7) ? 1 : 0
+		},
+		finalize: (parser, block) => {
+			block.literal = block.content.replace(/(\n *)+$/, "")
+			block.content = ""
+		},
+		canContain: () => false,
+		acceptsLines: true,
+	},
+	paragraph: {
+		continue: (parser) => (parser.blank ? 1 : 0),
+		finalize: (parser, block) => {
+			// Link reference definitions at the start of a paragraph are not part of its content
+			let pos
+			let hasReferenceDefs = false
+			while (block.content.charAt(0) === "[" && (pos = parser.inlineParser.parseReference(block.content))) {
+				block.content = block.content.slice(pos)
+				hasReferenceDefs = true
+			}
+			if (hasReferenceDefs && isBlank(block.content)) {
+				block.unlink()
+			}
+		},
+		canContain: () => false,
+		acceptsLines: true,
+	},
+	custom_block: {
+		continue: (parser, container) => {
+			// Blocks registered without an end pattern only span their opening line
+			const { end } = container.processor
+			if (!end) return 1
+			if (!parser.indented && end.test(parser.currentLine.slice(parser.nextNonspace))) {
+				// Closing line, the open blocks inside the custom block are closed with it
+				while (parser.tip !== container) {
+					parser.finalize(parser.tip, parser.lineNumber - 1)
+				}
+				parser.finalize(container, parser.lineNumber)
+				return 2
+			}
+			return 0
+		},
+		finalize: () => {},
+		canContain: (t) => t !== "item",
+		acceptsLines: false,
+	},
+	table: {
+		continue: (parser) => {
+			// A table ends at the first blank line or at the beginning of another block
+			if (parser.blank) return 1
+			const rest = parser.currentLine.slice(parser.nextNonspace)
+			if (
+				!parser.indented &&
+				(rest.startsWith(">") ||
+					reATXHeadingMarker.test(rest) ||
+					reCodeFence.test(rest) ||
+					reThematicBreak.test(rest))
+			) {
+				return 1
+			}
+			return 0
+		},
+		finalize: (parser, block) => {
+			block.rows = block.content
+				.split("\n")
+				.filter((line) => !isBlank(line))
+				.map((line) => {
+					// Rows are normalized to the number of header cells
+					const cells = splitTableRow(line)
+					return block.alignments.map((_, i) => cells[i] ?? "")
+				})
+			block.content = ""
+		},
+		canContain: () => false,
+		acceptsLines: true,
+	},
+}
+
+/**
+ * Returns true if a block is followed by a blank line before its next sibling.
+ *
+ * @param {MarkdownNode} block - The block to check.
+ * @returns {boolean}
+ */
+const endsWithBlankLine = (block) => block.next !== null && block.endLine !== block.next.startLine - 1
+
+/**
+ * Parses a list marker at the current position, returning the list data or null.
+ *
+ * @param {BlockParser} parser - The parser.
+ * @param {MarkdownNode} container - The current container.
+ * @returns {Object|null}
+ */
+const parseListMarker = (parser, container) => {
+	if (parser.indent >= 4) return null
+
+	const rest = parser.currentLine.slice(parser.nextNonspace)
+	const data = {
+		type: null,
+		tight: true, // Lists are tight by default, finalize decides
+		bulletChar: null,
+		start: null,
+		delimiter: null,
+		padding: null,
+		markerOffset: parser.indent,
+	}
+
+	let match
+	if ((match = rest.match(reBulletListMarker))) {
+		data.type = "bullet"
+		data.bulletChar = match[0][0]
+	} else if ((match = rest.match(reOrderedListMarker)) && (container.type !== "paragraph" || match[1] === "1")) {
+		data.type = "ordered"
+		data.start = parseInt(match[1], 10)
+		data.delimiter = match[2]
+	} else {
+		return null
+	}
+
+	// The marker must be followed by a space, a tab or the end of the line
+	const nextc = parser.currentLine.charAt(parser.nextNonspace + match[0].length)
+	if (!(nextc === "" || nextc === "\t" || nextc === " ")) return null
+
+	// A list item can only interrupt a paragraph if it is not empty
+	if (container.type === "paragraph" && !reNonSpace.test(parser.currentLine.slice(parser.nextNonspace + match[0].length))) {
+		return null
+	}
+
+	// Advance past the marker and calculate the padding of the item content
+	parser.advanceNextNonspace()
+	parser.advanceOffset(match[0].length, true)
+	const spacesStartCol = parser.column
+	const spacesStartOffset = parser.offset
+	do {
+		parser.advanceOffset(1, true)
+	} while (parser.column - spacesStartCol < 5 && isSpaceOrTab(parser.currentLine.charAt(parser.offset)))
+
+	const blankItem = parser.currentLine.charAt(parser.offset) === ""
+	const spacesAfterMarker = parser.column - spacesStartCol
+	if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || blankItem) {
+		// Content starts one space after the marker (the rest is indented code or nothing)
+		data.padding = match[0].length + 1
+		parser.column = spacesStartCol
+		parser.offset = spacesStartOffset
+		if (isSpaceOrTab(parser.currentLine.charAt(parser.offset))) {
+			parser.advanceOffset(1, true)
+		}
+	} else {
+		data.padding = match[0].length + spacesAfterMarker
+	}
+
+	return data
+}
+
+const listsMatch = (a, b) => a.type === b.type && a.delimiter === b.delimiter && a.bulletChar === b.bulletChar
+
+/**
+ * Block start functions, tried in order for each line that is not fully consumed by open blocks.
+ * They return 0 (no match), 1 (matched a container block) or 2 (matched a leaf block).
+ */
+const blockStarts = [
+	// Custom blocks registered by block processors
+	(parser) => {
+		if (parser.indented || parser.blockProcessors.length === 0) return 0
+		const rest = parser.currentLine.slice(parser.nextNonspace)
+		for (const processor of parser.blockProcessors) {
+			const match = rest.match(processor.start)
+			if (!match) continue
+			parser.closeUnmatchedBlocks()
+			const container = parser.addChild("custom_block")
+			container.processor = processor
+			container.match = match
+			// Without an end pattern, the rest of the line is the inline content of the block
+			container.content = processor.end ? "" : rest.slice(match[0].length)
+			parser.advanceOffset(parser.currentLine.length - parser.offset, false)
+			return processor.end ? 1 : 2
+		}
+		return 0
+	},
+
+	// Block quote
+	(parser) => {
+		if (parser.indented || parser.currentLine.charAt(parser.nextNonspace) !== ">") return 0
+		parser.advanceNextNonspace()
+		parser.advanceOffset(1, false)
+		if (isSpaceOrTab(parser.currentLine.charAt(parser.offset))) {
+			parser.advanceOffset(1, true)
+		}
+		parser.closeUnmatchedBlocks()
+		parser.addChild("block_quote")
+		return 1
+	},
+
+	// ATX heading
+	(parser) => {
+		let match
+		if (parser.indented || !(match = parser.currentLine.slice(parser.nextNonspace).match(reATXHeadingMarker))) return 0
+		parser.advanceNextNonspace()
+		parser.advanceOffset(match[0].length, false)
+		parser.closeUnmatchedBlocks()
+		const container = parser.addChild("heading")
+		container.level = match[0].trim().length
+		// Remove the optional closing sequence of #s
+		container.content = parser.currentLine
+			.slice(parser.offset)
+			.replace(/^[ \t]*#+[ \t]*$/, "")
+			.replace(/[ \t]+#+[ \t]*$/, "")
+		parser.advanceOffset(parser.currentLine.length - parser.offset)
+		return 2
+	},
+
+	// Fenced code block
+	(parser) => {
+		let match
+		if (parser.indented || !(match = parser.currentLine.slice(parser.nextNonspace).match(reCodeFence))) return 0
+		parser.closeUnmatchedBlocks()
+		const container = parser.addChild("code_block")
+		container.isFenced = true
+		container.fenceLength = match[0].length
+		container.fenceChar = match[0][0]
+		container.fenceOffset = parser.indent
+		parser.advanceNextNonspace()
+		parser.advanceOffset(match[0].length, false)
+		return 2
+	},
+
+	// HTML block
+	(parser, container) => {
+		if (parser.indented || parser.currentLine.charAt(parser.nextNonspace) !== "<") return 0
+		const s = parser.currentLine.slice(parser.nextNonspace)
+		for (let blockType = 1; blockType <= 7; blockType++) {
+			// Type 7 blocks cannot interrupt a paragraph, not even a lazy one
+			const canInterrupt =
+				blockType < 7 ||
+				(container.type !== "paragraph" && !(!parser.allClosed && !parser.blank && parser.tip.type === "paragraph"))
+			if (reHtmlBlockOpen[blockType].test(s) && canInterrupt) {
+				parser.closeUnmatchedBlocks()
+				// The indentation is part of the HTML block, so the offset is not adjusted
+				const block = parser.addChild("html_block")
+				block.htmlBlockType = blockType
+				return 2
+			}
+		}
+		return 0
+	},
+
+	// GFM table (the header row is the last line of the paragraph preceding the delimiter row)
+	(parser, container) => {
+		const rest = parser.currentLine.slice(parser.nextNonspace)
+		if (parser.indented || container.type !== "paragraph" || !rest.includes("|") || !reTableDelimiterRow.test(rest)) {
+			return 0
+		}
+
+		const lines = container.content.replace(/\n$/, "").split("\n")
+		const headerCells = splitTableRow(lines[lines.length - 1])
+		const alignments = splitTableRow(rest).map((cell) => {
+			const left = cell.startsWith(":")
+			const right = cell.endsWith(":")
+			return left && right ? "center" : right ? "right" : left ? "left" : null
+		})
+		if (headerCells.length !== alignments.length) return 0
+
+		parser.closeUnmatchedBlocks()
+
+		// The remaining paragraph lines stay a paragraph
+		const paragraphLines = lines.slice(0, -1)
+		const table = new MarkdownNode("table", container.startLine + paragraphLines.length)
+		table.header = headerCells
+		table.alignments = alignments
+		container.insertAfter(table)
+		if (paragraphLines.length > 0) {
+			container.content = paragraphLines.join("\n") + "\n"
+			parser.finalize(container, table.startLine - 1)
+		} else {
+			container.unlink()
+		}
+		parser.tip = table
+		parser.advanceOffset(parser.currentLine.length - parser.offset, false)
+		return 2
+	},
+
+	// Setext heading
+	(parser, container) => {
+		let match
+		if (
+			parser.indented ||
+			container.type !== "paragraph" ||
+			!(match = parser.currentLine.slice(parser.nextNonspace).match(reSetextHeadingLine))
+		) {
+			return 0
+		}
+		parser.closeUnmatchedBlocks()
+
+		// Resolve link reference definitions first, they are not part of the heading
+		let pos
+		while (container.content.charAt(0) === "[" && (pos = parser.inlineParser.parseReference(container.content))) {
+			container.content = container.content.slice(pos)
+		}
+		if (container.content.length === 0) return 0
+
+		const heading = new MarkdownNode("heading", container.startLine)
+		heading.level = match[0][0] === "=" ? 1 : 2
+		heading.content = container.content
+		container.insertAfter(heading)
+		container.unlink()
+		parser.tip = heading
+		parser.advanceOffset(parser.currentLine.length - parser.offset, false)
+		return 2
+	},
+
+	// Thematic break
+	(parser) => {
+		if (parser.indented || !reThematicBreak.test(parser.currentLine.slice(parser.nextNonspace))) return 0
+		parser.closeUnmatchedBlocks()
+		parser.addChild("thematic_break")
+		parser.advanceOffset(parser.currentLine.length - parser.offset, false)
+		return 2
+	},
+
+	// List item
+	(parser, container) => {
+		let data
+		if ((parser.indented && container.type !== "list") || !(data = parseListMarker(parser, container))) return 0
+		parser.closeUnmatchedBlocks()
+
+		// Add the list if needed
+		if (parser.tip.type !== "list" || !listsMatch(parser.tip.listData, data)) {
+			const list = parser.addChild("list")
+			list.listData = data
+		}
+
+		// Add the list item
+		const item = parser.addChild("item")
+		item.listData = data
+		return 1
+	},
+
+	// Indented code block
+	(parser) => {
+		if (!parser.indented || parser.tip.type === "paragraph" || parser.blank) return 0
+		parser.advanceOffset(CODE_INDENT, true)
+		parser.closeUnmatchedBlocks()
+		parser.addChild("code_block")
+		return 2
+	},
+]
+
+/**
+ * The `BlockParser` builds the block structure of a markdown document (paragraphs, headings, lists,
+ * block quotes, code blocks, HTML blocks, thematic breaks and tables) line by line, following the
+ * CommonMark parsing strategy, then hands the text content of leaf blocks to the `InlineParser`.
+ */
+export class BlockParser {
+	/**
+	 * Constructs a new instance of the `BlockParser`.
+	 *
+	 * @param {object} [options={}] - Parsing options.
+	 * @param {Array<object>} [options.blockProcessors=[]] - Block processors, tried before the built-in block starts.
+	 * @param {Array<object>} [options.inlineProcessors=[]] - Inline processors, passed to the `InlineParser`.
+	 */
+	constructor(options = {}) {
+		this.blockProcessors = options.blockProcessors ?? []
+		this.inlineParser = new InlineParser(options.inlineProcessors ?? [])
+	}
+
+	/**
+	 * Parses a markdown string into a document tree.
+	 *
+	 * @param {string} input - The markdown source.
+	 * @returns {MarkdownNode} - The root `document` node.
+	 */
+	parse(input) {
+		this.doc = new MarkdownNode("document", 1)
+		this.tip = this.doc
+		this.oldtip = this.doc
+		this.lineNumber = 0
+		this.lastMatchedContainer = this.doc
+		this.allClosed = true
+		this.inlineParser.refmap = {}
+
+		const lines = input.split(reLineEnding)
+		// A trailing newline does not start a new line
+		if (input.length > 0 && /[\r\n]$/.test(input)) {
+			lines.pop()
+		}
+
+		for (const line of lines) {
+			this.incorporateLine(line)
+		}
+		while (this.tip) {
+			this.finalize(this.tip, lines.length)
+		}
+
+		this.processInlines(this.doc)
+		return this.doc
+	}
+
+	/**
+	 * Analyzes a single line of input and updates the document tree accordingly.
+	 * @private
+	 */
+	incorporateLine(ln) {
+		let allMatched = true
+		let container = this.doc
+		this.oldtip = this.tip
+		this.offset = 0
+		this.column = 0
+		this.blank = false
+		this.partiallyConsumedTab = false
+		this.lineNumber += 1
+
+		// Replace NUL characters for security
+		if (ln.includes("\u0000")) {
+			ln = ln.replace(/\0/g, "�")
+		}
+		this.currentLine = ln
+
+		// Go through the open blocks and check whether the line continues them
+		let lastChild
+		while ((lastChild = container.lastChild) && lastChild.open) {
+			container = lastChild
+			this.findNextNonspace()
+
+			const res = blocks[container.type].continue(this, container)
+			if (res === 2) return // The line closed a fenced code block
+			if (res === 1) {
+				allMatched = false
+				container = container.parent
+				break
+			}
+		}
+
+		this.allClosed = container === this.oldtip
+		this.lastMatchedContainer = container
+
+		let matchedLeaf = container.type !== "paragraph" && blocks[container.type].acceptsLines
+		let depth = nestingDepth(container)
+
+		// Look for new block starts unless the last matched container is a leaf
+		while (!matchedLeaf) {
+			this.findNextNonspace()
+
+			if (depth >= MAX_NESTING) {
+				this.advanceNextNonspace()
+				break
+			}
+
+			// Performance shortcut: a non-indented line starting with a regular character starts no block
+			if (
+				!this.indented &&
+				this.blockProcessors.length === 0 &&
+				!reMaybeSpecial.test(ln.slice(this.nextNonspace))
+			) {
+				this.advanceNextNonspace()
+				break
+			}
+
+			let i = 0
+			while (i < blockStarts.length) {
+				const res = blockStarts[i](this, container)
+				if (res === 1) {
+					container = this.tip
+					depth = nestingDepth(container)
+					break
+				} else if (res === 2) {
+					container = this.tip
+					matchedLeaf = true
+					break
+				}
+				i++
+			}
+
+			if (i === blockStarts.length) {
+				// Nothing matched
+				this.advanceNextNonspace()
+				break
+			}
+		}
+
+		// What remains at the offset is a text line, add it to the appropriate container
+		if (!this.allClosed && !this.blank && this.tip.type === "paragraph") {
+			// Lazy paragraph continuation
+			this.addLine()
+			return
+		}
+
+		this.closeUnmatchedBlocks()
+
+		if (blocks[container.type].acceptsLines) {
+			this.addLine()
+			// HTML blocks of type 1 to 5 end on the line containing their end condition
+			if (
+				container.type === "html_block" &&
+				container.htmlBlockType >= 1 &&
+				container.htmlBlockType <= 5 &&
+				reHtmlBlockClose[container.htmlBlockType].test(this.currentLine.slice(this.offset))
+			) {
+				this.finalize(container, this.lineNumber)
+			}
+		} else if (this.offset < ln.length && !this.blank) {
+			// Create a paragraph container for the line
+			this.addChild("paragraph")
+			this.advanceNextNonspace()
+			this.addLine()
+		}
+	}
+
+	/**
+	 * Finds the next non-space character and computes the indentation of the current line.
+	 * @private
+	 */
+	findNextNonspace() {
+		let i = this.offset
+		let cols = this.column
+		let c
+		while ((c = this.currentLine.charAt(i)) !== "") {
+			if (c === " ") {
+				i++
+				cols++
+			} else if (c === "\t") {
+				i++
+				cols += 4 - (cols % 4)
+			} else {
+				break
+			}
+		}
+		this.blank = c === "\n" || c === "\r" || c === ""
+		this.nextNonspace = i
+		this.nextNonspaceColumn = cols
+		this.indent = this.nextNonspaceColumn - this.column
+		this.indented = this.indent >= CODE_INDENT
+	}
+
+	/** @private */
+	advanceNextNonspace() {
+		this.offset = this.nextNonspace
+		this.column = this.nextNonspaceColumn
+		this.partiallyConsumedTab = false
+	}
+
+	/**
+	 * Advances the offset by a number of characters, or of columns when `columns` is true
+	 * (tabs then count as the number of columns to the next tab stop).
+	 * @private
+	 */
+	advanceOffset(count, columns = false) {
+		let c
+		while (count > 0 && (c = this.currentLine[this.offset])) {
+			if (c === "\t") {
+				const charsToTab = 4 - (this.column % 4)
+				if (columns) {
+					this.partiallyConsumedTab = charsToTab > count
+					const charsToAdvance = charsToTab > count ? count : charsToTab
+					this.column += charsToAdvance
+					this.offset += this.partiallyConsumedTab ? 0 : 1
+					count -= charsToAdvance
+				} else {
+					this.partiallyConsumedTab = false
+					this.column += charsToTab
+					this.offset += 1
+					count -= 1
+				}
+			} else {
+				this.partiallyConsumedTab = false
+				this.offset += 1
+				this.column += 1
+				count -= 1
+			}
+		}
+	}
+
+	/**
+	 * Adds the rest of the current line to the content of the tip block.
+	 * @private
+	 */
+	addLine() {
+		if (this.partiallyConsumedTab) {
+			// Skip over the tab and add the remaining columns as spaces
+			this.offset += 1
+			const charsToTab = 4 - (this.column % 4)
+			this.tip.content += " ".repeat(charsToTab)
+		}
+		this.tip.content += this.currentLine.slice(this.offset) + "\n"
+	}
+
+	/**
+	 * Adds a new block as a child of the tip, closing blocks that cannot contain it.
+	 * @private
+	 */
+	addChild(type) {
+		while (!blocks[this.tip.type].canContain(type)) {
+			this.finalize(this.tip, this.lineNumber - 1)
+		}
+		const block = new MarkdownNode(type, this.lineNumber)
+		this.tip.appendChild(block)
+		this.tip = block
+		return block
+	}
+
+	/**
+	 * Finalizes the blocks that were not matched by the current line.
+	 * @private
+	 */
+	closeUnmatchedBlocks() {
+		if (this.allClosed) return
+		while (this.oldtip !== this.lastMatchedContainer) {
+			const parent = this.oldtip.parent
+			this.finalize(this.oldtip, this.lineNumber - 1)
+			this.oldtip = parent
+		}
+		this.allClosed = true
+	}
+
+	/**
+	 * Closes a block and makes its parent the new tip.
+	 * @private
+	 */
+	finalize(block, lineNumber) {
+		const above = block.parent
+		block.open = false
+		block.endLine = lineNumber
+		blocks[block.type].finalize(this, block)
+		this.tip = above
+	}
+
+	/**
+	 * Parses the inline content of every paragraph, heading, table cell and single-line custom block.
+	 * @private
+	 */
+	processInlines(node) {
+		for (const child of node.children()) {
+			if (child.type === "paragraph") {
+				this.inlineParser.parse(child, child.content)
+			} else if (child.type === "heading") {
+				const { text, id } = HeadingProcessor.extractId(child.content)
+				child.id = id
+				this.inlineParser.parse(child, text)
+			} else if (child.type === "custom_block" && !child.processor.end) {
+				this.inlineParser.parse(child, child.content)
+			} else if (child.type === "table") {
+				child.headerCells = child.header.map((cell) => this.parseCell(cell))
+				child.bodyRows = child.rows.map((row) => row.map((cell) => this.parseCell(cell)))
+			} else if (child.firstChild) {
+				this.processInlines(child)
+			}
+		}
+	}
+
+	/** @private */
+	parseCell(content) {
+		const cell = new MarkdownNode("table_cell")
+		this.inlineParser.parse(cell, content)
+		return cell
+	}
+}
@@ -1,43 +1,68 @@
-import { CODEBLOCK_PLACEHOLDER } from "./constants.js"
+import { escapeHtml } from "../utils/escapeHtml.js"
 
 /**
- * A utility class to handle code block extraction and reinsertion in a content string.
- * This class provides methods to extract code blocks from the content, replace them with placeholders,
- * and later reinsert the original code blocks back into the content.
+ * A utility class to render code blocks (fenced or indented) into HTML.
+ * The code is always HTML-escaped, so markup inside code samples is displayed instead of being executed,
+ * unless a highlighter takes over the rendering.
  */
 export class CodeBlockProcessor {
 	/**
-	 * Extracts code blocks from the provided content and replaces them with placeholders.
-	 * The extracted code blocks are returned separately so they can be reinserted later.
+	 * Parses the info string of a fenced code block.
+	 * The first word is the language, the rest is metadata made of `key=value` pairs
+	 * (values may be wrapped in single or double quotes) and bare flags.
 	 *
-	 * @param {string} content - The content string containing code blocks to be extracted.
-	 * @returns {Object} - An object containing:
-	 *   - `processedContent`: The content with placeholders for code blocks.
-	 *   - `codeBlocks`: An array of the extracted code blocks.
+	 * @example
+	 * CodeBlockProcessor.parseInfo('js title="app.js" linenums')
+	 * // => { language: "js", meta: { title: "app.js", linenums: true }, info: 'js title="app.js" linenums' }
+	 *
+	 * @param {string} [info=""] - The info string following the opening fence.
+	 * @returns {{language: string, meta: object, info: string}} - The language, the metadata and the trimmed info string.
 	 */
-	static extract(content) {
-		const codeBlocks = []
-		// Regular expression to match code blocks (enclosed in triple backticks)
-		const pattern = /(```[\s\S]*?```)/g
+	static parseInfo(info = "") {
+		const trimmed = info.trim()
+		const tokens = trimmed.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || []
+		const language = tokens.length > 0 && !tokens[0].includes("=") ? tokens.shift() : ""
+		const meta = {}
 
-		// Replace code blocks with placeholders, saving the original code blocks
-		const processedContent = content.replace(pattern, (match) => {
-			codeBlocks.push(match)
-			return `${CODEBLOCK_PLACEHOLDER}${codeBlocks.length - 1}`
-		})
+		for (const token of tokens) {
+			const match = token.match(/^([^=]+)=(.*)$/)
+			if (match) {
+				meta[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2")
+			} else {
+				meta[token] = true
+			}
+		}
 
-		return { processedContent, codeBlocks }
+		return { language, meta, info: trimmed }
 	}
 
 	/**
-	 * Reinserts the original code blocks back into the content, replacing the placeholders with the actual code blocks.
+	 * Renders a code block into a `<pre><code>` element.
+	 * The language is added as a `language-*` class on the `<code>` element.
+	 *
+	 * When a `highlight` function is provided, it is called with the raw code and the parsed info string
+	 * (`{ language, meta, info }`). It may return:
+	 * - a string starting with `<pre`, used as the complete markup of the block;
+	 * - any other non-empty string, used as the (already escaped) inner HTML of the `<code>` element;
+	 * - anything else (e.g. `null`), to fall back to the default escaped output.
 	 *
-	 * @param {string} content - The content string with placeholders for code blocks.
-	 * @param {Array<string>} codeBlocks - An array of the original code blocks to be reintegrated.
-	 * @returns {string} - The content with the code blocks reinserted in place of the placeholders.
+	 * @param {string} code - The raw content of the code block.
+	 * @param {string} [info=""] - The info string following the opening fence.
+	 * @param {Function|null} [highlight=null] - An optional highlighter function.
+	 * @returns {string} - The HTML markup of the code block.
 	 */
-	static reinsert(content, codeBlocks) {
-		// Replace placeholders with the corresponding code blocks from the provided array
-		return content.replace(new RegExp(`${CODEBLOCK_PLACEHOLDER}(\\d+)`, "g"), (_, index) => codeBlocks[index])
+	static render(code, info = "", highlight = null) {
+		const parsedInfo = CodeBlockProcessor.parseInfo(info)
+		const classAttr = parsedInfo.language ? ` class="language-${escapeHtml(parsedInfo.language)}"` : ""
+
+		const highlighted = highlight ? highlight(code, parsedInfo) : null
+		if (typeof highlighted !== "string" || highlighted === "") {
+			return `<pre><code${classAttr}>${escapeHtml(code)}</code></pre>`
+		}
+		if (highlighted.startsWith("<pre")) {
+			return highlighted
+		}
+
+		return `<pre><code${classAttr}>${highlighted}</code></pre>`
 	}
 }
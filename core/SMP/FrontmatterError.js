@@ -0,0 +1,31 @@
+/**
+ * An error raised when frontmatter can't be parsed or doesn't match its schema.
+ * It lists every problem found, possibly in several files, so that all of them can be fixed at once.
+ */
+export class FrontmatterError extends Error {
+	/**
+	 * @param {Array<{file: string, line?: number, key?: string, message: string}>} errors - The problems found:
+	 * the file path, the line (starting at 1) and the dotted key they concern, if any, and what is wrong
+	 * @param {Error} [cause] - The original error
+	 */
+	constructor(errors, cause) {
+		super(FrontmatterError.format(errors), cause ? { cause } : undefined)
+		this.name = "FrontmatterError"
+		this.errors = errors
+	}
+
+	/**
+	 * Formats problems as a message, one line per problem (`views/posts/a.md:3 date: expected a date, got ...`).
+	 *
+	 * @param {Array<Object>} errors - The problems, as given to the constructor
+	 * @returns {string} The message
+	 */
+	static format(errors) {
+		const files = new Set(errors.map(({ file }) => file)).size
+		const count = `${errors.length} error${errors.length === 1 ? "" : "s"} in ${files} file${files === 1 ? "" : "s"}`
+		const lines = errors.map(({ file, line, key, message }) => {
+			return `  ${file}${line ? `:${line}` : ""} ${key ? `${key}: ` : ""}${message}`
+		})
+		return `Invalid frontmatter (${count}):\n${lines.join("\n")}`
+	}
+}
@@ -1,374 +1,1026 @@
-import { validators } from "./utils/validators.js"
+import { validators, parseTimestamp } from "./utils/validators.js"
+import { TomlParser } from "./TomlParser.js"
 
 /**
- * A robust parser for YAML-like frontmatter content that handles nested structures,
- * arrays, and multiple value types (strings, numbers, booleans, dates).
+ * A YAML 1.2 parser for frontmatter content. Plain values are resolved with the core schema
+ * (strings, numbers, booleans, null), and YAML timestamps as dates.
  *
  * Features:
- * - Supports nested objects via indentation
- * - Auto-detects and converts value types
- * - Handles simple arrays with mixed content
- * - Provides detailed error reporting
+ * - Block mappings and sequences, including sequences of mappings (`- name: x`)
+ * - Flow collections (`[a, b]`, `{ a: 1 }`), which may span several lines
+ * - Plain, single-quoted and double-quoted values, on one or several lines, with escapes
+ * - Literal (`|`) and folded (`>`) block values, with chomping and indentation indicators
+ * - Anchors (`&name`), aliases (`*name`) and merge keys (`<<: *name`)
+ * - Comments, quoted keys, explicit keys (`? key`) and standard tags (`!!str`, `!!int`, ...)
+ *
+ * Unlike the specification, plain values of block mappings may contain `: ` (`title: Hugo: a guide`),
+ * as the former frontmatter parser accepted them.
+ *
+ * TOML frontmatter is parsed by `TomlParser`, and JSON frontmatter with `JSON.parse`.
  */
 export class FrontmatterParser {
     static _ERRORS = {
         INVALID_INPUT: "Input must be an array of strings",
-        EMPTY_CONTENT: "Empty frontmatter content",
-        INVALID_ARRAY: "Invalid array format",
+        UNKNOWN_FORMAT: "Unknown frontmatter format:",
+        NOT_A_MAPPING: "Frontmatter must be a mapping of keys to values",
         MISSING_VALIDATOR: "Missing required validator function:",
     }
 
     /**
      * Parses lines of frontmatter content into a structured object.
-     * Supports both YAML and JSON-like syntax including:
-     * - Key-value pairs
-     * - Nested objects
-     * - Arrays (both bracket-style and hyphen-style)
-     * - Multiple value types (strings, numbers, booleans, dates)
+     * Empty frontmatter is an empty object.
      *
      * @param {string[]} lines - Lines to parse (e.g., from file.split('\n'))
+     * @param {string} [format="yaml"] - The frontmatter format: "yaml", "toml" or "json"
+     * @param {Object} [options] - Parsing options
+     * @param {number} [options.firstLine=1] - The line number of the first line, in the file it comes from
+     * @param {Map<string, number>} [options.keyLines] - A map filled with the line of each key, by dotted path
+     * (`author.name`, `tags.0`)
      * @returns {Object} Parsed frontmatter object
-     * @throws {Error} When parsing fails with context about the error
+     * @throws {Error} When parsing fails, with the line of the error in its message and its `line` property
      * @example
      * const fm = FrontmatterParser.parse([
      *   'title: Hello World',
      *   'tags: [js, yaml]',
-     *   'fruits:',
-     *   '  - apple',
-     *   '  - banana'
+     *   'links:',
+     *   '  - name: Docs',
+     *   '    url: /docs',
+     *   'summary: >',
+     *   '  Folded text,',
+     *   '  on two lines',
      * ]);
      */
-    static parse(lines) {
+    static parse(lines, format = "yaml", options = {}) {
         this._validateInput(lines)
         this._validateValidators()
+        const { firstLine = 1, keyLines } = options
 
-        const result = {}
-        const stack = new NestedStack(result)
+        const source = lines.map((line) => line.replace(/\r$/, "")).join("\n")
+        if (!source.trim()) return {}
 
+        const sourceKeyLines = keyLines ? new Map() : null
+        let document
         try {
-            for (let i = 0; i < lines.length; i++) {
-                const nextLine = i + 1 < lines.length ? lines[i + 1] : null
-                this._processLine(lines[i], stack, i + 1, nextLine)
+            if (format === "yaml") {
+                document = new YamlReader(source, sourceKeyLines).readDocument()
+            } else if (format === "toml") {
+                document = TomlParser.parse(source, { keyLines: sourceKeyLines })
+            } else if (format === "json") {
+                document = this._parseJson(source, sourceKeyLines)
+            } else {
+                throw new Error(`${this._ERRORS.UNKNOWN_FORMAT} ${format}`)
             }
         } catch (error) {
-            throw new Error(`Frontmatter parsing failed: ${error.message}`)
+            throw this._parsingError(error.reason ?? error.message, error.line && error.line + firstLine - 1)
         }
 
-        return result
+        if (document === null) return {}
+        if (typeof document !== "object" || Array.isArray(document) || document instanceof Date) {
+            throw this._parsingError(this._ERRORS.NOT_A_MAPPING, firstLine)
+        }
+        sourceKeyLines?.forEach((line, key) => keyLines.set(key, line + firstLine - 1))
+        return document
     }
 
     /**
-     * Processes a single line of frontmatter content
+     * Creates a parsing error, with its line if known
      * @private
-     * @param {string} line - Line to process
-     * @param {NestedStack} stack - Current parsing stack
-     * @param {number} lineNumber - For error reporting
-     * @param {string|null} nextLine - The next line in the input (used for array detection)
+     * @param {string} reason - What went wrong
+     * @param {number} [line] - The line of the error
+     * @returns {Error} An error with `reason` and `line` properties
      */
-    static _processLine(line, stack, lineNumber, nextLine) {
-        if (this._shouldSkipLine(line)) return
+    static _parsingError(reason, line) {
+        const location = line ? `Line ${line}: ` : ""
+        return Object.assign(new Error(`Frontmatter parsing failed: ${location}${reason}`), { reason, line })
+    }
 
-        const { indent, trimmedLine } = this._parseLineIndentation(line)
-        stack.adjustToIndent(indent)
+    /**
+     * Parses JSON frontmatter, recording the line of each key
+     * @private
+     * @param {string} source - The JSON source
+     * @param {Map<string, number>|null} keyLines - A map filled with the line of each key, by dotted path
+     * @returns {any} The parsed value
+     * @throws {Error} When the JSON is invalid, with the line of the error if known
+     */
+    static _parseJson(source, keyLines) {
+        let document
+        try {
+            document = JSON.parse(source)
+        } catch (error) {
+            const position = /at position (\d+)/.exec(error.message)
+            if (!position) throw error
+            const line = source.slice(0, Number(position[1])).split("\n").length
+            throw Object.assign(new Error(error.message), { line })
+        }
+        if (!keyLines) return document
 
-        if (trimmedLine.startsWith("- ")) {
-            this._processArrayItem(trimmedLine, stack, lineNumber)
-        } else if (trimmedLine.includes(":")) {
-            this._processKeyValueLine(trimmedLine, stack, lineNumber, nextLine)
+        // The JSON is valid: strings only contain escaped line breaks, and a string followed by `:` is a key
+        const containers = [] // The opening brackets of the collections around the position
+        const path = [] // The key or index within each of these collections
+        let line = 1
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i]
+            if (char === "\n") {
+                line++
+            } else if (char === "{" || char === "[") {
+                containers.push(char)
+                path.push(0)
+            } else if (char === "}" || char === "]") {
+                containers.pop()
+                path.pop()
+            } else if (char === "," && containers.at(-1) === "[") {
+                path[path.length - 1]++
+            } else if (char === '"') {
+                let end = i + 1
+                while (source[end] !== '"') end += source[end] === "\\" ? 2 : 1
+                const separator = /\s*:/y
+                separator.lastIndex = end + 1
+                if (separator.test(source)) {
+                    path[path.length - 1] = JSON.parse(source.slice(i, end + 1))
+                    const key = path.join(".")
+                    if (!keyLines.has(key)) keyLines.set(key, line)
+                }
+                i = end
+            }
         }
+        return document
     }
 
     /**
-     * Processes a YAML array item (lines starting with "- ")
+     * Resolves a scalar value from its tag, or from its content for untagged plain values
      * @private
-     * @param {string} line - Line starting with array marker
-     * @param {NestedStack} stack - Current parsing stack
-     * @param {number} lineNumber - For error reporting
-     * @throws {Error} When array items appear without a parent key
+     * @param {string} value - The scalar content, unquoted and unescaped
+     * @param {string|null} tag - The tag of the value (e.g. "!!str"), if any
+     * @param {boolean} plain - Whether the value is plain (neither quoted nor a block value)
+     * @returns {any} Resolved value (string|number|boolean|Date|null)
+     * @throws {Error} When the value doesn't match its tag
      */
-    static _processArrayItem(line, stack, lineNumber) {
-        const itemContent = line.slice(2).trim()
-
-        try {
-            if (!stack.currentArray) {
-                // Check if we're at the root level
-                if (stack.stack.length === 1) {
-                    throw new Error("Root level arrays need explicit key")
+    static _resolveScalar(value, tag, plain) {
+        switch (tag) {
+            case "!!str":
+            case "!":
+                return value
+            case "!!null":
+                return null
+            case "!!bool":
+                if (!validators.isBoolean(value)) throw new Error(`Invalid !!bool value: ${value}`)
+                return value.toLowerCase() === "true"
+            case "!!int":
+                if (!validators.isInteger(value)) throw new Error(`Invalid !!int value: ${value}`)
+                return this._parseInteger(value)
+            case "!!float":
+                if (!validators.isFloat(value) && !validators.isInteger(value)) {
+                    throw new Error(`Invalid !!float value: ${value}`)
                 }
+                return validators.isFloat(value) ? this._parseFloat(value) : this._parseInteger(value)
+            case "!!timestamp":
+                if (!validators.isTimestamp(value)) throw new Error(`Invalid !!timestamp value: ${value}`)
+                return parseTimestamp(value)
+        }
 
-                // Convert the last assigned key to an array
-                const lastKey = Object.keys(stack.currentObj).pop()
-                if (!lastKey) {
-                    throw new Error("Array items must belong to a key")
-                }
+        // Quoted values, block values and values with custom tags are strings
+        if (!plain) return value
+
+        if (validators.isNull(value)) return null
+        if (validators.isBoolean(value)) return value.toLowerCase() === "true"
+        if (validators.isInteger(value)) return this._parseInteger(value)
+        if (validators.isFloat(value)) return this._parseFloat(value)
+        if (validators.isTimestamp(value)) return parseTimestamp(value)
+        return value
+    }
+
+    /**
+     * Parses a decimal, octal (0o) or hexadecimal (0x) integer
+     * @private
+     * @param {string} value - Integer to parse
+     * @returns {number} Parsed integer
+     */
+    static _parseInteger(value) {
+        if (value.startsWith("0o")) return parseInt(value.slice(2), 8)
+        if (value.startsWith("0x")) return parseInt(value.slice(2), 16)
+        return Number(value)
+    }
+
+    /**
+     * Parses a float, infinity or not a number
+     * @private
+     * @param {string} value - Float to parse
+     * @returns {number} Parsed float
+     */
+    static _parseFloat(value) {
+        if (/\.nan$/i.test(value)) return NaN
+        if (/\.inf$/i.test(value)) return value.startsWith("-") ? -Infinity : Infinity
+        return Number(value)
+    }
 
-                stack.currentObj[lastKey] = []
-                stack.currentArray = stack.currentObj[lastKey]
+    /**
+     * Validates the input lines array
+     * @private
+     * @param {any} lines - Input to validate
+     * @throws {Error} When input is invalid
+     */
+    static _validateInput(lines) {
+        if (!Array.isArray(lines)) {
+            throw new Error(this._ERRORS.INVALID_INPUT)
+        }
+    }
+
+    /**
+     * Verifies all required validator functions exist
+     * @private
+     * @throws {Error} When any validator is missing
+     */
+    static _validateValidators() {
+        const requiredValidators = ["isNull", "isBoolean", "isInteger", "isFloat", "isTimestamp"]
+
+        for (const validator of requiredValidators) {
+            if (typeof validators[validator] !== "function") {
+                throw new Error(`${this._ERRORS.MISSING_VALIDATOR} ${validator}`)
             }
+        }
+    }
+}
 
-            stack.currentArray.push(this._parseValue(itemContent))
-        } catch (error) {
-            throw new Error(`Line ${lineNumber}: ${error.message}`)
+// Escape sequences of double-quoted values, besides \x, \u and \U
+const ESCAPES = {
+    0: "\0",
+    a: "\x07",
+    b: "\b",
+    t: "\t",
+    "\t": "\t",
+    n: "\n",
+    v: "\v",
+    f: "\f",
+    r: "\r",
+    e: "\x1b",
+    " ": " ",
+    '"': '"',
+    "/": "/",
+    "\\": "\\",
+    N: "\x85",
+    _: "\xa0",
+    L: "\u2028",
+    P: "\u2029",
+}
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 }
+
+/**
+ * Reads the nodes of a YAML document from its source.
+ * Reading a node leaves the position at the first character of the next content line, or at the end of the source,
+ * so that the column of the position is the indentation of that line.
+ * @private
+ */
+class YamlReader {
+    /**
+     * Creates a new YamlReader instance
+     * @param {string} source - The YAML source
+     * @param {Map<string, number>|null} [keyLines] - A map filled with the line of each key, by dotted path
+     */
+    constructor(source, keyLines = null) {
+        this.source = source
+        this.pos = 0
+        this.anchors = new Map() // Anchored values by name
+        this.keyLines = keyLines // Lines of the keys by dotted path, when recorded
+        this.path = [] // Keys and indexes leading to the node being read, null within explicit keys
+    }
+
+    /**
+     * Reads the document
+     * @returns {any} The document value, null if it is empty
+     */
+    readDocument() {
+        this._skipToContent()
+        if (this._atEnd()) return null
+
+        const document = this._readNode(-1, "document")
+        if (!this._atEnd()) throw this._error("Unexpected content")
+        return document
+    }
+
+    /**
+     * Reads a block node, with its anchor and tag
+     * @private
+     * @param {number} parentIndent - The indentation of the parent collection
+     * @param {string} context - "document", "entry" (after `- ` or `? `) or "value" (after `key:`)
+     * @returns {any} The node value
+     */
+    _readNode(parentIndent, context) {
+        this._skipSpaces()
+        const { anchor, tag } = this._readProperties(false)
+
+        let value
+        if (this._atLineEnd()) {
+            // The node starts on a following line, or is empty
+            this._skipToContent()
+            const column = this._column()
+            if (!this._atEnd() && column > parentIndent) {
+                value = this._readContent(parentIndent, true, tag)
+            } else if (!this._atEnd() && column === parentIndent && context === "value" && this._atIndicator("-")) {
+                // The entries of a sequence may have the indentation of its key
+                value = this._readBlockSequence(column)
+            } else {
+                value = FrontmatterParser._resolveScalar("", tag, true)
+            }
+        } else {
+            // Collections can't start on the line of their key: `key: a: b` is the string "a: b"
+            value = this._readContent(parentIndent, context !== "value", tag)
         }
+
+        if (anchor) this.anchors.set(anchor, value)
+        return value
     }
 
     /**
-     * Processes a key-value pair line
+     * Reads the content of a node, starting at the position
      * @private
-     * @param {string} line - Trimmed line containing "key: value"
-     * @param {NestedStack} stack - Current parsing stack
-     * @param {number} lineNumber - For error context
-     * @param {string|null} nextLine - The next line in the input (used for array detection)
-     * @throws {Error} When value parsing fails
+     * @param {number} parentIndent - The indentation of the parent collection
+     * @param {boolean} allowCollections - Whether the content may be a block mapping or sequence
+     * @param {string|null} tag - The tag of the node
+     * @returns {any} The node value
      */
-    static _processKeyValueLine(line, stack, lineNumber, nextLine) {
-        const [key, ...valueParts] = line.split(":")
-        const trimmedKey = key.trim()
-        const rawValue = valueParts.join(":").trim()
+    _readContent(parentIndent, allowCollections, tag) {
+        const char = this.source[this.pos]
 
-        if (!trimmedKey) return
+        if (allowCollections) {
+            if (this._atIndicator("-")) return this._readBlockSequence(this._column())
+            if (this._atIndicator("?") || this._atImplicitKey()) return this._readBlockMapping(this._column())
+        }
+        if (char === "|" || char === ">") return this._readBlockScalar(parentIndent, tag)
 
-        try {
-            if (rawValue === "" || rawValue.endsWith(":")) {
-                // Check if the next line starts with array syntax
-                if (nextLine && nextLine.trim().startsWith("- ")) {
-                    // Initialize as array
-                    stack.currentObj[trimmedKey] = []
-                    stack.currentArray = stack.currentObj[trimmedKey]
+        let value
+        if (char === "[" || char === "{") {
+            value = this._readFlowCollection()
+        } else if (char === "*") {
+            value = this._readAlias()
+        } else if (char === '"' || char === "'") {
+            value = this._resolve(this._readQuoted(), tag, false)
+        } else {
+            value = this._resolve(this._readPlain(parentIndent + 1, false), tag, true)
+        }
+        this._endLine()
+        return value
+    }
+
+    /**
+     * Reads a block mapping whose keys have the given indentation
+     * @private
+     * @param {number} indent - The indentation of the keys
+     * @returns {Object} The mapping
+     */
+    _readBlockMapping(indent) {
+        const mapping = {}
+        const keys = new Set()
+
+        while (true) {
+            const keyPos = this.pos
+            let key
+            let value
+            if (this._atIndicator("?")) {
+                this.pos++
+                this.path.push(null)
+                key = this._keyName(this._readNode(indent, "entry"))
+                this.path.pop()
+                this._checkDuplicateKey(keys, key)
+                this._enterKey(key, keyPos)
+                if (!this._atEnd() && this._column() === indent && this._atIndicator(":")) {
+                    this.pos++
+                    value = this._readNode(indent, "entry")
                 } else {
-                    // Otherwise create a nested object
-                    stack.pushNewObject(trimmedKey)
+                    value = null
                 }
             } else {
-                const parsedValue = this._parseValue(rawValue, trimmedKey)
-                stack.setCurrentValue(trimmedKey, parsedValue)
+                key = this._readImplicitKey()
+                this._checkDuplicateKey(keys, key)
+                this._enterKey(key, keyPos)
+                value = this._readNode(indent, "value")
             }
-        } catch (error) {
-            throw new Error(`Line ${lineNumber}: ${error.message}`)
+            this.path.pop()
+            this._setEntry(mapping, key, value)
+
+            if (this._atEnd() || this._column() < indent) return mapping
+            if (this._column() > indent) throw this._error("Bad indentation of a mapping entry")
+            if (!this._atIndicator("?") && !this._atImplicitKey()) throw this._error("Expected a mapping key")
         }
     }
 
     /**
-     * Parses a value into appropriate JavaScript type
+     * Reads a block sequence whose entries have the given indentation
      * @private
-     * @param {string} value - Value to parse
-     * @param {string} key - Context key for error reporting
-     * @returns {any} Parsed value (string|number|boolean|Date|Array)
+     * @param {number} indent - The indentation of the `-` indicators
+     * @returns {Array} The sequence
      */
-    static _parseValue(value, key) {
-        if (value == null) return value
-        value = value.trim()
-
-        if (validators.isArray(value)) {
-            return this._parseArrayValue(value, key)
+    _readBlockSequence(indent) {
+        const sequence = []
+        while (!this._atEnd() && this._column() === indent && this._atIndicator("-")) {
+            this._enterKey(sequence.length, this.pos)
+            this.pos++
+            sequence.push(this._readNode(indent, "entry"))
+            this.path.pop()
         }
-        return this._parsePrimitiveValue(value)
+        if (!this._atEnd() && this._column() > indent) throw this._error("Bad indentation of a sequence entry")
+        return sequence
     }
 
     /**
-     * Parses array values in format "[item1, item2]". Supports:
-     * - Unquoted strings: [a, b]
-     * - Quoted strings: ["a", "b"]
-     * - Numbers: [1, 2]
-     * - Mixed: [1, "a", true]
+     * Reads a literal (`|`) or folded (`>`) block value
      * @private
-     * @param {string} arrayValue - The array string to parse
-     * @param {string} key - Context key for errors
-     * @returns {Array} Parsed array
-     * @throws {Error} On malformed arrays
+     * @param {number} parentIndent - The indentation of the parent collection
+     * @param {string|null} tag - The tag of the node
+     * @returns {string} The block value
      */
-    static _parseArrayValue(arrayValue, key) {
-        try {
-            const arrayContent = arrayValue.slice(1, -1).trim()
-            if (!arrayContent) return []
-
-            return arrayContent
-                .split(",")
-                .map((item) => item.trim())
-                .filter((item) => item.length > 0)
-                .map((item) => this._parseArrayItem(item))
-        } catch (error) {
-            throw new Error(`${this._ERRORS.INVALID_ARRAY} for key '${key}': ${arrayValue}`)
+    _readBlockScalar(parentIndent, tag) {
+        const { source } = this
+        const folded = source[this.pos] === ">"
+        this.pos++
+
+        // Header: chomping (`-` strip, `+` keep) and indentation indicators, in any order
+        let chomping = "clip"
+        let indentIndicator = 0
+        for (let i = 0; i < 2; i++) {
+            const char = source[this.pos]
+            if ((char === "-" || char === "+") && chomping === "clip") {
+                chomping = char === "-" ? "strip" : "keep"
+                this.pos++
+            } else if (/[1-9]/.test(char) && !indentIndicator) {
+                indentIndicator = Number(char)
+                this.pos++
+            }
         }
+        this._skipSpaces()
+        if (!this._atLineEnd()) throw this._error("Invalid block value header")
+        while (this.pos < source.length && source[this.pos] !== "\n") this.pos++
+
+        let contentIndent = indentIndicator ? Math.max(parentIndent, 0) + indentIndicator : null
+        const lines = []
+        let lineStart = this.pos + 1
+        while (lineStart <= source.length) {
+            const lineEnd = source.indexOf("\n", lineStart) === -1 ? source.length : source.indexOf("\n", lineStart)
+            const line = source.slice(lineStart, lineEnd)
+            if (line.trim() === "") {
+                lines.push("")
+            } else {
+                const indent = line.length - line.replace(/^ +/, "").length
+                // The first content line sets the indentation, unless given by the header
+                if (contentIndent === null) {
+                    if (indent <= parentIndent) break
+                    contentIndent = indent
+                }
+                if (indent < contentIndent) break
+                lines.push(line.slice(contentIndent))
+            }
+            lineStart = lineEnd + 1
+        }
+        this.pos = Math.min(lineStart, source.length)
+        this._skipToContent()
+
+        let value = ""
+        let emptyLines = 0
+        let hasContent = false
+        let previousMoreIndented = false
+        for (const line of lines) {
+            if (line === "") {
+                emptyLines++
+                continue
+            }
+            // Folding joins lines with a space, except around more indented lines and empty lines
+            const moreIndented = line[0] === " " || line[0] === "\t"
+            if (!hasContent) value += "\n".repeat(emptyLines)
+            else if (!folded || moreIndented || previousMoreIndented) value += "\n".repeat(emptyLines + 1)
+            else value += emptyLines ? "\n".repeat(emptyLines) : " "
+
+            value += line
+            hasContent = true
+            previousMoreIndented = moreIndented
+            emptyLines = 0
+        }
+
+        if (chomping === "keep") value += "\n".repeat(hasContent ? emptyLines + 1 : emptyLines)
+        else if (chomping === "clip" && hasContent) value += "\n"
+
+        return this._resolve(value, tag, false)
     }
 
     /**
-     * Parses an individual array item
+     * Reads a flow sequence (`[a, b]`) or mapping (`{ a: 1 }`)
      * @private
-     * @param {string} item - The array item to parse
-     * @returns {any} Parsed item value
+     * @returns {Array|Object} The collection
      */
-    static _parseArrayItem(item) {
-        // Handle empty quoted strings
-        if (item === '""' || item === "''") return ""
+    _readFlowCollection() {
+        const { source } = this
+        const isSequence = source[this.pos] === "["
+        const close = isSequence ? "]" : "}"
+        const collection = isSequence ? [] : {}
+        const keys = new Set()
+        this.pos++
+
+        while (true) {
+            this._skipFlowSpace()
+            if (this._atEnd()) throw this._error(`Unterminated flow collection, expected ${close}`)
+            if (source[this.pos] === close) {
+                this.pos++
+                return collection
+            }
+
+            // An entry is a value, or a key and a value (`key: value`, which makes a single pair mapping in sequences)
+            if (isSequence) this.path.push(collection.length)
+            const keyPos = this.pos
+            const key = source[this.pos] === ":" ? null : this._readFlowNode()
+            let value = null
+            let isPair = false
+            this._skipFlowSpace()
+            if (source[this.pos] === ":") {
+                this.pos++
+                isPair = true
+                this._skipFlowSpace()
+                this._enterKey(this._keyName(key), keyPos)
+                if (source[this.pos] !== "," && source[this.pos] !== close) value = this._readFlowNode()
+                this.path.pop()
+            } else if (!isSequence) {
+                this._enterKey(this._keyName(key), keyPos)
+                this.path.pop()
+            }
+            if (isSequence) this.path.pop()
 
-        if (validators.isQuotedString(item)) {
-            return this._parseQuotedString(item)
+            if (!isSequence) {
+                const name = this._keyName(key)
+                this._checkDuplicateKey(keys, name)
+                this._setEntry(collection, name, value)
+            } else if (isPair) {
+                const pair = {}
+                this._setEntry(pair, this._keyName(key), value)
+                collection.push(pair)
+            } else {
+                collection.push(key)
+            }
+
+            this._skipFlowSpace()
+            if (source[this.pos] === ",") this.pos++
+            else if (!this._atEnd() && source[this.pos] !== close) {
+                throw this._error(`Expected , or ${close} in flow collection`)
+            }
         }
-        if (validators.isNumber(item)) {
-            return parseFloat(item)
+    }
+
+    /**
+     * Reads a node of a flow collection
+     * @private
+     * @returns {any} The node value
+     */
+    _readFlowNode() {
+        const { anchor, tag } = this._readProperties(true)
+        const char = this.source[this.pos]
+
+        let value
+        if (char === "[" || char === "{") value = this._readFlowCollection()
+        else if (char === "*") value = this._readAlias()
+        else if (char === '"' || char === "'") value = this._resolve(this._readQuoted(), tag, false)
+        else value = this._resolve(this._readPlain(0, true), tag, true)
+
+        if (anchor) this.anchors.set(anchor, value)
+        return value
+    }
+
+    /**
+     * Reads the anchor (`&name`) and tag (`!!str`) of a node, in any order
+     * @private
+     * @param {boolean} flow - Whether the node is in a flow collection
+     * @returns {{anchor: string|null, tag: string|null}}
+     */
+    _readProperties(flow) {
+        let anchor = null
+        let tag = null
+        while (this.source[this.pos] === "&" || this.source[this.pos] === "!") {
+            const isAnchor = this.source[this.pos] === "&"
+            if (isAnchor) this.pos++
+            const name = this._readName()
+            if (!name) throw this._error("Expected an anchor name")
+            if (isAnchor) anchor = name
+            else tag = name
+            if (flow) this._skipFlowSpace()
+            else this._skipSpaces()
         }
-        return item // Return as-is for unquoted strings
+        return { anchor, tag }
+    }
+
+    /**
+     * Reads an alias (`*name`) and returns the anchored value
+     * @private
+     * @returns {any} The anchored value
+     */
+    _readAlias() {
+        this.pos++
+        const name = this._readName()
+        if (!this.anchors.has(name)) throw this._error(`Unknown alias: *${name}`)
+        return this.anchors.get(name)
     }
 
     /**
-     * Parses primitive values (string, number, boolean, date)
+     * Reads an anchor, alias or tag name
      * @private
-     * @param {string} value - Value to parse
-     * @returns {any} Parsed value
+     * @returns {string} The name
      */
-    static _parsePrimitiveValue(value) {
-        if (validators.isQuotedString(value)) {
-            return this._parseQuotedString(value)
+    _readName() {
+        const start = this.pos
+        while (this.pos < this.source.length && !/[\s,[\]{}]/.test(this.source[this.pos])) this.pos++
+        return this.source.slice(start, this.pos)
+    }
+
+    /**
+     * Reads the key of a block mapping entry, up to and including its `:`
+     * @private
+     * @returns {string} The key
+     */
+    _readImplicitKey() {
+        let key
+        const char = this.source[this.pos]
+        if (char === '"' || char === "'") {
+            key = this._readQuoted()
+        } else {
+            const line = this.source.slice(this.pos, this._lineEnd())
+            const separator = /:(?=[ \t]|$)/.exec(line)
+            key = line.slice(0, separator.index).trimEnd()
+            this.pos += separator.index
         }
-        if (validators.isNumber(value)) {
-            return parseFloat(value)
+        this._skipSpaces()
+        this.pos++ // The `:` checked by _atImplicitKey
+        return key
+    }
+
+    /**
+     * Reads a single-quoted or double-quoted value, which may span several lines
+     * @private
+     * @returns {string} The unquoted and unescaped value
+     */
+    _readQuoted() {
+        const { source } = this
+        const quote = source[this.pos]
+        const start = this.pos
+        this.pos++
+
+        let value = ""
+        let kept = 0 // Length of the value without the whitespace that ends a line, which is folded
+        while (true) {
+            if (this._atEnd()) {
+                this.pos = start
+                throw this._error("Unterminated quoted value")
+            }
+            const char = source[this.pos]
+
+            if (char === quote) {
+                // In single-quoted values, '' is a quote
+                if (quote === "'" && source[this.pos + 1] === "'") {
+                    value += "'"
+                    kept = value.length
+                    this.pos += 2
+                    continue
+                }
+                this.pos++
+                return value
+            }
+
+            if (char === "\\" && quote === '"') {
+                if (source[this.pos + 1] === "\n") {
+                    // An escaped line break joins the lines without space
+                    this.pos += 2
+                    while (source[this.pos] === " " || source[this.pos] === "\t") this.pos++
+                    continue
+                }
+                value += this._readEscape()
+                kept = value.length
+                continue
+            }
+
+            if (char === "\n") {
+                // A line break is folded into a space, empty lines into line breaks
+                value = value.slice(0, kept)
+                this.pos++
+                let emptyLines = 0
+                while (true) {
+                    while (source[this.pos] === " " || source[this.pos] === "\t") this.pos++
+                    if (source[this.pos] !== "\n") break
+                    emptyLines++
+                    this.pos++
+                }
+                value += emptyLines ? "\n".repeat(emptyLines) : " "
+                kept = value.length
+                continue
+            }
+
+            value += char
+            if (char !== " " && char !== "\t") kept = value.length
+            this.pos++
         }
-        if (validators.isBoolean(value)) {
-            return value.toLowerCase() === "true"
+    }
+
+    /**
+     * Reads an escape sequence of a double-quoted value
+     * @private
+     * @returns {string} The escaped character
+     */
+    _readEscape() {
+        const char = this.source[this.pos + 1]
+        if (char in ESCAPES) {
+            this.pos += 2
+            return ESCAPES[char]
         }
-        if (validators.isValidDate(value)) {
-            return new Date(value)
+
+        const length = HEX_ESCAPE_LENGTHS[char]
+        const digits = length ? this.source.slice(this.pos + 2, this.pos + 2 + length) : ""
+        if (!length || !new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) {
+            throw this._error(`Invalid escape sequence \\${char ?? ""}`)
         }
-        return value
+        this.pos += 2 + length
+        return String.fromCodePoint(parseInt(digits, 16))
     }
 
     /**
-     * Parses quoted strings and handles basic escaping
+     * Reads a plain value, folding its continuation lines
      * @private
-     * @param {string} value - Quoted string (e.g., '"hello"')
-     * @returns {string} Unquoted and unescaped string
+     * @param {number} minIndent - The minimum indentation of continuation lines in block context
+     * @param {boolean} flow - Whether the value is in a flow collection
+     * @returns {string} The value
      */
-    static _parseQuotedString(value) {
-        const unquoted = value.slice(1, -1)
-        return unquoted.replace(/\\"/g, '"').replace(/\\'/g, "'")
+    _readPlain(minIndent, flow) {
+        let value = this._readPlainLine(flow)
+        while (true) {
+            const continuation = this._plainContinuation(minIndent, flow)
+            if (!continuation) return value
+            this.pos = continuation.pos
+            value += continuation.emptyLines ? "\n".repeat(continuation.emptyLines) : " "
+            value += this._readPlainLine(flow)
+        }
     }
 
     /**
-     * Validates the input lines array
+     * Reads the part of a plain value on the current line, which ends before a comment,
+     * or in flow collections before `,`, a bracket or a `: ` separator
      * @private
-     * @param {any} lines - Input to validate
-     * @throws {Error} When input is invalid
+     * @param {boolean} flow - Whether the value is in a flow collection
+     * @returns {string} The value part, without trailing whitespace
      */
-    static _validateInput(lines) {
-        if (!Array.isArray(lines)) {
-            throw new Error(this._ERRORS.INVALID_INPUT)
+    _readPlainLine(flow) {
+        const { source } = this
+        const start = this.pos
+        while (this.pos < source.length) {
+            const char = source[this.pos]
+            if (char === "\n") break
+            if (char === "#" && (source[this.pos - 1] === " " || source[this.pos - 1] === "\t")) break
+            if (flow && (",[]{}".includes(char) || (char === ":" && /^[\s,[\]{}]?$/.test(source[this.pos + 1] ?? "")))) {
+                break
+            }
+            this.pos++
         }
-        if (lines.length === 0) {
-            throw new Error(this._ERRORS.EMPTY_CONTENT)
+        return source.slice(start, this.pos).trimEnd()
+    }
+
+    /**
+     * Looks for the continuation line of a plain value, after the current line and any empty lines
+     * @private
+     * @param {number} minIndent - The minimum indentation of the continuation line in block context
+     * @param {boolean} flow - Whether the value is in a flow collection
+     * @returns {{pos: number, emptyLines: number}|null} The start of the continuation and the number of empty lines
+     */
+    _plainContinuation(minIndent, flow) {
+        const { source } = this
+        let i = this.pos
+        while (source[i] === " " || source[i] === "\t") i++
+        if (source[i] !== "\n") return null
+
+        let emptyLines = -1
+        while (source[i] === "\n") {
+            i++
+            emptyLines++
+            const lineStart = i
+            while (source[i] === " " || source[i] === "\t") i++
+            if (source[i] === "\n") continue
+
+            const char = source[i]
+            if (i >= source.length || char === "#") return null
+            if (flow ? ",[]{}:".includes(char) : i - lineStart < minIndent) return null
+            return { pos: i, emptyLines }
         }
+        return null
     }
 
     /**
-     * Verifies all required validator functions exist
+     * Resolves a scalar, with the position of the node in errors
      * @private
-     * @throws {Error} When any validator is missing
      */
-    static _validateValidators() {
-        const requiredValidators = ["isArray", "isQuotedString", "isNumber", "isBoolean", "isValidDate"]
+    _resolve(value, tag, plain) {
+        try {
+            return FrontmatterParser._resolveScalar(value, tag, plain)
+        } catch (error) {
+            throw this._error(error.message)
+        }
+    }
 
-        for (const validator of requiredValidators) {
-            if (typeof validators[validator] !== "function") {
-                throw new Error(`${this._ERRORS.MISSING_VALIDATOR} ${validator}`)
+    /**
+     * Adds an entry to a mapping. Merge keys (`<<`) add the entries of a mapping, or of a sequence of mappings,
+     * that the mapping doesn't have.
+     * @private
+     * @param {Object} mapping - The mapping
+     * @param {string} key - The key
+     * @param {any} value - The value
+     */
+    _setEntry(mapping, key, value) {
+        if (key === "<<") {
+            for (const source of Array.isArray(value) ? value : [value]) {
+                if (!source || typeof source !== "object" || Array.isArray(source)) {
+                    throw this._error("Merge keys (<<) need a mapping or a sequence of mappings")
+                }
+                for (const [name, merged] of Object.entries(source)) {
+                    if (!Object.hasOwn(mapping, name)) this._defineEntry(mapping, name, merged)
+                }
             }
+            return
         }
+        this._defineEntry(mapping, key, value)
     }
 
     /**
-     * Determines if a line should be skipped (comments or empty lines)
+     * Defines a property, so that keys like `__proto__` are plain properties
      * @private
-     * @param {string} line - Line to check
-     * @returns {boolean} True if line should be skipped
      */
-    static _shouldSkipLine(line) {
-        //return line.startsWith("#") || !line.trim()
-        return (line.startsWith("#") || !line.trim()) && !line.trim().startsWith("- ")
+    _defineEntry(mapping, key, value) {
+        Object.defineProperty(mapping, key, { value, writable: true, enumerable: true, configurable: true })
     }
 
     /**
-     * Extracts indentation info from a line
+     * Throws on a key already set explicitly in the mapping, merged keys can be overridden
      * @private
-     * @param {string} line - Line to parse
-     * @returns {{indent: number, trimmedLine: string}}
+     * @param {Set<string>} keys - The keys set explicitly
+     * @param {string} key - The new key
      */
-    static _parseLineIndentation(line) {
-        const trimmedLine = line.trim()
-        const indent = line.length - line.trimStart().length
-        return { indent, trimmedLine }
+    _checkDuplicateKey(keys, key) {
+        if (key !== "<<" && keys.has(key)) throw this._error(`Duplicate key: ${key}`)
+        keys.add(key)
     }
-}
 
-/**
- * Helper class for managing nested object hierarchy during parsing
- * @private
- */
-class NestedStack {
     /**
-     * Creates a new NestedStack instance
-     * @param {Object} rootObj - The root object to start with
+     * Records the line of a key and makes it the last part of the path of the nodes being read,
+     * until the path is popped
+     * @private
+     * @param {string} key - The key
+     * @param {number} keyPos - The position of the key
      */
-    constructor(rootObj) {
-        this.stack = [{ obj: rootObj, indent: -1 }]
-        this.currentArray = null
-        this.currentKey = null
+    _enterKey(key, keyPos) {
+        this.path.push(key)
+        if (this.keyLines && !this.path.includes(null)) {
+            const path = this.path.join(".")
+            if (!this.keyLines.has(path)) this.keyLines.set(path, this._line(keyPos))
+        }
     }
 
     /**
-     * Gets the current working object
-     * @returns {Object} Current object in stack
+     * Converts a key value to a property name
+     * @private
      */
-    get currentObj() {
-        return this.stack[this.stack.length - 1].obj
+    _keyName(key) {
+        if (key instanceof Date) return key.toISOString()
+        return key !== null && typeof key === "object" ? JSON.stringify(key) : String(key)
     }
 
     /**
-     * Gets the most recently used key in the current object
-     * @returns {string|null} The current key or null if none
+     * Tells whether the current line starts with a block mapping key: a quoted or plain key followed by `:`
+     * and a space or the end of the line
+     * @private
+     * @returns {boolean}
      */
-    getCurrentKey() {
-        return this.currentKey
+    _atImplicitKey() {
+        const { source } = this
+        const end = this._lineEnd()
+        const char = source[this.pos]
+
+        if (char === '"' || char === "'") {
+            // Find the closing quote, past escapes and '' quotes
+            let i = this.pos + 1
+            while (i < end) {
+                if (char === '"' && source[i] === "\\") i += 2
+                else if (source[i] === char && char === "'" && source[i + 1] === "'") i += 2
+                else if (source[i] === char) break
+                else i++
+            }
+            if (i >= end) return false
+            i++
+            while (source[i] === " " || source[i] === "\t") i++
+            return source[i] === ":" && (i + 1 >= end || source[i + 1] === " " || source[i + 1] === "\t")
+        }
+        if ("[{*|>#".includes(char) || this._atIndicator("-")) return false
+
+        // The first `: ` separator, unless a comment comes first
+        const match = /(?:^|[ \t])#|:(?=[ \t]|$)/.exec(source.slice(this.pos, end))
+        return match !== null && match[0] === ":"
     }
 
     /**
-     * Sets a value in the current object and updates context
-     * @param {string} key - The key to set
-     * @param {any} value - The value to assign
+     * Tells whether the position is at an indicator (`-`, `?` or `:`) followed by a space or a line end
+     * @private
+     * @param {string} indicator - The indicator
+     * @returns {boolean}
      */
-    setCurrentValue(key, value) {
-        this.currentKey = key
-        this.currentArray = null // Reset array context when setting a new value
-        this.currentObj[key] = value
+    _atIndicator(indicator) {
+        const next = this.source[this.pos + 1]
+        return this.source[this.pos] === indicator && (next === undefined || next === " " || next === "\t" || next === "\n")
     }
 
     /**
-     * Adjusts stack based on indentation level
-     * @param {number} indent - Current line's indentation
+     * Tells whether the rest of the line is empty or a comment
+     * @private
+     * @returns {boolean}
      */
-    adjustToIndent(indent) {
-        while (indent <= this.stack[this.stack.length - 1].indent) {
-            this.stack.pop()
-            this.currentArray = null // Reset array context when popping stack
+    _atLineEnd() {
+        const char = this.source[this.pos]
+        return this._atEnd() || char === "\n" || char === "#"
+    }
+
+    /**
+     * Moves past the end of the line of a value, which may only be followed by a comment
+     * @private
+     */
+    _endLine() {
+        this._skipSpaces()
+        if (!this._atLineEnd()) throw this._error("Unexpected content after the value")
+        this._skipToContent()
+    }
+
+    /**
+     * Moves to the next content character, past spaces, line breaks and comments
+     * @private
+     * @throws {Error} When the indentation of the content line contains tabs
+     */
+    _skipToContent() {
+        const { source } = this
+        while (this.pos < source.length) {
+            const char = source[this.pos]
+            if (char === " " || char === "\t" || char === "\n") {
+                this.pos++
+            } else if (char === "#") {
+                this.pos = this._lineEnd()
+            } else {
+                break
+            }
+        }
+        if (!this._atEnd() && source.slice(this._lineStart(), this.pos).includes("\t")) {
+            throw this._error("Tabs can't be used for indentation")
         }
     }
 
     /**
-     * Creates and pushes a new nested object
-     * @param {string} key - Key to assign the new object
+     * Skips spaces and tabs on the current line
+     * @private
      */
-    pushNewObject(key) {
-        const newObj = {}
-        this.currentKey = key
-        this.currentArray = null // Reset array context when creating new object
-        this.currentObj[key] = newObj
-        this.stack.push({ obj: newObj, indent: this._getCurrentIndent() + 1 })
+    _skipSpaces() {
+        while (this.source[this.pos] === " " || this.source[this.pos] === "\t") this.pos++
+    }
+
+    /**
+     * Skips whitespace, line breaks and comments in a flow collection
+     * @private
+     */
+    _skipFlowSpace() {
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos]
+            if (char === " " || char === "\t" || char === "\n") this.pos++
+            else if (char === "#") this.pos = this._lineEnd()
+            else break
+        }
+    }
+
+    /** @private */
+    _atEnd() {
+        return this.pos >= this.source.length
+    }
+
+    /** @private */
+    _lineStart() {
+        return this.source.lastIndexOf("\n", this.pos - 1) + 1
+    }
+
+    /** @private */
+    _lineEnd() {
+        const end = this.source.indexOf("\n", this.pos)
+        return end === -1 ? this.source.length : end
+    }
+
+    /** @private */
+    _column() {
+        return this.pos - this._lineStart()
+    }
+
+    /** @private */
+    _line(pos = this.pos) {
+        return this.source.slice(0, pos).split("\n").length
     }
 
     /**
-     * Gets current indentation level
+     * Creates an error with the line of the position, also set as its `line` property
      * @private
-     * @returns {number} Current indent
+     * @param {string} message - The error message
+     * @returns {Error}
      */
-    _getCurrentIndent() {
-        return this.stack[this.stack.length - 1].indent
+    _error(message) {
+        const line = this._line()
+        return Object.assign(new Error(`Line ${line}: ${message}`), { line, reason: message })
     }
 }
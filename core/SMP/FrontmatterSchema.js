@@ -0,0 +1,197 @@
+import { validators, parseTimestamp } from "./utils/validators.js"
+
+// The types of schema fields, with their description in errors
+const TYPES = {
+	string: { test: (value) => typeof value === "string", description: "a string" },
+	number: { test: (value) => typeof value === "number", description: "a number" },
+	integer: { test: (value) => Number.isInteger(value), description: "an integer" },
+	boolean: { test: (value) => typeof value === "boolean", description: "a boolean" },
+	date: { test: (value) => value instanceof Date && !isNaN(value.getTime()), description: "a date" },
+	array: { test: (value) => Array.isArray(value), description: "an array" },
+	object: { test: isPlainObject, description: "an object" },
+	any: { test: () => true, description: "any value" },
+}
+
+/**
+ * A schema of frontmatter fields, validating the frontmatter of markdown files and filling in defaults.
+ *
+ * A field is a type name, optional when it ends with `?` (`"string"`, `"boolean?"`), or a definition with:
+ * - `type`: one of "string", "number", "integer", "boolean", "date", "array", "object" or "any"
+ * - `required`: whether the field must be set, true unless the field has a default
+ * - `default`: the value of the field when it is missing or null, checked against the type, copied for each file
+ * - `enum`: the allowed values
+ * - `items`: the field of the items of an array (e.g. `"string"`)
+ * - `properties`: the fields of an object
+ * - `validate`: a function called with the value, returning an error message when the value is invalid
+ *
+ * Dates may also be written as strings in the YAML timestamp format (`2024-05-01`, `2024-05-01T10:30:00Z`),
+ * which JSON frontmatter needs. Keys missing from the schema are allowed, unless the schema is strict.
+ *
+ * @example
+ * const posts = new FrontmatterSchema({
+ *     title: "string",
+ *     date: "date",
+ *     tags: { type: "array", items: "string", default: [] },
+ *     draft: { type: "boolean", default: false },
+ * })
+ * posts.validate({ title: "Hello", date: new Date("2024-05-01") })
+ * // { data: { title: "Hello", date: Date, tags: [], draft: false }, errors: [] }
+ */
+export class FrontmatterSchema {
+	#fields
+	#strict
+
+	/**
+	 * @param {Object} fields - The fields, by key
+	 * @param {Object} [options] - Schema options
+	 * @param {boolean} [options.strict=false] - Whether keys missing from the schema are errors (e.g. misspelled keys)
+	 * @throws {Error} If a field definition is invalid
+	 */
+	constructor(fields, options = {}) {
+		this.#fields = FrontmatterSchema.#normalizeFields(fields, "")
+		this.#strict = options.strict ?? false
+	}
+
+	/**
+	 * Validates frontmatter. The returned data is a copy of the frontmatter, with the defaults of missing fields
+	 * and dates written as strings converted to dates.
+	 *
+	 * @param {Object} frontmatter - The parsed frontmatter
+	 * @returns {{data: Object, errors: Array<{key: string, message: string}>}} The data, and the problems found
+	 * with the dotted key they concern (`tags.1` for the second tag)
+	 */
+	validate(frontmatter) {
+		const errors = []
+		const data = this.#validateObject(frontmatter ?? {}, this.#fields, "", errors)
+		return { data, errors }
+	}
+
+	/**
+	 * Validates the fields of an object, returning a copy with their validated values.
+	 */
+	#validateObject(object, fields, prefix, errors) {
+		const result = { ...object }
+		for (const field of fields) {
+			const key = prefix + field.name
+			const value = Object.hasOwn(object, field.name) ? object[field.name] : undefined
+
+			if (value === undefined || value === null) {
+				if (field.required) errors.push({ key, message: "required field is missing" })
+				else if ("default" in field) result[field.name] = structuredClone(field.default)
+				continue
+			}
+			result[field.name] = this.#validateValue(value, field, key, errors)
+		}
+
+		if (this.#strict) {
+			for (const name of Object.keys(object)) {
+				if (!fields.some((field) => field.name === name)) errors.push({ key: prefix + name, message: "unknown key" })
+			}
+		}
+		return result
+	}
+
+	/**
+	 * Validates a value against its field, returning the value with its items or properties validated.
+	 */
+	#validateValue(value, field, key, errors) {
+		if (field.type === "date" && typeof value === "string" && validators.isTimestamp(value)) {
+			value = parseTimestamp(value)
+		}
+
+		const type = TYPES[field.type]
+		if (!type.test(value)) {
+			errors.push({ key, message: `expected ${type.description}, got ${describe(value)}` })
+			return value
+		}
+		if (field.enum && !field.enum.includes(value)) {
+			const allowed = field.enum.map((item) => JSON.stringify(item)).join(", ")
+			errors.push({ key, message: `expected one of ${allowed}, got ${describe(value)}` })
+			return value
+		}
+
+		if (field.items) {
+			value = value.map((item, index) => this.#validateValue(item, field.items, `${key}.${index}`, errors))
+		} else if (field.properties) {
+			value = this.#validateObject(value, field.properties, `${key}.`, errors)
+		}
+
+		const message = field.validate?.(value)
+		if (typeof message === "string" && message) errors.push({ key, message })
+		return value
+	}
+
+	/**
+	 * Normalizes the fields of a schema or an object field.
+	 */
+	static #normalizeFields(fields, prefix) {
+		if (!isPlainObject(fields)) {
+			const location = prefix ? ` for ${prefix.slice(0, -1)}` : ""
+			throw new Error(`Invalid frontmatter schema${location}: expected an object of fields`)
+		}
+		return Object.entries(fields).map(([name, field]) => ({ name, ...this.#normalizeField(field, prefix + name) }))
+	}
+
+	/**
+	 * Normalizes a field into a definition, checking it and its default.
+	 */
+	static #normalizeField(field, key) {
+		const fail = (reason) => {
+			throw new Error(`Invalid frontmatter schema for ${key}: ${reason}`)
+		}
+
+		if (typeof field === "string") field = { type: field.replace(/\?$/, ""), required: !field.endsWith("?") }
+		if (!isPlainObject(field)) fail("expected a type name or a field definition")
+		if (!Object.hasOwn(TYPES, field.type)) {
+			fail(`unknown type ${JSON.stringify(field.type)}, expected one of: ${Object.keys(TYPES).join(", ")}`)
+		}
+
+		const definition = { type: field.type, required: field.required ?? !("default" in field) }
+		if (field.enum !== undefined) {
+			if (!Array.isArray(field.enum)) fail("enum must be an array")
+			definition.enum = field.enum
+		}
+		if (field.items !== undefined) {
+			if (field.type !== "array") fail("items need the array type")
+			definition.items = this.#normalizeField(field.items, `${key}.items`)
+		}
+		if (field.properties !== undefined) {
+			if (field.type !== "object") fail("properties need the object type")
+			definition.properties = this.#normalizeFields(field.properties, `${key}.`)
+		}
+		if (field.validate !== undefined) {
+			if (typeof field.validate !== "function") fail("validate must be a function")
+			definition.validate = field.validate
+		}
+
+		if ("default" in field) {
+			const errors = []
+			const value = new FrontmatterSchema({}).#validateValue(field.default, definition, key, errors)
+			if (errors.length) fail(`invalid default, ${errors[0].message}`)
+			// Defaults are copied into the data of each file
+			try {
+				structuredClone(value)
+			} catch {
+				fail("invalid default, functions and other values that can't be copied aren't allowed")
+			}
+			definition.default = value
+		}
+		return definition
+	}
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+}
+
+// Describes a value in errors: its type, and its content when short
+function describe(value) {
+	if (value === null) return "null"
+	if (value instanceof Date) return `the date ${value.toISOString()}`
+	if (Array.isArray(value)) return "an array"
+	if (typeof value === "object") return "an object"
+	if (typeof value === "string") {
+		return `the string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 37)}...` : value)}`
+	}
+	return `the ${typeof value} ${value}`
+}
@@ -0,0 +1,247 @@
+import { escapeHtml } from "../utils/escapeHtml.js"
+import { HeadingProcessor } from "./HeadingProcessor.js"
+import { CodeBlockProcessor } from "./CodeBlockProcessor.js"
+
+/**
+ * The `HtmlRenderer` class turns the document tree produced by the `BlockParser` into an HTML string.
+ */
+export class HtmlRenderer {
+	/**
+	 * Constructs a new instance of the `HtmlRenderer`.
+	 *
+	 * @param {object} [options={}] - Rendering options.
+	 * @param {Function|null} [options.highlight=null] - An optional code highlighter (see `CodeBlockProcessor.render`).
+	 * @param {object} [options.env={}] - The environment object shared by the processors of a document.
+	 */
+	constructor(options = {}) {
+		this.highlight = options.highlight ?? null
+		this.env = options.env ?? {}
+	}
+
+	/**
+	 * Renders a document tree into HTML.
+	 *
+	 * @param {MarkdownNode} doc - The root `document` node.
+	 * @returns {string} - The rendered HTML.
+	 */
+	render(doc) {
+		this.buffer = ""
+		this.lastOut = "\n"
+		this.renderBlocks(doc)
+		return this.buffer
+	}
+
+	/**
+	 * Appends a string to the output.
+	 * @private
+	 */
+	out(str) {
+		this.buffer += str
+		if (str.length > 0) {
+			this.lastOut = str[str.length - 1]
+		}
+	}
+
+	/**
+	 * Appends a newline, unless the output already ends with one.
+	 * @private
+	 */
+	cr() {
+		if (this.lastOut !== "\n") {
+			this.out("\n")
+		}
+	}
+
+	/** @private */
+	renderBlocks(parent) {
+		for (let node = parent.firstChild; node; node = node.next) {
+			this.renderBlock(node)
+		}
+	}
+
+	/**
+	 * Renders a single block node.
+	 * @private
+	 */
+	renderBlock(node) {
+		switch (node.type) {
+			case "paragraph": {
+				// Paragraphs in tight lists are rendered without <p> tags
+				const grandparent = node.parent?.parent
+				if (grandparent && grandparent.type === "list" && grandparent.listData.tight) {
+					this.out(this.renderInlines(node))
+					break
+				}
+				this.cr()
+				this.out(`<p>${this.renderInlines(node)}</p>`)
+				this.cr()
+				break
+			}
+			case "heading":
+				this.cr()
+				this.out(HeadingProcessor.toHtml(node.level, this.renderInlines(node), node.id))
+				this.cr()
+				break
+			case "thematic_break":
+				this.cr()
+				this.out("<hr />")
+				this.cr()
+				break
+			case "block_quote":
+				this.cr()
+				this.out("<blockquote>")
+				this.cr()
+				this.renderBlocks(node)
+				this.cr()
+				this.out("</blockquote>")
+				this.cr()
+				break
+			case "list": {
+				const tag = node.listData.type === "bullet" ? "ul" : "ol"
+				const start = node.listData.start
+				const attrs = tag === "ol" && start !== null && start !== 1 ? ` start="${start}"` : ""
+				this.cr()
+				this.out(`<${tag}${attrs}>`)
+				this.cr()
+				this.renderBlocks(node)
+				this.cr()
+				this.out(`</${tag}>`)
+				this.cr()
+				break
+			}
+			case "item":
+				this.out("<li>")
+				this.renderBlocks(node)
+				this.out("</li>")
+				this.cr()
+				break
+			case "code_block":
+				this.cr()
+				this.out(CodeBlockProcessor.render(node.literal, node.info, this.highlight))
+				this.cr()
+				break
+			case "html_block":
+				this.cr()
+				this.out(node.literal)
+				this.cr()
+				break
+			case "table":
+				this.cr()
+				this.out(this.renderTable(node))
+				this.cr()
+				break
+			case "custom_block": {
+				// Multi-line blocks render their children, single-line blocks their inline content
+				const content = node.processor.end ? this.renderNested(node) : this.renderInlines(node)
+				const html = node.processor.render(node.match, content, this.env)
+				if (typeof html === "string" && html !== "") {
+					this.cr()
+					this.out(html)
+					this.cr()
+				}
+				break
+			}
+		}
+	}
+
+	/**
+	 * Renders the child blocks of a node into a separate string.
+	 * @private
+	 */
+	renderNested(node) {
+		const { buffer, lastOut } = this
+		this.buffer = ""
+		this.lastOut = "\n"
+		this.renderBlocks(node)
+		const html = this.buffer
+		this.buffer = buffer
+		this.lastOut = lastOut
+		return html
+	}
+
+	/**
+	 * Renders a GFM table.
+	 * @private
+	 */
+	renderTable(node) {
+		const alignAttr = (i) => (node.alignments[i] ? ` align="${node.alignments[i]}"` : "")
+		const renderRow = (cells, tag) =>
+			`<tr>\n${cells.map((cell, i) => `<${tag}${alignAttr(i)}>${this.renderInlines(cell)}</${tag}>\n`).join("")}</tr>\n`
+
+		let html = `<table>\n<thead>\n${renderRow(node.headerCells, "th")}</thead>\n`
+		if (node.bodyRows.length > 0) {
+			html += `<tbody>\n${node.bodyRows.map((row) => renderRow(row, "td")).join("")}</tbody>\n`
+		}
+		return html + "</table>"
+	}
+
+	/**
+	 * Renders the inline children of a node.
+	 * @private
+	 */
+	renderInlines(parent) {
+		let html = ""
+		for (let node = parent.firstChild; node; node = node.next) {
+			html += this.renderInline(node)
+		}
+		return html
+	}
+
+	/**
+	 * Renders a single inline node.
+	 * @private
+	 */
+	renderInline(node) {
+		switch (node.type) {
+			case "text":
+				return escapeHtml(node.literal)
+			case "softbreak":
+				return "\n"
+			case "linebreak":
+				return "<br />\n"
+			case "emph":
+				return `<em>${this.renderInlines(node)}</em>`
+			case "strong":
+				return `<strong>${this.renderInlines(node)}</strong>`
+			case "del":
+				return `<del>${this.renderInlines(node)}</del>`
+			case "code":
+				return `<code>${escapeHtml(node.literal)}</code>`
+			case "html_inline":
+				return node.literal
+			case "link": {
+				const title = node.title ? ` title="${escapeHtml(node.title)}"` : ""
+				return `<a href="${escapeHtml(node.destination)}"${title}>${this.renderInlines(node)}</a>`
+			}
+			case "custom_inline": {
+				const html = node.processor.render(node.match, this.env)
+				return typeof html === "string" ? html : ""
+			}
+			case "image": {
+				const title = node.title ? ` title="${escapeHtml(node.title)}"` : ""
+				const alt = escapeHtml(this.plainText(node))
+				return `<img src="${escapeHtml(node.destination)}" alt="${alt}"${title} />`
+			}
+			default:
+				return ""
+		}
+	}
+
+	/**
+	 * Returns the plain text of an inline node, used for image `alt` attributes.
+	 * @private
+	 */
+	plainText(parent) {
+		let text = ""
+		for (let node = parent.firstChild; node; node = node.next) {
+			if (node.type === "text" || node.type === "code") {
+				text += node.literal
+			} else if (node.type === "softbreak" || node.type === "linebreak") {
+				text += "\n"
+			} else {
+				text += this.plainText(node)
+			}
+		}
+		return text
+	}
+}
@@ -0,0 +1,826 @@
+import { MarkdownNode } from "./MarkdownNode.js"
+import {
+	ESCAPABLE,
+	decodeEntity,
+	normalizeReference,
+	normalizeURI,
+	unescapeString,
+} from "./utils/markdownHelpers.js"
+
+const ESCAPED_CHAR = `\\\\${ESCAPABLE}`
+const TAGNAME = "[A-Za-z][A-Za-z0-9-]*"
+const ATTRIBUTENAME = "[a-zA-Z_:][a-zA-Z0-9:._-]*"
+const UNQUOTEDVALUE = "[^\"'=<>`\\x00-\\x20]+"
+const ATTRIBUTEVALUE = `(?:${UNQUOTEDVALUE}|'[^']*'|"[^"]*")`
+const ATTRIBUTE = `(?:\\s+${ATTRIBUTENAME}(?:\\s*=\\s*${ATTRIBUTEVALUE})?)`
+
+/**
+ * HTML open tag pattern, shared with the `BlockParser` to detect HTML blocks.
+ *
+ * @constant {string}
+ */
+export const OPENTAG = `<${TAGNAME}${ATTRIBUTE}*\\s*/?>`
+
+/**
+ * HTML closing tag pattern, shared with the `BlockParser` to detect HTML blocks.
+ *
+ * @constant {string}
+ */
+export const CLOSETAG = `</${TAGNAME}\\s*[>]`
+
+const HTMLCOMMENT = "<!-->|<!--->|<!--[\\s\\S]*?-->"
+const PROCESSINGINSTRUCTION = "[<][?][\\s\\S]*?[?][>]"
+const DECLARATION = "<![A-Za-z]+[^>]*>"
+const CDATA = "<!\\[CDATA\\[[\\s\\S]*?\\]\\]>"
+
+const reHtmlTag = new RegExp(`^(?:${OPENTAG}|${CLOSETAG}|${HTMLCOMMENT}|${PROCESSINGINSTRUCTION}|${DECLARATION}|${CDATA})`)
+const reEscapable = new RegExp(`^${ESCAPABLE}`)
+const reEntityHere = /^&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/i
+const reLinkTitle = new RegExp(
+	`^(?:"(${ESCAPED_CHAR}|\\\\[^\\\\]|[^\\\\"\\x00])*"|'(${ESCAPED_CHAR}|\\\\[^\\\\]|[^\\\\'\\x00])*'|\\((${ESCAPED_CHAR}|\\\\[^\\\\]|[^\\\\()\\x00])*\\))`
+)
+const reLinkDestinationBraces = /^(?:<(?:[^<>\n\\\x00]|\\.)*>)/
+const reLinkLabel = /^\[(?:[^\\\[\]]|\\.){0,1000}\]/s
+const reEmailAutolink =
+	/^<([a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/
+const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/i
+const rePunctuation = /^[!"#$%&'()*+,\-./:;<=>?@\[\]\\^_`{|}~\p{P}\p{S}]/u
+const reWhitespaceChar = /^[ \t\n\x0b\x0c\x0d]/
+const reUnicodeWhitespaceChar = /^\s/
+const reSpnl = /^ *(?:\n *)?/
+const reSpaceAtEndOfLine = /^ *(?:\n|$)/
+const reInitialSpace = /^ */
+const reFinalSpace = / *$/
+const reTicksHere = /^`+/
+const reTicks = /`+/
+
+// Levels of balanced parentheses in a link destination, as in cmark
+const MAX_LINK_PARENS = 32
+
+// Characters that start an inline construct; everything else is consumed as plain text
+const SPECIAL_CHARS = "\n`[]\\!<&*_~"
+
+/**
+ * Creates a text node holding the given string.
+ *
+ * @param {string} str - The text content.
+ * @returns {MarkdownNode} - The text node.
+ */
+const text = (str) => {
+	const node = new MarkdownNode("text")
+	node.literal = str
+	return node
+}
+
+/**
+ * The `InlineParser` turns the raw text content of paragraphs, headings and table cells into inline nodes
+ * (emphasis, links, images, code spans, autolinks, raw HTML, line breaks...) following the CommonMark
+ * specification, plus GFM strikethrough (`~~text~~`).
+ * It also parses link reference definitions on behalf of the `BlockParser`.
+ */
+export class InlineParser {
+	/**
+	 * Constructs a new instance of the `InlineParser`.
+	 *
+	 * @param {Array<object>} [inlineProcessors=[]] - Inline processors, each tried at the characters of its `trigger`.
+	 */
+	constructor(inlineProcessors = []) {
+		this.inlineProcessors = inlineProcessors.map((processor) => ({
+			processor,
+			// Sticky copy of the pattern, so it only matches at the current position
+			pattern: new RegExp(processor.pattern.source, processor.pattern.flags.replace(/[gy]/g, "") + "y"),
+		}))
+		this.triggers = inlineProcessors.map((processor) => processor.trigger).join("")
+		this.subject = ""
+		this.pos = 0
+		this.delimiters = null // Top of the emphasis delimiter stack
+		this.brackets = null // Top of the link/image bracket stack
+		this.refmap = {}
+	}
+
+	/**
+	 * Parses the string content of a block and appends the resulting inline nodes to it.
+	 *
+	 * @param {MarkdownNode} block - A paragraph, heading or table cell node.
+	 * @param {string} content - The raw inline content.
+	 */
+	parse(block, content) {
+		this.subject = content.trim()
+		this.pos = 0
+		this.delimiters = null
+		this.brackets = null
+		while (this.parseInline(block)) {}
+		this.processEmphasis(null)
+		this.mergeText(block)
+	}
+
+	/**
+	 * Returns the character code at the current position, or -1 at the end of the subject.
+	 * @private
+	 */
+	peek() {
+		return this.pos < this.subject.length ? this.subject.charCodeAt(this.pos) : -1
+	}
+
+	/**
+	 * Matches a regular expression at the current position and advances past the match.
+	 * @private
+	 * @returns {string|null} The matched string, or null if there is no match.
+	 */
+	match(re) {
+		const m = re.exec(this.subject.slice(this.pos))
+		if (m === null) return null
+		this.pos += m.index + m[0].length
+		return m[0]
+	}
+
+	/**
+	 * Skips optional spaces and at most one newline.
+	 * @private
+	 */
+	spnl() {
+		this.match(reSpnl)
+		return true
+	}
+
+	/**
+	 * Parses the next inline construct, appending it to the block.
+	 * @private
+	 * @returns {boolean} False when the end of the subject is reached.
+	 */
+	parseInline(block) {
+		const c = this.peek()
+		if (c === -1) return false
+
+		if (this.triggers.includes(String.fromCharCode(c)) && this.parseCustomInline(block)) return true
+
+		let res
+		switch (String.fromCharCode(c)) {
+			case "\n":
+				res = this.parseNewline(block)
+				break
+			case "\\":
+				res = this.parseBackslash(block)
+				break
+			case "`":
+				res = this.parseBackticks(block)
+				break
+			case "*":
+			case "_":
+			case "~":
+				res = this.handleDelim(c, block)
+				break
+			case "[":
+				res = this.parseOpenBracket(block)
+				break
+			case "!":
+				res = this.parseBang(block)
+				break
+			case "]":
+				res = this.parseCloseBracket(block)
+				break
+			case "<":
+				res = this.parseAutolink(block) || this.parseHtmlTag(block)
+				break
+			case "&":
+				res = this.parseEntity(block)
+				break
+			default:
+				res = this.parseString(block)
+				break
+		}
+
+		if (!res) {
+			this.pos += 1
+			block.appendChild(text(String.fromCharCode(c)))
+		}
+		return true
+	}
+
+	/**
+	 * Tries the inline processors triggered by the current character.
+	 * @private
+	 */
+	parseCustomInline(block) {
+		const c = this.subject[this.pos]
+		for (const { processor, pattern } of this.inlineProcessors) {
+			if (!processor.trigger.includes(c)) continue
+			pattern.lastIndex = this.pos
+			const match = pattern.exec(this.subject)
+			if (!match || match[0].length === 0) continue
+			this.pos += match[0].length
+			const node = new MarkdownNode("custom_inline")
+			node.processor = processor
+			node.match = match
+			block.appendChild(node)
+			return true
+		}
+		return false
+	}
+
+	/** @private */
+	parseString(block) {
+		const start = this.pos
+		while (
+			this.pos < this.subject.length &&
+			!SPECIAL_CHARS.includes(this.subject[this.pos]) &&
+			!this.triggers.includes(this.subject[this.pos])
+		) {
+			this.pos++
+		}
+		if (this.pos === start) return false
+		block.appendChild(text(this.subject.slice(start, this.pos)))
+		return true
+	}
+
+	/** @private */
+	parseNewline(block) {
+		this.pos += 1
+		// Two or more trailing spaces before the newline make a hard break
+		const last = block.lastChild
+		if (last && last.type === "text" && last.literal[last.literal.length - 1] === " ") {
+			const hardbreak = last.literal[last.literal.length - 2] === " "
+			last.literal = last.literal.replace(reFinalSpace, "")
+			block.appendChild(new MarkdownNode(hardbreak ? "linebreak" : "softbreak"))
+		} else {
+			block.appendChild(new MarkdownNode("softbreak"))
+		}
+		this.match(reInitialSpace) // Gobble leading spaces of the next line
+		return true
+	}
+
+	/** @private */
+	parseBackslash(block) {
+		this.pos += 1
+		if (this.peek() === 10) {
+			this.pos += 1
+			block.appendChild(new MarkdownNode("linebreak"))
+		} else if (reEscapable.test(this.subject.charAt(this.pos))) {
+			block.appendChild(text(this.subject.charAt(this.pos)))
+			this.pos += 1
+		} else {
+			block.appendChild(text("\\"))
+		}
+		return true
+	}
+
+	/** @private */
+	parseBackticks(block) {
+		const ticks = this.match(reTicksHere)
+		if (ticks === null) return false
+
+		const afterOpenTicks = this.pos
+		let matched
+		while ((matched = this.match(reTicks)) !== null) {
+			if (matched === ticks) {
+				const node = new MarkdownNode("code")
+				const contents = this.subject.slice(afterOpenTicks, this.pos - ticks.length).replace(/\n/g, " ")
+				// Strip one surrounding space, unless the code span only consists of spaces
+				node.literal =
+					contents.length > 0 && /[^ ]/.test(contents) && contents[0] === " " && contents.at(-1) === " "
+						? contents.slice(1, -1)
+						: contents
+				block.appendChild(node)
+				return true
+			}
+		}
+
+		// No matching closing backtick sequence, the opening ticks are literal text
+		this.pos = afterOpenTicks
+		block.appendChild(text(ticks))
+		return true
+	}
+
+	/** @private */
+	parseAutolink(block) {
+		let m
+		if ((m = this.match(reEmailAutolink))) {
+			const dest = m.slice(1, -1)
+			const node = new MarkdownNode("link")
+			node.destination = normalizeURI(`mailto:${dest}`)
+			node.title = ""
+			node.appendChild(text(dest))
+			block.appendChild(node)
+			return true
+		}
+		if ((m = this.match(reAutolink))) {
+			const dest = m.slice(1, -1)
+			const node = new MarkdownNode("link")
+			node.destination = normalizeURI(dest)
+			node.title = ""
+			node.appendChild(text(dest))
+			block.appendChild(node)
+			return true
+		}
+		return false
+	}
+
+	/** @private */
+	parseHtmlTag(block) {
+		const m = this.match(reHtmlTag)
+		if (m === null) return false
+		const node = new MarkdownNode("html_inline")
+		node.literal = m
+		block.appendChild(node)
+		return true
+	}
+
+	/** @private */
+	parseEntity(block) {
+		const m = this.match(reEntityHere)
+		if (m === null) return false
+		block.appendChild(text(decodeEntity(m)))
+		return true
+	}
+
+	/**
+	 * Scans a run of delimiter characters and determines whether it can open and/or close emphasis.
+	 * @private
+	 */
+	scanDelims(cc) {
+		const startpos = this.pos
+		let numdelims = 0
+		while (this.peek() === cc) {
+			numdelims++
+			this.pos++
+		}
+		if (numdelims === 0) return null
+
+		const charBefore = startpos === 0 ? "\n" : this.subject.charAt(startpos - 1)
+		const charAfter = this.peek() === -1 ? "\n" : this.subject.charAt(this.pos)
+
+		const afterIsWhitespace = reUnicodeWhitespaceChar.test(charAfter)
+		const afterIsPunctuation = rePunctuation.test(charAfter)
+		const beforeIsWhitespace = reUnicodeWhitespaceChar.test(charBefore)
+		const beforeIsPunctuation = rePunctuation.test(charBefore)
+
+		const leftFlanking = !afterIsWhitespace && (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation)
+		const rightFlanking = !beforeIsWhitespace && (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation)
+
+		let canOpen, canClose
+		if (cc === 95) {
+			// Underscore emphasis is not allowed inside words
+			canOpen = leftFlanking && (!rightFlanking || beforeIsPunctuation)
+			canClose = rightFlanking && (!leftFlanking || afterIsPunctuation)
+		} else {
+			canOpen = leftFlanking
+			canClose = rightFlanking
+		}
+
+		this.pos = startpos
+		return { numdelims, canOpen, canClose }
+	}
+
+	/** @private */
+	handleDelim(cc, block) {
+		const res = this.scanDelims(cc)
+		if (!res) return false
+
+		const startpos = this.pos
+		this.pos += res.numdelims
+		const node = text(this.subject.slice(startpos, this.pos))
+		block.appendChild(node)
+
+		// Strikethrough only uses runs of one or two tildes
+		const validRun = cc !== 126 || res.numdelims <= 2
+
+		if ((res.canOpen || res.canClose) && validRun) {
+			this.delimiters = {
+				cc,
+				numdelims: res.numdelims,
+				origdelims: res.numdelims,
+				node,
+				previous: this.delimiters,
+				next: null,
+				canOpen: res.canOpen,
+				canClose: res.canClose,
+			}
+			if (this.delimiters.previous !== null) {
+				this.delimiters.previous.next = this.delimiters
+			}
+		}
+		return true
+	}
+
+	/** @private */
+	removeDelimiter(delim) {
+		if (delim.previous !== null) {
+			delim.previous.next = delim.next
+		}
+		if (delim.next === null) {
+			this.delimiters = delim.previous // Top of stack
+		} else {
+			delim.next.previous = delim.previous
+		}
+	}
+
+	/** @private */
+	removeDelimitersBetween(bottom, top) {
+		if (bottom.next !== top) {
+			bottom.next = top
+			top.previous = bottom
+		}
+	}
+
+	/**
+	 * Resolves the delimiter stack above `stackBottom` into emphasis, strong emphasis and strikethrough nodes.
+	 * @private
+	 */
+	processEmphasis(stackBottom) {
+		const openersBottom = {}
+		const bottomKey = (closer) => `${closer.cc}:${closer.canOpen}:${closer.origdelims % 3}`
+
+		// Find the first closer above stackBottom
+		let closer = this.delimiters
+		while (closer !== null && closer.previous !== stackBottom) {
+			closer = closer.previous
+		}
+
+		// Move forward, looking for closers and handling each
+		while (closer !== null) {
+			if (!closer.canClose) {
+				closer = closer.next
+				continue
+			}
+
+			// Look back for the first matching opener
+			const key = bottomKey(closer)
+			const bottom = key in openersBottom ? openersBottom[key] : stackBottom
+			let opener = closer.previous
+			let openerFound = false
+
+			while (opener !== null && opener !== stackBottom && opener !== bottom) {
+				const oddMatch =
+					closer.cc !== 126 &&
+					(closer.canOpen || opener.canClose) &&
+					closer.origdelims % 3 !== 0 &&
+					(opener.origdelims + closer.origdelims) % 3 === 0
+				const sameLength = closer.cc !== 126 || opener.numdelims === closer.numdelims
+				if (opener.cc === closer.cc && opener.canOpen && !oddMatch && sameLength) {
+					openerFound = true
+					break
+				}
+				opener = opener.previous
+			}
+
+			const oldCloser = closer
+
+			if (!openerFound) {
+				closer = closer.next
+				// Set lower bound for future searches for openers
+				openersBottom[key] = oldCloser.previous
+				if (!oldCloser.canOpen) {
+					// A closer that can't be an opener is useless once no opener matches it
+					this.removeDelimiter(oldCloser)
+				}
+				continue
+			}
+
+			// Calculate the number of delimiters used by this match
+			let useDelims
+			let type
+			if (closer.cc === 126) {
+				useDelims = closer.numdelims
+				type = "del"
+			} else {
+				useDelims = closer.numdelims >= 2 && opener.numdelims >= 2 ? 2 : 1
+				type = useDelims === 1 ? "emph" : "strong"
+			}
+
+			const openerNode = opener.node
+			const closerNode = closer.node
+
+			// Remove used delimiters from the stack entries and their text nodes
+			opener.numdelims -= useDelims
+			closer.numdelims -= useDelims
+			openerNode.literal = openerNode.literal.slice(0, openerNode.literal.length - useDelims)
+			closerNode.literal = closerNode.literal.slice(0, closerNode.literal.length - useDelims)
+
+			// Wrap everything between opener and closer into the new node
+			const wrapper = new MarkdownNode(type)
+			let tmp = openerNode.next
+			while (tmp && tmp !== closerNode) {
+				const next = tmp.next
+				wrapper.appendChild(tmp)
+				tmp = next
+			}
+			openerNode.insertAfter(wrapper)
+
+			// Remove delimiters between opener and closer from the stack
+			this.removeDelimitersBetween(opener, closer)
+
+			// Remove exhausted delimiters along with their text nodes
+			if (opener.numdelims === 0) {
+				openerNode.unlink()
+				this.removeDelimiter(opener)
+			}
+			if (closer.numdelims === 0) {
+				closerNode.unlink()
+				const next = closer.next
+				this.removeDelimiter(closer)
+				closer = next
+			}
+		}
+
+		// Remove all remaining delimiters above stackBottom
+		while (this.delimiters !== null && this.delimiters !== stackBottom) {
+			this.removeDelimiter(this.delimiters)
+		}
+	}
+
+	/** @private */
+	addBracket(node, index, image) {
+		if (this.brackets !== null) {
+			this.brackets.bracketAfter = true
+		}
+		this.brackets = {
+			node,
+			previous: this.brackets,
+			previousDelimiter: this.delimiters,
+			index,
+			image,
+			active: true,
+			bracketAfter: false,
+		}
+	}
+
+	/** @private */
+	removeBracket() {
+		this.brackets = this.brackets.previous
+	}
+
+	/** @private */
+	parseOpenBracket(block) {
+		const startpos = this.pos
+		this.pos += 1
+		const node = text("[")
+		block.appendChild(node)
+		this.addBracket(node, startpos, false)
+		return true
+	}
+
+	/** @private */
+	parseBang(block) {
+		const startpos = this.pos
+		this.pos += 1
+		if (this.peek() === 91) {
+			this.pos += 1
+			const node = text("![")
+			block.appendChild(node)
+			this.addBracket(node, startpos + 1, true)
+		} else {
+			block.appendChild(text("!"))
+		}
+		return true
+	}
+
+	/**
+	 * Handles a closing bracket: tries to build an inline link, a reference link or an image from the
+	 * matching opener, falling back to a literal `]`.
+	 * @private
+	 */
+	parseCloseBracket(block) {
+		this.pos += 1
+		const startpos = this.pos
+
+		let opener = this.brackets
+		if (opener === null) {
+			block.appendChild(text("]"))
+			return true
+		}
+		if (!opener.active) {
+			// Links may not contain other links
+			block.appendChild(text("]"))
+			this.removeBracket()
+			return true
+		}
+
+		const isImage = opener.image
+		const savepos = this.pos
+		let matched = false
+		let dest
+		let title
+
+		// Inline link: [text](destination "title")
+		if (this.peek() === 40) {
+			this.pos++
+			if (this.spnl() && (dest = this.parseLinkDestination()) !== null && this.spnl()) {
+				// A title must be separated from the destination by whitespace
+				if (reWhitespaceChar.test(this.subject.charAt(this.pos - 1))) {
+					title = this.parseLinkTitle()
+				}
+				if (this.spnl() && this.peek() === 41) {
+					this.pos += 1
+					matched = true
+				}
+			}
+			if (!matched) {
+				this.pos = savepos
+			}
+		}
+
+		// Reference link: [text][label], [label][] or [label]
+		if (!matched) {
+			const beforeLabel = this.pos
+			const n = this.parseLinkLabel()
+			let reflabel
+			if (n > 2) {
+				reflabel = this.subject.slice(beforeLabel, beforeLabel + n)
+			} else if (!opener.bracketAfter) {
+				// Empty or missing second label means the first label is the reference
+				reflabel = this.subject.slice(opener.index, startpos)
+			}
+			if (n === 0) {
+				// Shortcut reference link, rewind before the spaces we skipped
+				this.pos = savepos
+			}
+			if (reflabel) {
+				const link = this.refmap[normalizeReference(reflabel)]
+				if (link) {
+					dest = link.destination
+					title = link.title
+					matched = true
+				}
+			}
+		}
+
+		if (!matched) {
+			this.removeBracket()
+			this.pos = startpos
+			block.appendChild(text("]"))
+			return true
+		}
+
+		const node = new MarkdownNode(isImage ? "image" : "link")
+		node.destination = dest
+		node.title = title || ""
+
+		let tmp = opener.node.next
+		while (tmp) {
+			const next = tmp.next
+			node.appendChild(tmp)
+			tmp = next
+		}
+		block.appendChild(node)
+		this.processEmphasis(opener.previousDelimiter)
+		this.removeBracket()
+		opener.node.unlink()
+
+		// Links may not contain other links, so deactivate earlier link openers
+		if (!isImage) {
+			opener = this.brackets
+			while (opener !== null) {
+				if (!opener.image) {
+					opener.active = false
+				}
+				opener = opener.previous
+			}
+		}
+		return true
+	}
+
+	/** @private */
+	parseLinkTitle() {
+		const title = this.match(reLinkTitle)
+		if (title === null) return null
+		return unescapeString(title.slice(1, -1))
+	}
+
+	/** @private */
+	parseLinkDestination() {
+		const res = this.match(reLinkDestinationBraces)
+		if (res !== null) {
+			// Chop off the surrounding <..>
+			return normalizeURI(unescapeString(res.slice(1, -1)))
+		}
+		if (this.peek() === 60) return null
+
+		const savepos = this.pos
+		let openparens = 0
+		let c
+		while ((c = this.peek()) !== -1) {
+			if (c === 92 && reEscapable.test(this.subject.charAt(this.pos + 1))) {
+				this.pos += 1
+				if (this.peek() !== -1) this.pos += 1
+			} else if (c === 40) {
+				// Destinations nest a limited number of parentheses, so that unclosed ones (`[a](` repeated)
+				// aren't scanned again to the end of the text by each link
+				if (openparens === MAX_LINK_PARENS) return null
+				this.pos += 1
+				openparens += 1
+			} else if (c === 41) {
+				if (openparens < 1) break
+				this.pos += 1
+				openparens -= 1
+			} else if (reWhitespaceChar.test(String.fromCharCode(c)) || c < 0x20 || c === 0x7f) {
+				break
+			} else {
+				this.pos += 1
+			}
+		}
+
+		if (this.pos === savepos && c !== 41) return null
+		if (openparens !== 0) return null
+		return normalizeURI(unescapeString(this.subject.slice(savepos, this.pos)))
+	}
+
+	/** @private */
+	parseLinkLabel() {
+		const m = this.match(reLinkLabel)
+		if (m === null || m.length > 1001) return 0
+		return m.length
+	}
+
+	/**
+	 * Attempts to parse a link reference definition (`[label]: destination "title"`) at the start of a string.
+	 * Successfully parsed definitions are stored in the reference map shared with the inline links.
+	 *
+	 * @param {string} s - The string to parse (usually the content of a paragraph).
+	 * @returns {number} - The number of characters consumed, or 0 if there is no definition.
+	 */
+	parseReference(s) {
+		this.subject = s
+		this.pos = 0
+		const startpos = this.pos
+
+		// Label
+		const matchChars = this.parseLinkLabel()
+		if (matchChars === 0) return 0
+		const rawlabel = this.subject.slice(0, matchChars)
+
+		// Colon
+		if (this.peek() !== 58) {
+			this.pos = startpos
+			return 0
+		}
+		this.pos++
+
+		// Destination
+		this.spnl()
+		const dest = this.parseLinkDestination()
+		if (dest === null) {
+			this.pos = startpos
+			return 0
+		}
+
+		// Optional title
+		const beforeTitle = this.pos
+		this.spnl()
+		let title = null
+		if (this.pos !== beforeTitle) {
+			title = this.parseLinkTitle()
+		}
+		if (title === null) {
+			title = ""
+			this.pos = beforeTitle
+		}
+
+		// Make sure we're at the end of the line
+		let atLineEnd = true
+		if (this.match(reSpaceAtEndOfLine) === null) {
+			if (title === "") {
+				atLineEnd = false
+			} else {
+				// The title is not at the end of the line, the definition is still valid without it
+				title = ""
+				this.pos = beforeTitle
+				atLineEnd = this.match(reSpaceAtEndOfLine) !== null
+			}
+		}
+		if (!atLineEnd) {
+			this.pos = startpos
+			return 0
+		}
+
+		const normlabel = normalizeReference(rawlabel)
+		if (normlabel === "") {
+			this.pos = startpos
+			return 0
+		}
+
+		// The first definition of a label wins
+		if (!this.refmap[normlabel]) {
+			this.refmap[normlabel] = { destination: dest, title }
+		}
+		return this.pos - startpos
+	}
+
+	/**
+	 * Merges adjacent text nodes so renderers and extensions see contiguous text.
+	 * @private
+	 */
+	mergeText(block) {
+		let node = block.firstChild
+		while (node) {
+			if (node.type === "text") {
+				while (node.next && node.next.type === "text") {
+					node.literal += node.next.literal
+					node.next.unlink()
+				}
+			} else if (node.firstChild) {
+				this.mergeText(node)
+			}
+			node = node.next
+		}
+	}
+}
@@ -0,0 +1,97 @@
+/**
+ * A node of the markdown document tree built by the `BlockParser` and the `InlineParser`.
+ * Nodes are linked both to their parent and to their siblings, which allows the parsers to
+ * move inline content around (e.g. when wrapping text into emphasis or links) without copying.
+ */
+export class MarkdownNode {
+	/**
+	 * Creates a new node.
+	 *
+	 * @param {string} type - The node type (e.g. `paragraph`, `heading`, `text`, `link`).
+	 * @param {number} [startLine=0] - The source line where the node starts (1-based, blocks only).
+	 */
+	constructor(type, startLine = 0) {
+		this.type = type
+		this.parent = null
+		this.firstChild = null
+		this.lastChild = null
+		this.prev = null
+		this.next = null
+		this.startLine = startLine
+		this.endLine = startLine
+		this.open = true
+		this.content = "" // Raw string content accumulated while parsing blocks
+		this.literal = null // Final literal value (text, code, html)
+	}
+
+	/**
+	 * Appends a child node at the end of this node's children.
+	 *
+	 * @param {MarkdownNode} child - The node to append.
+	 * @returns {MarkdownNode} - The appended child.
+	 */
+	appendChild(child) {
+		child.unlink()
+		child.parent = this
+		if (this.lastChild) {
+			this.lastChild.next = child
+			child.prev = this.lastChild
+			this.lastChild = child
+		} else {
+			this.firstChild = child
+			this.lastChild = child
+		}
+		return child
+	}
+
+	/**
+	 * Inserts a sibling node directly after this node.
+	 *
+	 * @param {MarkdownNode} sibling - The node to insert.
+	 */
+	insertAfter(sibling) {
+		sibling.unlink()
+		sibling.next = this.next
+		if (sibling.next) {
+			sibling.next.prev = sibling
+		}
+		sibling.prev = this
+		this.next = sibling
+		sibling.parent = this.parent
+		if (!sibling.next && sibling.parent) {
+			sibling.parent.lastChild = sibling
+		}
+	}
+
+	/**
+	 * Detaches this node from its parent and siblings.
+	 */
+	unlink() {
+		if (this.prev) {
+			this.prev.next = this.next
+		} else if (this.parent) {
+			this.parent.firstChild = this.next
+		}
+		if (this.next) {
+			this.next.prev = this.prev
+		} else if (this.parent) {
+			this.parent.lastChild = this.prev
+		}
+		this.parent = null
+		this.next = null
+		this.prev = null
+	}
+
+	/**
+	 * Returns the children of this node as an array.
+	 *
+	 * @returns {Array<MarkdownNode>} - The child nodes, in document order.
+	 */
+	children() {
+		const result = []
+		for (let child = this.firstChild; child; child = child.next) {
+			result.push(child)
+		}
+		return result
+	}
+}
@@ -1,24 +1,118 @@
 import { readFileSync, existsSync } from "node:fs"
 import { join, dirname, basename, sep, extname } from "node:path"
 
-import { FRONTMATTER_DELIMITER } from "./constants.js"
-import { HeadingProcessor } from "./HeadingProcessor.js"
+import { FRONTMATTER_DELIMITERS, PROCESSOR_STAGES } from "./constants.js"
+import { BlockParser } from "./BlockParser.js"
+import { HtmlRenderer } from "./HtmlRenderer.js"
 import { FrontmatterParser } from "./FrontmatterParser.js"
-import { CodeBlockProcessor } from "./CodeBlockProcessor.js"
+import { FrontmatterError } from "./FrontmatterError.js"
 
 /**
  * The `MarkdownProcessor` class is responsible for processing markdown files. It handles loading a markdown file,
- * extracting and parsing frontmatter, processing the main content by converting markdown headings to HTML,
- * adding IDs to headings, and reinserting code blocks.
+ * extracting and parsing frontmatter, and rendering the main content into HTML following the CommonMark
+ * specification (plus GFM tables and strikethrough, and `{#id}` heading anchors).
  */
 export class MarkdownProcessor {
     /**
      * Constructs a new instance of the `MarkdownProcessor`.
      *
      * @param {string} [baseDir="views"] - The base directory to look for markdown files.
+     * @param {object} [options={}] - Processing options.
+     * @param {Function|null} [options.highlight=null] - An optional code highlighter, called for each code block
+     * with the raw code and its parsed info string (see `CodeBlockProcessor.render`).
      */
-    constructor(baseDir = "views") {
+    constructor(baseDir = "views", options = {}) {
         this.baseDir = baseDir
+        this.highlight = options.highlight ?? null
+        this.processors = []
+    }
+
+    /**
+     * Registers a custom processor, run at its `stage` and sorted by its `order` (lower runs first,
+     * processors with the same order run in registration order).
+     *
+     * @example
+     * processor.addProcessor({
+     *     name: "admonition",
+     *     stage: "block",
+     *     start: /^:::\s*(\w+)/,
+     *     end: /^:::\s*$/,
+     *     render: (match, content) => `<div class="admonition ${match[1]}">\n${content}</div>`,
+     * })
+     *
+     * @param {object} processor - The processor definition.
+     * @param {string} processor.name - A unique name, used to remove the processor.
+     * @param {string} processor.stage - One of `preprocess`, `block`, `inline` or `postprocess`.
+     * @param {number} [processor.order=0] - The position of the processor within its stage.
+     * @param {Function} [processor.process] - The transform function of `preprocess` and `postprocess` processors.
+     * @param {RegExp} [processor.start] - The opening line pattern of a `block` processor.
+     * @param {RegExp} [processor.end] - The optional closing line pattern of a `block` processor.
+     * @param {string} [processor.trigger] - The characters an `inline` processor can start with.
+     * @param {RegExp} [processor.pattern] - The pattern of an `inline` processor, matched at a trigger character.
+     * @param {Function} [processor.render] - The render function of `block` and `inline` processors.
+     * @throws {Error} - If the processor definition is invalid or its name is already registered.
+     */
+    addProcessor(processor) {
+        const { name, stage, order = 0 } = processor ?? {}
+
+        if (typeof name !== "string" || name === "") {
+            throw new Error("Markdown processor must have a name")
+        }
+        if (this.processors.some((p) => p.name === name)) {
+            throw new Error(`Markdown processor "${name}" is already registered`)
+        }
+        if (!PROCESSOR_STAGES.includes(stage)) {
+            throw new Error(
+                `Markdown processor "${name}" has an invalid stage, expected one of: ${PROCESSOR_STAGES.join(", ")}`
+            )
+        }
+        if (typeof order !== "number") {
+            throw new Error(`Markdown processor "${name}" must have a numeric order`)
+        }
+
+        const check = (valid, expected) => {
+            if (!valid) {
+                throw new Error(`Markdown processor "${name}" (${stage}) requires ${expected}`)
+            }
+        }
+        if (stage === "preprocess" || stage === "postprocess") {
+            check(typeof processor.process === "function", 'a "process" function')
+        } else {
+            check(typeof processor.render === "function", 'a "render" function')
+        }
+        if (stage === "block") {
+            check(processor.start instanceof RegExp, 'a "start" RegExp')
+            check(processor.end === undefined || processor.end instanceof RegExp, 'its "end" to be a RegExp')
+        }
+        if (stage === "inline") {
+            check(typeof processor.trigger === "string" && processor.trigger !== "", 'a non-empty "trigger" string')
+            check(processor.pattern instanceof RegExp, 'a "pattern" RegExp')
+        }
+
+        // Global and sticky flags would make the patterns stateful
+        const normalized = { ...processor, order }
+        for (const key of ["start", "end", "pattern"]) {
+            if (normalized[key]) {
+                normalized[key] = new RegExp(normalized[key].source, normalized[key].flags.replace(/[gy]/g, ""))
+            }
+        }
+
+        this.processors.push(normalized)
+        // Array.prototype.sort is stable, so equal orders keep their registration order
+        this.processors.sort((a, b) => a.order - b.order)
+    }
+
+    /**
+     * Removes a registered processor.
+     *
+     * @param {string} name - The name of the processor to remove.
+     * @returns {boolean} - True if a processor was removed, false otherwise.
+     */
+    removeProcessor(name) {
+        const index = this.processors.findIndex((p) => p.name === name)
+        if (index === -1) return false
+        this.processors.splice(index, 1)
+        return true
     }
 
     /**
@@ -26,10 +120,13 @@ export class MarkdownProcessor {
      * and returning an object containing metadata and processed content.
      *
      * @param {string} filePath - The relative path to the markdown file to process.
+     * @param {object} [options={}] - Processing options.
+     * @param {FrontmatterSchema} [options.schema] - A schema validating the frontmatter and filling in its defaults.
      * @returns {object} - An object containing the processed frontmatter, content, and file metadata.
      * @throws {Error} - If the file doesn't exist.
+     * @throws {FrontmatterError} - If the frontmatter can't be parsed or doesn't match the schema.
      */
-    processFile(filePath) {
+    processFile(filePath, options = {}) {
         const normalizedPath = filePath.startsWith("/") ? filePath.slice(1) : filePath
         const fullPath = join(this.baseDir, normalizedPath)
 
@@ -41,16 +138,35 @@ export class MarkdownProcessor {
         // Read the file content
         const content = readFileSync(fullPath, "utf8")
 
+        const file = fullPath.split(sep).join("/")
+
         // Split the content into frontmatter and main content
-        const { frontmatter, mainContent } = this.splitContent(content)
+        let split
+        try {
+            split = this.splitContent(content)
+        } catch (error) {
+            throw new FrontmatterError([{ file, line: error.line, message: error.reason ?? error.message }], error)
+        }
+        let { frontmatter, mainContent } = split
+
+        // Validate the frontmatter, errors pointing at the line of their key, or of its closest parent
+        if (options.schema) {
+            const { data, errors } = options.schema.validate(frontmatter)
+            if (errors.length) {
+                throw new FrontmatterError(
+                    errors.map(({ key, message }) => ({ file, line: keyLine(split, key), key, message }))
+                )
+            }
+            frontmatter = data
+        }
 
-        // Process the main content (convert markdown headings to HTML, add IDs, reinsert code blocks)
-        const processedContent = this.processContent(mainContent)
+        // Render the main content into HTML
+        const processedContent = this.processContent(mainContent, { frontmatter, filePath: normalizedPath })
 
         return {
             frontmatter,
             content: processedContent,
-            filePath: fullPath.split(sep).join("/"),
+            filePath: file,
             fileDir: dirname(normalizedPath).split(sep).join("/"),
             fileName: basename(normalizedPath),
             fileBaseName: basename(normalizedPath, extname(normalizedPath)),
@@ -58,69 +174,126 @@ export class MarkdownProcessor {
     }
 
     /**
-     * Splits content into frontmatter and main content with validation.
+     * Splits content into frontmatter and main content.
+     * The frontmatter format is detected from its delimiters: `---` for YAML, `+++` for TOML and `;;;` for JSON,
+     * or a JSON object opening the file, as in Hugo (`{` alone on the first line, or followed by a quoted key).
+     * Content without frontmatter gets an empty frontmatter object.
      * @param {string} content - Raw file content.
-     * @returns {Object} - { frontmatter: Object, mainContent: string }
-     * @throws {Error} - If frontmatter delimiters are missing or malformed.
+     * @returns {Object} - { frontmatter: Object, mainContent: string, frontmatterLine: number|null, keyLines: Map },
+     * with the line where the frontmatter opens and the line of each frontmatter key by dotted path (`author.name`).
+     * @throws {Error} - If the frontmatter isn't closed or can't be parsed, with the line of the error as `line`.
      */
     splitContent(content) {
         if (typeof content !== "string") {
             throw new Error("Content must be a string")
         }
 
-        const lines = content.split("\n")
-        const frontmatterLines = []
-        let delimiterCount = 0
-        let mainContentStart = 0
+        const lines = content.replace(/^\uFEFF/, "").split("\n")
+        // Frontmatter opens the file, after empty lines if any
+        const start = lines.findIndex((line) => line.trim() !== "")
+        const opening = start === -1 ? "" : lines[start].trim()
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i] // Preserve original line (indentation matters)
+        const keyLines = new Map()
+        const frontmatterLine = start + 1
+        const missingEnd = (message) => Object.assign(new Error(message), { line: frontmatterLine })
 
-            // Skip empty lines or comments early
-            const trimmedLine = line.trim()
-            if (delimiterCount === 1 && (trimmedLine === "" || trimmedLine.startsWith("#"))) {
-                continue // Skip but preserve indentation tracking
+        const format = FRONTMATTER_DELIMITERS[opening]
+        if (format) {
+            // The closing delimiter starts its line, an indented one belongs to a YAML block value
+            const end = lines.findIndex((line, i) => i > start && line.trimEnd() === opening)
+            if (end === -1) {
+                throw missingEnd(`Missing closing frontmatter delimiter (${opening})`)
             }
-
-            if (trimmedLine === FRONTMATTER_DELIMITER) {
-                delimiterCount++
-                if (delimiterCount === 2) {
-                    mainContentStart = i + 1
-                    break
-                }
-            } else if (delimiterCount === 1) {
-                frontmatterLines.push(line) // Add line (with indentation)
+            const firstLine = frontmatterLine + 1
+            return {
+                frontmatter: FrontmatterParser.parse(lines.slice(start + 1, end), format, { firstLine, keyLines }),
+                mainContent: lines.slice(end + 1).join("\n").trim(),
+                frontmatterLine,
+                keyLines,
             }
         }
 
-        if (delimiterCount < 2) {
-            throw new Error("Missing frontmatter delimiters (---)")
+        if (opening === "{" || opening.startsWith('{"')) {
+            const source = lines.slice(start).join("\n")
+            const end = jsonObjectEnd(source)
+            if (end === -1) {
+                throw missingEnd("Missing end of the JSON frontmatter object")
+            }
+            const frontmatterLines = source.slice(0, end + 1).split("\n")
+            return {
+                frontmatter: FrontmatterParser.parse(frontmatterLines, "json", { firstLine: frontmatterLine, keyLines }),
+                mainContent: source.slice(end + 1).trim(),
+                frontmatterLine,
+                keyLines,
+            }
         }
 
-        return {
-            frontmatter: FrontmatterParser.parse(frontmatterLines),
-            mainContent: lines.slice(mainContentStart).join("\n").trim(),
-        }
+        return { frontmatter: {}, mainContent: content.trim(), frontmatterLine: null, keyLines }
     }
 
     /**
-     * Processes the content by converting markdown headings into HTML, adding IDs to headings,
-     * and reinserting any code blocks that were replaced with placeholders.
+     * Processes the content by parsing its markdown block and inline structure and rendering it into HTML,
+     * running the registered processors at their stages.
      *
      * @param {string} content - The main content of the markdown file.
-     * @returns {string} - The processed content with HTML headings and code blocks reintegrated.
+     * @param {object} [env={}] - An object shared by all processors while processing this content.
+     * @returns {string} - The rendered HTML content.
      */
-    processContent(content) {
-        // Extract code blocks and replace them with placeholders
-        const { processedContent, codeBlocks } = CodeBlockProcessor.extract(content)
+    processContent(content, env = {}) {
+        const stage = (name) => this.processors.filter((p) => p.stage === name)
 
-        // Convert markdown-style headings into HTML headings
-        const withHtmlHeadings = HeadingProcessor.transformToHtml(processedContent)
+        // Transform the markdown source
+        const source = stage("preprocess").reduce((acc, p) => p.process(acc, env), content)
 
-        // Add IDs to the headings
-        const withHeadingIds = HeadingProcessor.addIds(withHtmlHeadings)
+        // Parse the markdown into a document tree
+        const document = new BlockParser({
+            blockProcessors: stage("block"),
+            inlineProcessors: stage("inline"),
+        }).parse(source)
 
-        // Reinsert code blocks back into the content
-        return CodeBlockProcessor.reinsert(withHeadingIds, codeBlocks)
+        // Render the document tree into HTML
+        const html = new HtmlRenderer({ highlight: this.highlight, env }).render(document)
+
+        // Transform the rendered HTML
+        return stage("postprocess").reduce((acc, p) => p.process(acc, env), html)
+    }
+}
+
+/**
+ * Finds the line of a frontmatter key, or of its closest parent key, or else the line where the frontmatter opens.
+ *
+ * @param {object} split - The result of `splitContent`.
+ * @param {string} key - The dotted key.
+ * @returns {number|null} - The line, null for a file without frontmatter.
+ */
+function keyLine({ keyLines, frontmatterLine }, key) {
+    for (let path = key; path; path = path.slice(0, Math.max(path.lastIndexOf("."), 0))) {
+        if (keyLines.has(path)) return keyLines.get(path)
+    }
+    return frontmatterLine
+}
+
+/**
+ * Finds the closing brace of the JSON object that starts a text.
+ *
+ * @param {string} text - The text, starting with `{`.
+ * @returns {number} - The index of the closing brace, or -1 if the object isn't closed.
+ */
+function jsonObjectEnd(text) {
+    let depth = 0
+    let inString = false
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (inString) {
+            if (char === "\\") i++
+            else if (char === '"') inString = false
+        } else if (char === '"') {
+            inString = true
+        } else if (char === "{") {
+            depth++
+        } else if (char === "}" && --depth === 0) {
+            return i
+        }
     }
+    return -1
 }
@@ -0,0 +1,477 @@
+import { validators } from "./utils/validators.js"
+
+/**
+ * A TOML 1.0 parser for frontmatter content (`+++` delimiters, as used by Hugo).
+ *
+ * Features:
+ * - Bare, quoted and dotted keys (`site.title = "x"`)
+ * - Tables (`[params]`), arrays of tables (`[[menu]]`) and inline tables (`{ name = "x" }`)
+ * - Basic, literal and multiline strings, with escapes
+ * - Integers (decimal, `0x`, `0o`, `0b`, with `_` separators), floats, `inf`, `nan` and booleans
+ * - Arrays, which may span several lines
+ * - Dates: offset date-times, local date-times and local dates are parsed as dates (in UTC without offset),
+ *   local times are kept as strings
+ *
+ * @example
+ * TomlParser.parse('title = "Hello"\ntags = ["a", "b"]\n\n[params]\nauthor = "Ann"')
+ * // { title: "Hello", tags: ["a", "b"], params: { author: "Ann" } }
+ */
+export class TomlParser {
+	#source
+	#pos = 0
+	#explicitTables = new WeakSet() // Tables defined by a [header]
+	#dottedTables = new WeakSet() // Tables defined by dotted keys
+	#inlineTables = new WeakSet() // Inline tables, which can't be extended
+	#tableArrays = new WeakSet() // Arrays defined by [[headers]]
+	#keyLines // Lines of the keys by dotted path, when recorded
+
+	/**
+	 * @param {string} source - The TOML source
+	 * @param {Object} [options] - Parsing options
+	 * @param {Map<string, number>} [options.keyLines] - A map filled with the line of each key, by dotted path
+	 * (`params.author`, `menu.0.name`), except the keys of inline tables
+	 */
+	constructor(source, options = {}) {
+		this.#source = source
+		this.#keyLines = options.keyLines ?? null
+	}
+
+	/**
+	 * Parses a TOML document.
+	 *
+	 * @param {string} source - The TOML source
+	 * @param {Object} [options] - Parsing options, see the constructor
+	 * @returns {Object} The parsed document
+	 * @throws {Error} When parsing fails, with the line of the error in its message and its `line` property
+	 */
+	static parse(source, options = {}) {
+		return new TomlParser(source, options).parse()
+	}
+
+	/**
+	 * Parses the document.
+	 * @returns {Object} The parsed document
+	 */
+	parse() {
+		const root = {}
+		let table = root
+		let path = [] // The path of the table
+
+		while (true) {
+			this.#skipWhitespace(true)
+			if (this.#pos >= this.#source.length) return root
+
+			const line = this.#line()
+			if (this.#source.startsWith("[[", this.#pos)) {
+				this.#pos += 2
+				const keys = this.#readKey()
+				this.#expect("]]")
+				const tableArray = this.#openTableArray(root, keys)
+				table = tableArray.at(-1)
+				path = [...keys, tableArray.length - 1]
+				this.#recordKey(keys, line)
+				this.#recordKey(path, line)
+			} else if (this.#source[this.#pos] === "[") {
+				this.#pos++
+				const keys = this.#readKey()
+				this.#expect("]")
+				table = this.#openTable(root, keys)
+				path = keys
+				this.#recordKey(path, line)
+			} else {
+				this.#recordKey([...path, ...this.#readKeyValue(table)], line)
+			}
+			this.#endLine()
+		}
+	}
+
+	/**
+	 * Opens the table of a [header], creating it and its parents as needed.
+	 */
+	#openTable(root, keys) {
+		const parent = this.#walkTables(root, keys.slice(0, -1))
+		const key = keys.at(-1)
+
+		if (!Object.hasOwn(parent, key)) {
+			const table = {}
+			this.#explicitTables.add(table)
+			this.#define(parent, key, table)
+			return table
+		}
+
+		// A table created by a parent header ([a.b] creates a) can be defined later, once
+		const table = parent[key]
+		if (!this.#isTable(table) || this.#explicitTables.has(table) || this.#dottedTables.has(table)) {
+			throw this.#error(`Table [${keys.join(".")}] is already defined`)
+		}
+		this.#explicitTables.add(table)
+		return table
+	}
+
+	/**
+	 * Adds a table to the array of a [[header]], creating the array and the parent tables as needed.
+	 * @returns {Array<Object>} The array, ending with the new table
+	 */
+	#openTableArray(root, keys) {
+		const parent = this.#walkTables(root, keys.slice(0, -1))
+		const key = keys.at(-1)
+
+		if (!Object.hasOwn(parent, key)) {
+			const array = []
+			this.#tableArrays.add(array)
+			this.#define(parent, key, array)
+		} else if (!this.#tableArrays.has(parent[key])) {
+			throw this.#error(`Key ${keys.join(".")} is already defined and isn't an array of tables`)
+		}
+
+		parent[key].push({})
+		return parent[key]
+	}
+
+	/**
+	 * Walks the parent tables of a header, creating the missing ones.
+	 * Arrays of tables lead to their last table.
+	 */
+	#walkTables(root, keys) {
+		let table = root
+		for (const [index, key] of keys.entries()) {
+			if (!Object.hasOwn(table, key)) this.#define(table, key, {})
+
+			let next = table[key]
+			if (this.#tableArrays.has(next)) next = next.at(-1)
+			if (!this.#isTable(next) || this.#inlineTables.has(next)) {
+				throw this.#error(`Key ${keys.slice(0, index + 1).join(".")} is already defined and isn't a table`)
+			}
+			table = next
+		}
+		return table
+	}
+
+	/**
+	 * Reads a `key = value` pair into a table, dotted keys creating sub-tables.
+	 * @returns {Array<string>} The key parts
+	 */
+	#readKeyValue(table) {
+		const keys = this.#readKey()
+		this.#expect("=")
+		this.#skipWhitespace(false)
+		const value = this.#readValue()
+
+		let target = table
+		for (const [index, key] of keys.slice(0, -1).entries()) {
+			if (!Object.hasOwn(target, key)) {
+				const subTable = {}
+				this.#dottedTables.add(subTable)
+				if (this.#inlineTables.has(table)) this.#inlineTables.add(subTable)
+				this.#define(target, key, subTable)
+			} else if (!this.#dottedTables.has(target[key])) {
+				throw this.#error(`Key ${keys.slice(0, index + 1).join(".")} is already defined`)
+			}
+			target = target[key]
+		}
+
+		const key = keys.at(-1)
+		if (Object.hasOwn(target, key)) throw this.#error(`Duplicate key: ${keys.join(".")}`)
+		this.#define(target, key, value)
+		return keys
+	}
+
+	/**
+	 * Records the line of a key, and of its parent keys not recorded yet.
+	 */
+	#recordKey(keys, line) {
+		if (!this.#keyLines) return
+		for (let length = 1; length <= keys.length; length++) {
+			const path = keys.slice(0, length).join(".")
+			if (!this.#keyLines.has(path)) this.#keyLines.set(path, line)
+		}
+	}
+
+	/**
+	 * Reads a key, made of bare or quoted parts separated by dots.
+	 * @returns {Array<string>} The key parts
+	 */
+	#readKey() {
+		const keys = []
+		while (true) {
+			this.#skipWhitespace(false)
+			const char = this.#source[this.#pos]
+			if (char === '"') {
+				keys.push(this.#readBasicString())
+			} else if (char === "'") {
+				keys.push(this.#readLiteralString())
+			} else {
+				const bare = /[A-Za-z0-9_-]+/y
+				bare.lastIndex = this.#pos
+				const match = bare.exec(this.#source)
+				if (!match) throw this.#error("Expected a key")
+				keys.push(match[0])
+				this.#pos = bare.lastIndex
+			}
+			this.#skipWhitespace(false)
+			if (this.#source[this.#pos] !== ".") return keys
+			this.#pos++
+		}
+	}
+
+	/**
+	 * Reads a value.
+	 */
+	#readValue() {
+		const source = this.#source
+		const char = source[this.#pos]
+
+		if (source.startsWith('"""', this.#pos)) return this.#readMultilineString('"')
+		if (source.startsWith("'''", this.#pos)) return this.#readMultilineString("'")
+		if (char === '"') return this.#readBasicString()
+		if (char === "'") return this.#readLiteralString()
+		if (char === "[") return this.#readArray()
+		if (char === "{") return this.#readInlineTable()
+
+		const dateTime =
+			/(\d{4}-\d{2}-\d{2})(?:[Tt ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)([Zz]|[+-]\d{2}:\d{2})?)?|(\d{2}:\d{2}:\d{2}(?:\.\d+)?)/y
+		dateTime.lastIndex = this.#pos
+		const date = dateTime.exec(source)
+		if (date && !/[\w.:+-]/.test(source[dateTime.lastIndex] ?? "")) {
+			this.#pos = dateTime.lastIndex
+			return this.#toDate(date)
+		}
+
+		const token = /[^\s,\]}#]+/y
+		token.lastIndex = this.#pos
+		const text = token.exec(source)?.[0]
+		if (!text) throw this.#error("Expected a value")
+		const value = this.#toScalar(text)
+		this.#pos = token.lastIndex
+		return value
+	}
+
+	/**
+	 * Converts a boolean or number token.
+	 */
+	#toScalar(text) {
+		if (text === "true" || text === "false") return text === "true"
+		if (/^[+-]?inf$/.test(text)) return text.startsWith("-") ? -Infinity : Infinity
+		if (/^[+-]?nan$/.test(text)) return NaN
+
+		// Underscores are only allowed between digits
+		const digits = text.replaceAll("_", "")
+		if (/^0x[0-9A-Fa-f](_?[0-9A-Fa-f])*$/.test(text)) return parseInt(digits.slice(2), 16)
+		if (/^0o[0-7](_?[0-7])*$/.test(text)) return parseInt(digits.slice(2), 8)
+		if (/^0b[01](_?[01])*$/.test(text)) return parseInt(digits.slice(2), 2)
+		if (/^[+-]?(0|[1-9](_?[0-9])*)(\.[0-9](_?[0-9])*)?([eE][+-]?[0-9](_?[0-9])*)?$/.test(text)) return Number(digits)
+		throw this.#error(`Invalid value: ${text}`)
+	}
+
+	/**
+	 * Converts a matched date, date-time or time.
+	 */
+	#toDate([text, day, time, offset, localTime]) {
+		if (localTime) return localTime
+
+		// Dates that don't exist (2024-02-31) would be rolled over by Date
+		if (!validators.isTimestamp(time ? `${day}T${time}` : day)) throw this.#error(`Invalid date: ${text}`)
+
+		// Date-times without offset are taken as UTC, like frontmatter dates in YAML
+		const date = new Date(time ? `${day}T${time}${(offset ?? "Z").toUpperCase()}` : `${day}T00:00:00Z`)
+		if (isNaN(date.getTime())) throw this.#error(`Invalid date: ${text}`)
+		return date
+	}
+
+	/**
+	 * Reads a basic string, with escapes.
+	 */
+	#readBasicString() {
+		const source = this.#source
+		this.#pos++
+		let value = ""
+		while (true) {
+			const char = source[this.#pos]
+			if (char === undefined || char === "\n") throw this.#error("Unterminated string")
+			if (char === '"') {
+				this.#pos++
+				return value
+			}
+			if (char === "\\") {
+				value += this.#readEscape()
+			} else {
+				value += char
+				this.#pos++
+			}
+		}
+	}
+
+	/**
+	 * Reads a literal string, without escapes.
+	 */
+	#readLiteralString() {
+		const end = this.#source.indexOf("'", this.#pos + 1)
+		const newline = this.#source.indexOf("\n", this.#pos + 1)
+		if (end === -1 || (newline !== -1 && newline < end)) throw this.#error("Unterminated string")
+		const value = this.#source.slice(this.#pos + 1, end)
+		this.#pos = end + 1
+		return value
+	}
+
+	/**
+	 * Reads a multiline basic (`"""`) or literal (`'''`) string.
+	 * A line break right after the opening delimiter is trimmed, and in basic strings,
+	 * a backslash at the end of a line trims the line break and the whitespace that follows.
+	 */
+	#readMultilineString(quote) {
+		const source = this.#source
+		const delimiter = quote.repeat(3)
+		const start = this.#pos
+		this.#pos += 3
+		if (source[this.#pos] === "\n") this.#pos++
+
+		let value = ""
+		while (true) {
+			if (this.#pos >= source.length) {
+				this.#pos = start
+				throw this.#error("Unterminated multiline string")
+			}
+			if (source.startsWith(delimiter, this.#pos)) {
+				// Up to two quotes may precede the closing delimiter
+				let quotes = 3
+				while (quotes < 5 && source[this.#pos + quotes] === quote) quotes++
+				value += quote.repeat(quotes - 3)
+				this.#pos += quotes
+				return value
+			}
+
+			const char = source[this.#pos]
+			if (quote === '"' && char === "\\") {
+				const lineEnding = /\\[ \t]*\n[\s]*/y
+				lineEnding.lastIndex = this.#pos
+				if (lineEnding.test(source)) {
+					this.#pos = lineEnding.lastIndex
+				} else {
+					value += this.#readEscape()
+				}
+			} else {
+				value += char
+				this.#pos++
+			}
+		}
+	}
+
+	/**
+	 * Reads an escape sequence of a basic string.
+	 */
+	#readEscape() {
+		const escapes = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", e: "\x1b", '"': '"', "\\": "\\" }
+		const char = this.#source[this.#pos + 1]
+		if (char in escapes) {
+			this.#pos += 2
+			return escapes[char]
+		}
+
+		const length = { u: 4, U: 8 }[char]
+		const digits = length ? this.#source.slice(this.#pos + 2, this.#pos + 2 + length) : ""
+		if (!length || !/^[0-9A-Fa-f]+$/.test(digits) || digits.length !== length) {
+			throw this.#error(`Invalid escape sequence \\${char ?? ""}`)
+		}
+		this.#pos += 2 + length
+		return String.fromCodePoint(parseInt(digits, 16))
+	}
+
+	/**
+	 * Reads an array, which may span several lines and end with a comma.
+	 */
+	#readArray() {
+		const array = []
+		this.#pos++
+		while (true) {
+			this.#skipWhitespace(true)
+			if (this.#source[this.#pos] === "]") {
+				this.#pos++
+				return array
+			}
+			if (this.#pos >= this.#source.length) throw this.#error("Unterminated array, expected ]")
+
+			array.push(this.#readValue())
+			this.#skipWhitespace(true)
+			if (this.#source[this.#pos] === ",") this.#pos++
+			else if (this.#source[this.#pos] !== "]") throw this.#error("Expected , or ] in array")
+		}
+	}
+
+	/**
+	 * Reads an inline table, which can't be extended afterwards.
+	 */
+	#readInlineTable() {
+		const table = {}
+		this.#inlineTables.add(table)
+		this.#pos++
+		while (true) {
+			this.#skipWhitespace(true)
+			if (this.#source[this.#pos] === "}") {
+				this.#pos++
+				return table
+			}
+			if (this.#pos >= this.#source.length) throw this.#error("Unterminated inline table, expected }")
+
+			this.#readKeyValue(table)
+			this.#skipWhitespace(true)
+			if (this.#source[this.#pos] === ",") this.#pos++
+			else if (this.#source[this.#pos] !== "}") throw this.#error("Expected , or } in inline table")
+		}
+	}
+
+	/**
+	 * Defines a property, so that keys like `__proto__` are plain properties.
+	 */
+	#define(table, key, value) {
+		Object.defineProperty(table, key, { value, writable: true, enumerable: true, configurable: true })
+	}
+
+	#isTable(value) {
+		return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+	}
+
+	/**
+	 * Skips spaces and tabs, and with `newlines`, line breaks and comments.
+	 */
+	#skipWhitespace(newlines) {
+		const source = this.#source
+		while (this.#pos < source.length) {
+			const char = source[this.#pos]
+			if (char === " " || char === "\t" || (newlines && char === "\n")) {
+				this.#pos++
+			} else if (newlines && char === "#") {
+				const end = source.indexOf("\n", this.#pos)
+				this.#pos = end === -1 ? source.length : end
+			} else {
+				break
+			}
+		}
+	}
+
+	#expect(text) {
+		this.#skipWhitespace(false)
+		if (!this.#source.startsWith(text, this.#pos)) throw this.#error(`Expected ${text}`)
+		this.#pos += text.length
+	}
+
+	/**
+	 * Checks that only a comment follows on the line.
+	 */
+	#endLine() {
+		this.#skipWhitespace(false)
+		const char = this.#source[this.#pos]
+		if (char !== undefined && char !== "\n" && char !== "#") throw this.#error("Unexpected content after the value")
+	}
+
+	#line() {
+		return this.#source.slice(0, this.#pos).split("\n").length
+	}
+
+	/**
+	 * Creates an error with the line of the position, also set as its `line` property.
+	 */
+	#error(message) {
+		const line = this.#line()
+		return Object.assign(new Error(`Line ${line}: ${message}`), { line, reason: message })
+	}
+}
@@ -1,23 +1,27 @@
 /**
- * The delimiter used to separate frontmatter metadata in a document.
- * Typically found at the top of markdown files to enclose YAML metadata.
+ * The delimiters of frontmatter metadata, by format. Frontmatter starts on the first line of a markdown file,
+ * and ends with the same delimiter on its own line. JSON frontmatter may also be a JSON object without delimiters.
  *
- * @constant {string}
+ * @constant {Object<string, string>}
  */
-export const FRONTMATTER_DELIMITER = "---"
+export const FRONTMATTER_DELIMITERS = { "---": "yaml", "+++": "toml", ";;;": "json" }
 
 /**
- * A placeholder string used to mark the location of code blocks in the document.
- * This can be replaced or processed with actual code block content during rendering.
+ * The separator used to generate unique IDs for headings in a document.
+ * It is used to replace spaces and other characters in heading texts to form an ID.
  *
  * @constant {string}
  */
-export const CODEBLOCK_PLACEHOLDER = "{{CODE_BLOCK_}}"
+export const HEADING_ID_SEPARATOR = "-"
 
 /**
- * The separator used to generate unique IDs for headings in a document.
- * It is used to replace spaces and other characters in heading texts to form an ID.
+ * The stages at which custom processors can run, in pipeline order.
+ * - `preprocess`: `process(source, env)` transforms the markdown source before parsing.
+ * - `block`: lines matching `start` (and, if given, every line until one matching `end`) form a custom block,
+ *   rendered by `render(match, content, env)`.
+ * - `inline`: text matching `pattern` at one of the `trigger` characters is rendered by `render(match, env)`.
+ * - `postprocess`: `process(html, env)` transforms the rendered HTML.
  *
- * @constant {string}
+ * @constant {Array<string>}
  */
-export const HEADING_ID_SEPARATOR = "-"
+export const PROCESSOR_STAGES = ["preprocess", "block", "inline", "postprocess"]
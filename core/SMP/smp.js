@@ -10,10 +10,47 @@ export class SMP {
 	 * Constructs a new instance of the `SMP` class.
 	 *
 	 * @param {string} [baseDir="views"] - The base directory where markdown files are stored.
+	 * @param {object} [options={}] - Options passed to the `MarkdownProcessor` (e.g., `highlight`).
 	 */
-	constructor(baseDir = "views") {
-		// Initialize the MarkdownProcessor with the given base directory
-		this.processor = new MarkdownProcessor(baseDir)
+	constructor(baseDir = "views", options = {}) {
+		// Initialize the MarkdownProcessor with the given base directory and options
+		this.processor = new MarkdownProcessor(baseDir, options)
+	}
+
+	/**
+	 * Sets the function used to highlight code blocks.
+	 *
+	 * @param {Function|null} highlight - The highlighter function, or `null` to restore the default escaped output.
+	 * @throws {Error} - If the highlighter is neither a function nor `null`.
+	 */
+	setHighlighter(highlight) {
+		if (highlight !== null && typeof highlight !== "function") {
+			throw new Error("Code highlighter must be a function or null")
+		}
+		this.processor.highlight = highlight
+	}
+
+	/**
+	 * Registers a custom markdown processor (e.g., admonitions, footnotes, shortcodes or emoji).
+	 * See `MarkdownProcessor.addProcessor` for the processor definition.
+	 *
+	 * @param {object} processor - The processor definition.
+	 * @returns {SMP} - The SMP instance for chaining.
+	 * @throws {Error} - If the processor definition is invalid.
+	 */
+	addProcessor(processor) {
+		this.processor.addProcessor(processor)
+		return this
+	}
+
+	/**
+	 * Removes a registered markdown processor.
+	 *
+	 * @param {string} name - The name of the processor to remove.
+	 * @returns {boolean} - True if a processor was removed, false otherwise.
+	 */
+	removeProcessor(name) {
+		return this.processor.removeProcessor(name)
 	}
 
 	/**
@@ -21,11 +58,14 @@ export class SMP {
 	 * This method uses the `MarkdownProcessor` to process the file and extract the frontmatter.
 	 *
 	 * @param {string} filePath - The relative path to the markdown file to process.
+	 * @param {object} [options={}] - Processing options.
+	 * @param {FrontmatterSchema} [options.schema] - A schema validating the frontmatter and filling in its defaults.
 	 * @returns {object} - An object containing the frontmatter and processed content of the file.
 	 * @throws {Error} - If the file is not found or processing fails.
+	 * @throws {FrontmatterError} - If the frontmatter can't be parsed or doesn't match the schema.
 	 */
-	parseFrontmatter(filePath) {
+	parseFrontmatter(filePath, options = {}) {
 		// Use the MarkdownProcessor to process the file and extract the frontmatter
-		return this.processor.processFile(filePath)
+		return this.processor.processFile(filePath, options)
 	}
 }
@@ -0,0 +1,96 @@
+/**
+ * Characters that can be escaped with a backslash in markdown.
+ *
+ * @constant {string}
+ */
+export const ESCAPABLE = "[!\"#$%&'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]"
+
+const reEntity = "&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});"
+const reEntityOrEscapedChar = new RegExp(`\\\\${ESCAPABLE}|${reEntity}`, "gi")
+
+// Latin-1 supplement entities, in code point order starting at U+00A0
+const LATIN1_ENTITIES = "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml".split(" ")
+
+// Greek letters, in code point order starting at U+0391 (capitals) and U+03B1 (small letters), "-" marks a gap
+const GREEK_LETTERS = "Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho - Sigma Tau Upsilon Phi Chi Psi Omega".split(" ")
+
+// Remaining entities as "name:codePoint" pairs
+const OTHER_ENTITIES = "quot:34 amp:38 apos:39 lt:60 gt:62 OElig:338 oelig:339 Scaron:352 scaron:353 Yuml:376 fnof:402 circ:710 tilde:732 sigmaf:962 thetasym:977 upsih:978 piv:982 ensp:8194 emsp:8195 thinsp:8201 zwnj:8204 zwj:8205 lrm:8206 rlm:8207 ndash:8211 mdash:8212 lsquo:8216 rsquo:8217 sbquo:8218 ldquo:8220 rdquo:8221 bdquo:8222 dagger:8224 Dagger:8225 bull:8226 hellip:8230 permil:8240 prime:8242 Prime:8243 lsaquo:8249 rsaquo:8250 oline:8254 frasl:8260 euro:8364 image:8465 weierp:8472 real:8476 trade:8482 alefsym:8501 larr:8592 uarr:8593 rarr:8594 darr:8595 harr:8596 crarr:8629 lArr:8656 uArr:8657 rArr:8658 dArr:8659 hArr:8660 forall:8704 part:8706 exist:8707 empty:8709 nabla:8711 isin:8712 notin:8713 ni:8715 prod:8719 sum:8721 minus:8722 lowast:8727 radic:8730 prop:8733 infin:8734 ang:8736 and:8743 or:8744 cap:8745 cup:8746 int:8747 there4:8756 sim:8764 cong:8773 asymp:8776 ne:8800 equiv:8801 le:8804 ge:8805 sub:8834 sup:8835 nsub:8836 sube:8838 supe:8839 oplus:8853 otimes:8855 perp:8869 sdot:8901 lceil:8968 rceil:8969 lfloor:8970 rfloor:8971 lang:10216 rang:10217 loz:9674 spades:9824 clubs:9827 hearts:9829 diams:9830 Dcaron:270 HilbertSpace:8459 DifferentialD:8518 ClockwiseContourIntegral:8754 check:10003 cross:10007 star:9734 starf:9733 phone:9742".split(" ").map((pair) => pair.split(":"))
+
+/**
+ * Named HTML entities understood by the markdown parser, mapped to their decoded characters.
+ *
+ * @constant {Map<string, string>}
+ */
+const NAMED_ENTITIES = new Map([
+	...LATIN1_ENTITIES.map((name, i) => [name, String.fromCodePoint(0xa0 + i)]),
+	...GREEK_LETTERS.flatMap((name, i) =>
+		name === "-"
+			? []
+			: [
+					[name, String.fromCodePoint(0x391 + i)],
+					[name.toLowerCase(), String.fromCodePoint(0x3b1 + i)],
+			  ]
+	),
+	...OTHER_ENTITIES.map(([name, code]) => [name, String.fromCodePoint(Number(code))]),
+	["ngE", "≧̸"],
+])
+
+/**
+ * Decodes a single HTML entity (named, decimal or hexadecimal).
+ * Unknown named entities are returned unchanged so they are rendered as literal text.
+ *
+ * @param {string} entity - The entity, including the leading `&` and trailing `;`.
+ * @returns {string} - The decoded character(s).
+ */
+export const decodeEntity = (entity) => {
+	if (entity[1] === "#") {
+		const isHex = entity[2] === "x" || entity[2] === "X"
+		const code = parseInt(entity.slice(isHex ? 3 : 2, -1), isHex ? 16 : 10)
+		// Invalid and null code points are replaced with the replacement character
+		if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return "�"
+		return String.fromCodePoint(code)
+	}
+	return NAMED_ENTITIES.get(entity.slice(1, -1)) ?? entity
+}
+
+/**
+ * Replaces backslash escapes and entities in a string with the characters they represent.
+ *
+ * @param {string} str - The string to unescape.
+ * @returns {string} - The unescaped string.
+ */
+export const unescapeString = (str) => {
+	if (!/[\\&]/.test(str)) return str
+	return str.replace(reEntityOrEscapedChar, (match) => (match[0] === "\\" ? match[1] : decodeEntity(match)))
+}
+
+/**
+ * Percent-encodes a link destination while leaving valid existing escapes untouched.
+ *
+ * @param {string} uri - The destination to normalize.
+ * @returns {string} - The normalized destination.
+ */
+export const normalizeURI = (uri) => {
+	try {
+		return encodeURI(uri).replace(/%25([0-9a-fA-F]{2})/g, "%$1")
+	} catch (error) {
+		return uri
+	}
+}
+
+/**
+ * Normalizes a link label (`[Foo  Bar]`) so references can be matched case-insensitively
+ * and regardless of inner whitespace.
+ *
+ * @param {string} label - The raw label, including the surrounding brackets.
+ * @returns {string} - The normalized label.
+ */
+export const normalizeReference = (label) => {
+	return label
+		.slice(1, label.length - 1)
+		.trim()
+		.replace(/[ \t\r\n]+/g, " ")
+		.toLowerCase()
+		.toUpperCase()
+}
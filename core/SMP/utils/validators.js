@@ -1,53 +1,104 @@
+/**
+ * Tests resolving plain (unquoted) frontmatter values with the YAML 1.2 core schema,
+ * plus YAML timestamps, which are resolved as dates.
+ */
 export const validators = {
 	/**
-	 * Checks if the value is a valid date.
-	 * Uses `new Date(value).getTime()` to attempt creating a valid date object and checks if it returns a valid timestamp.
+	 * Checks if the value is a YAML null: empty, `~` or `null`.
 	 *
-	 * @param {string} value - The value to validate as a date.
-	 * @returns {boolean} - Returns true if the value is a valid date, false otherwise.
+	 * @param {string} value - The value to validate as a null.
+	 * @returns {boolean} - Returns true if the value is a null, false otherwise.
 	 */
-	isValidDate(value) {
-		return !isNaN(new Date(value).getTime())
+	isNull(value) {
+		return /^(|~|null|Null|NULL)$/.test(value)
 	},
 
 	/**
-	 * Checks if the value is a quoted string (either single or double quotes).
+	 * Checks if the value is a YAML boolean (`true` or `false`, lowercase, capitalized or uppercase).
 	 *
-	 * @param {string} value - The value to validate as a quoted string.
-	 * @returns {boolean} - Returns true if the value is a string enclosed in single or double quotes, false otherwise.
+	 * @param {string} value - The value to validate as a boolean string.
+	 * @returns {boolean} - Returns true if the value is a boolean, false otherwise.
 	 */
-	isQuotedString(value) {
-		return /^["'].*["']$/.test(value)
+	isBoolean(value) {
+		return /^(true|True|TRUE|false|False|FALSE)$/.test(value)
 	},
 
 	/**
-	 * Checks if the value is a valid number (including negative and decimal numbers).
+	 * Checks if the value is a YAML integer: decimal (`-12`), octal (`0o14`) or hexadecimal (`0xC`).
 	 *
-	 * @param {string} value - The value to validate as a number.
-	 * @returns {boolean} - Returns true if the value matches a number pattern, false otherwise.
+	 * @param {string} value - The value to validate as an integer.
+	 * @returns {boolean} - Returns true if the value is an integer, false otherwise.
 	 */
-	isNumber(value) {
-		return /^-?\d*\.?\d+$/.test(value)
+	isInteger(value) {
+		return /^([-+]?[0-9]+|0o[0-7]+|0x[0-9a-fA-F]+)$/.test(value)
 	},
 
 	/**
-	 * Checks if the value is a valid boolean string (`true` or `false`).
+	 * Checks if the value is a YAML float (`1.5`, `.5`, `-2e3`), infinity (`.inf`, `-.inf`) or not a number (`.nan`).
 	 *
-	 * @param {string} value - The value to validate as a boolean string.
-	 * @returns {boolean} - Returns true if the value is either "true" or "false" (case insensitive), false otherwise.
+	 * @param {string} value - The value to validate as a float.
+	 * @returns {boolean} - Returns true if the value is a float, false otherwise.
 	 */
-	isBoolean(value) {
-		return /^(true|false)$/i.test(value)
+	isFloat(value) {
+		return /^([-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?|[-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN))$/.test(value)
 	},
 
 	/**
-	 * Checks if the value is an array, represented as a string.
-	 * The value is considered an array if it matches the pattern of a string starting and ending with square brackets `[...]`.
+	 * Checks if the value is a YAML timestamp: a date (`2024-05-01`) or a date and time
+	 * (`2024-05-01T10:30:00Z`, `2024-05-01 10:30:00 +02:00`). Dates and times that don't exist, such as `2024-02-31`,
+	 * aren't timestamps.
 	 *
-	 * @param {string} value - The value to validate as an array.
-	 * @returns {boolean} - Returns true if the value matches the pattern of an array, false otherwise.
+	 * @param {string} value - The value to validate as a timestamp.
+	 * @returns {boolean} - Returns true if the value is a timestamp, false otherwise.
 	 */
-	isArray(value) {
-		return /^\[.*\]$/.test(value)
+	isTimestamp(value) {
+		const match = TIMESTAMP.exec(value)
+		return match !== null && isExistingTime(match)
 	},
 }
+
+/**
+ * The YAML timestamp pattern, capturing the year, month, day, hours, minutes, seconds, fraction and time zone.
+ */
+export const TIMESTAMP =
+	/^([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})(?:(?:[Tt]|[ \t]+)([0-9]{1,2}):([0-9]{2}):([0-9]{2})(?:\.([0-9]*))?(?:[ \t]*(Z|[-+][0-9]{1,2}(?::?[0-9]{2})?))?)?$/
+
+/**
+ * Checks that the fields of a timestamp are a date and time that exist, which dates would otherwise roll over
+ * (`2024-02-31` into March 2).
+ *
+ * @param {Array<string>} match - The match of the timestamp pattern.
+ * @returns {boolean} - Returns true if the date and time exist, false otherwise.
+ */
+function isExistingTime([, year, month, day, hours = 0, minutes = 0, seconds = 0]) {
+	const date = new Date(0)
+	date.setUTCFullYear(year, month - 1, day)
+	date.setUTCHours(hours, minutes, seconds)
+	return (
+		date.getUTCFullYear() === Number(year) &&
+		date.getUTCMonth() === month - 1 &&
+		date.getUTCDate() === Number(day) &&
+		date.getUTCHours() === Number(hours) &&
+		date.getUTCMinutes() === Number(minutes) &&
+		date.getUTCSeconds() === Number(seconds)
+	)
+}
+
+/**
+ * Parses a YAML timestamp into a date. Timestamps without time zone are in UTC.
+ *
+ * @param {string} value - The timestamp, checked with `validators.isTimestamp`.
+ * @returns {Date} - The date.
+ */
+export function parseTimestamp(value) {
+	const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = "", zone] = TIMESTAMP.exec(value)
+	const milliseconds = Number(fraction.padEnd(3, "0").slice(0, 3))
+	const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds)
+
+	let offset = 0 // Minutes
+	if (zone && zone !== "Z") {
+		const [, sign, zoneHours, zoneMinutes = 0] = /^([-+])([0-9]{1,2}):?([0-9]{2})?$/.exec(zone)
+		offset = (sign === "-" ? -1 : 1) * (Number(zoneHours) * 60 + Number(zoneMinutes))
+	}
+	return new Date(time - offset * 60000)
+}
@@ -0,0 +1,54 @@
+/**
+ * Stores parsed template ASTs by resolved file path, together with the modification time
+ * of the file they were parsed from, so that a changed template is parsed again.
+ */
+export class TemplateCache {
+	#entries = new Map()
+
+	/**
+	 * Returns the cached entry of a template
+	 * @param {string} path - The resolved template path
+	 * @returns {{ast: Object, mtimeMs: number|null, trimBlocks: boolean}|undefined} The cached entry, if any
+	 */
+	get(path) {
+		return this.#entries.get(path)
+	}
+
+	/**
+	 * Caches the AST of a template
+	 * @param {string} path - The resolved template path
+	 * @param {Object} ast - The parsed template
+	 * @param {number|null} mtimeMs - The modification time of the template file,
+	 * or null for a precompiled template used without checking its file
+	 * @param {boolean} [trimBlocks=false] - Whether the template was parsed with the trimBlocks option
+	 */
+	set(path, ast, mtimeMs, trimBlocks = false) {
+		this.#entries.set(path, { ast, mtimeMs, trimBlocks })
+	}
+
+	/**
+	 * Removes a template from the cache
+	 * @param {string} path - The resolved template path
+	 * @returns {boolean} True if the template was cached
+	 */
+	delete(path) {
+		return this.#entries.delete(path)
+	}
+
+	/**
+	 * Removes all templates from the cache
+	 */
+	clear() {
+		this.#entries.clear()
+	}
+
+	/**
+	 * The number of cached templates
+	 */
+	get size() {
+		return this.#entries.size
+	}
+}
+
+// Cache shared by all template engine instances, so parsed templates outlive a single request
+export const templateCache = new TemplateCache()
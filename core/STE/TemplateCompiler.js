@@ -0,0 +1,161 @@
+import { Tokenizer } from "./syntax/Tokenizer.js"
+import { Parser } from "./parser/Parser.js"
+import { templateCache } from "./TemplateCache.js"
+import { TemplateError } from "./TemplateError.js"
+import { STE } from "./ste.js"
+
+/**
+ * Compiles the templates of a views directory into a JavaScript module, so that they can be deployed
+ * without being read and parsed at runtime. The module exports the parsed template ASTs, which are
+ * loaded into the template cache at startup and then used by every render instead of the template files.
+ *
+ * @example
+ * // Build step
+ * await writeFile("templates.js", await TemplateCompiler.compile("views"))
+ * // Server startup
+ * TemplateCompiler.load("views", await import("./templates.js"))
+ */
+export class TemplateCompiler {
+	/**
+	 * Compiles every template of a directory and its subdirectories, so that includes, layouts
+	 * and imported macros are compiled with the templates using them.
+	 *
+	 * @param {string} viewsDir - The directory of the templates
+	 * @param {Object} [options] - Compilation options
+	 * @param {boolean} [options.trimBlocks=false] - Must match the trimBlocks option of the template engine
+	 * @param {Array<string>} [options.extensions] - Extensions of the template files, defaults to STE.DEFAULT_EXTENSIONS
+	 * @returns {Promise<string>} The source of an ES module exporting `options` and `templates`
+	 */
+	static async compile(viewsDir, options = {}) {
+		const { readFile } = await import("node:fs/promises")
+		const { join, resolve } = await import("node:path")
+
+		const trimBlocks = options.trimBlocks ?? false
+		const baseDir = resolve(viewsDir)
+		const names = await TemplateCompiler.findTemplates(baseDir, options.extensions)
+
+		const entries = []
+		for (const name of names) {
+			const filePath = join(baseDir, name)
+			const content = await readFile(filePath, "utf8")
+
+			let ast
+			try {
+				const tokens = new Tokenizer(content, { trimBlocks }).scanTokens()
+				ast = new Parser(tokens, filePath).parse()
+			} catch (error) {
+				// A template that can't be parsed fails the build, pointing at the error
+				const templateError = TemplateError.from(error, { template: filePath })
+				templateError.templateName = name
+				if (templateError.line !== undefined) {
+					templateError.snippet = TemplateError.snippet(content, templateError.line, templateError.column)
+				}
+				templateError.updateMessage()
+				throw templateError
+			}
+			entries.push(`\t${JSON.stringify(name)}: ${TemplateCompiler.serialize(ast)},`)
+		}
+
+		return [
+			"// Precompiled LiteNode templates, generated from the views directory, do not edit",
+			`export const options = ${JSON.stringify({ trimBlocks })}`,
+			"",
+			"export const templates = {",
+			...entries,
+			"}",
+			"",
+		].join("\n")
+	}
+
+	/**
+	 * Loads compiled templates into a template cache. Loaded templates are used without checking
+	 * their files, which don't need to be deployed, until the cache is cleared.
+	 *
+	 * @param {string} viewsDir - The directory the templates were compiled from, as passed to the template engine
+	 * @param {{options: Object, templates: Object}} compiled - The compiled module (e.g. `await import("./templates.js")`)
+	 * @param {TemplateCache} [cache] - The cache to load the templates into, the shared cache by default
+	 * @returns {Promise<number>} The number of loaded templates
+	 */
+	static async load(viewsDir, compiled, cache = templateCache) {
+		const { join, normalize, resolve } = await import("node:path")
+
+		const baseDir = normalize(resolve(viewsDir))
+		const trimBlocks = compiled.options?.trimBlocks ?? false
+
+		let count = 0
+		for (const [name, ast] of Object.entries(compiled.templates)) {
+			const filePath = join(baseDir, name)
+			TemplateCompiler.#setTemplate(ast, filePath)
+			cache.set(filePath, ast, null, trimBlocks)
+			count++
+		}
+		return count
+	}
+
+	/**
+	 * Serializes an AST into a JavaScript expression.
+	 * Node locations are written without their template path, which is set again when loading.
+	 *
+	 * @param {*} value - The AST, or one of its values
+	 * @returns {string} The JavaScript source of the value
+	 */
+	static serialize(value) {
+		if (value === undefined) return "undefined"
+		if (value === null || typeof value !== "object") return JSON.stringify(value)
+
+		if (Array.isArray(value)) return `[${value.map((item) => TemplateCompiler.serialize(item)).join(",")}]`
+
+		// Maps are used for object literals and named call arguments
+		if (value instanceof Map) {
+			const entries = [...value].map(([k, v]) => `[${JSON.stringify(k)},${TemplateCompiler.serialize(v)}]`)
+			return `new Map([${entries.join(",")}])`
+		}
+
+		const properties = Object.entries(value).map(([key, item]) => {
+			const serialized =
+				key === "loc" ? JSON.stringify({ line: item.line, column: item.column }) : TemplateCompiler.serialize(item)
+			return `${JSON.stringify(key)}:${serialized}`
+		})
+		return `{${properties.join(",")}}`
+	}
+
+	/**
+	 * Lists the template files of a directory, as paths relative to it with forward slashes.
+	 * Hidden directories and node_modules are skipped.
+	 *
+	 * @param {string} baseDir - The directory of the templates
+	 * @param {Array<string>} [extensions] - Extensions of the template files, defaults to STE.DEFAULT_EXTENSIONS
+	 * @param {string} [prefix] - The subdirectory to list, used for recursion
+	 * @returns {Promise<Array<string>>} The sorted template paths
+	 */
+	static async findTemplates(baseDir, extensions = STE.DEFAULT_EXTENSIONS, prefix = "") {
+		const { readdir } = await import("node:fs/promises")
+		const { join } = await import("node:path")
+
+		const names = []
+		for (const entry of await readdir(join(baseDir, prefix), { withFileTypes: true })) {
+			const name = prefix ? `${prefix}/${entry.name}` : entry.name
+			if (entry.isDirectory()) {
+				if (entry.name.startsWith(".") || entry.name === "node_modules") continue
+				names.push(...(await TemplateCompiler.findTemplates(baseDir, extensions, name)))
+			} else if (entry.isFile() && extensions.some((extension) => entry.name.endsWith(extension))) {
+				names.push(name)
+			}
+		}
+		return names.sort()
+	}
+
+	/**
+	 * Sets the template path of the node locations of a loaded AST, used by error messages.
+	 * @private
+	 */
+	static #setTemplate(value, filePath) {
+		if (!value || typeof value !== "object") return
+		if (value.loc) value.loc.template = filePath
+
+		const children = value instanceof Map ? value.values() : Array.isArray(value) ? value : Object.values(value)
+		for (const child of children) {
+			if (child !== value.loc) TemplateCompiler.#setTemplate(child, filePath)
+		}
+	}
+}
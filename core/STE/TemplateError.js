@@ -0,0 +1,80 @@
+/**
+ * An error raised while tokenizing, parsing or rendering a template.
+ * It records where the error happened (template, line and column) and the chain of templates being rendered,
+ * and its message is completed with a snippet of the template pointing at the offending spot.
+ */
+export class TemplateError extends Error {
+	/**
+	 * @param {string} reason - What went wrong, without location
+	 * @param {Object} [location] - Where it went wrong
+	 * @param {string} [location.template] - The resolved path of the template
+	 * @param {number} [location.line] - The line, starting at 1
+	 * @param {number} [location.column] - The column, starting at 1
+	 * @param {Error} [cause] - The original error
+	 */
+	constructor(reason, location = {}, cause) {
+		super(reason, cause ? { cause } : undefined)
+		this.name = "TemplateError"
+		this.reason = reason
+		this.template = location.template
+		this.line = location.line
+		this.column = location.column
+		this.templateName = undefined // The template path relative to the views directory, set by STE
+		this.includeChain = undefined // Templates being rendered when the error happened, outermost first
+		this.snippet = ""
+	}
+
+	/**
+	 * Returns a template error located at the given position.
+	 * A template error already located is returned as is, so that the innermost location wins.
+	 *
+	 * @param {Error} error - The error to locate
+	 * @param {Object} location - The location of the node or token being processed
+	 * @returns {TemplateError} The located error
+	 */
+	static from(error, location) {
+		if (!(error instanceof TemplateError)) return new TemplateError(error.message, location, error)
+		if (error.line === undefined) {
+			error.line = location.line
+			error.column = location.column
+		}
+		error.template ??= location.template
+		return error
+	}
+
+	/**
+	 * Builds the lines of source around a location, with a caret under the offending column.
+	 *
+	 * @param {string} source - The template source
+	 * @param {number} line - The line, starting at 1
+	 * @param {number} column - The column, starting at 1
+	 * @param {number} [context=2] - The number of lines shown before and after
+	 * @returns {string} The snippet
+	 */
+	static snippet(source, line, column, context = 2) {
+		const lines = source.split(/\r?\n/)
+		const first = Math.max(1, line - context)
+		const last = Math.min(lines.length, line + context)
+		const width = String(last).length
+
+		const output = []
+		for (let n = first; n <= last; n++) {
+			const marker = n === line ? ">" : " "
+			output.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`)
+			if (n === line) output.push(`  ${" ".repeat(width)} | ${" ".repeat(Math.max(0, column - 1))}^`)
+		}
+		return output.join("\n")
+	}
+
+	/**
+	 * Rebuilds the message from the reason, the location, the include chain and the snippet.
+	 */
+	updateMessage() {
+		let message = this.reason
+		const name = this.templateName ?? this.template
+		if (name) message += `\n    at ${name}${this.line ? `:${this.line}:${this.column}` : ""}`
+		if (this.includeChain?.length > 1) message += `\n    include chain: ${this.includeChain.join(" > ")}`
+		if (this.snippet) message += `\n\n${this.snippet}`
+		this.message = message
+	}
+}
@@ -0,0 +1,207 @@
+import { Tokenizer } from "./syntax/Tokenizer.js"
+import { Parser } from "./parser/Parser.js"
+import { TemplateCompiler } from "./TemplateCompiler.js"
+import { builtInFilters } from "./evaluator/utils/builtInFilters.js"
+
+/**
+ * Checks the templates of a views directory without rendering them, e.g. in CI.
+ * Each problem is reported as a diagnostic `{ template, line, column, severity, rule, message }`:
+ * - `syntax` (error): the template can't be parsed, e.g. an unclosed `{{#if}}`
+ * - `unmatched-closing-tag` (error): a `{{/if}}` or `{{/each}}` without its opening tag, ignored when rendering
+ * - `unknown-filter` (error): a filter that is neither built in nor registered
+ * - `missing-include` (error): an included, extended or imported template that doesn't exist
+ * - `undefined-html` (warning): a `{{#html_name}}` or `{{html_name}}` reference that no template sets and that isn't
+ *   a known variable
+ * - `unused-set` (warning): a `{{#set}}` variable that no template uses
+ *
+ * Templates share their variables with their layouts and includes, so html_ and #set variables
+ * are checked across all the templates of the directory. Applications lint their views directory with
+ * `lintTemplates`, whose diagnostics `format` turns into text, e.g. for a CI script.
+ *
+ * @example
+ * const diagnostics = await TemplateLinter.lint("views", { variables: ["html_content"] })
+ * console.log(TemplateLinter.format(diagnostics))
+ * process.exitCode = diagnostics.some((d) => d.severity === "error") ? 1 : 0
+ */
+export class TemplateLinter {
+	/**
+	 * Lints every template of a directory and its subdirectories.
+	 *
+	 * @param {string} viewsDir - The directory of the templates
+	 * @param {Object} [options] - Lint options
+	 * @param {Array<string>} [options.filters] - The names of the custom filters registered on the template engine
+	 * @param {Array<string>} [options.variables] - The names of the variables passed by the application
+	 * (render data and globals), e.g. `html_content`
+	 * @param {boolean} [options.trimBlocks=false] - The trimBlocks option of the template engine
+	 * @param {Array<string>} [options.extensions] - Extensions of the template files, defaults to STE.DEFAULT_EXTENSIONS
+	 * @returns {Promise<Array<Object>>} The diagnostics, sorted by template, line and column
+	 */
+	static async lint(viewsDir, options = {}) {
+		const { readFile } = await import("node:fs/promises")
+		const { join, resolve } = await import("node:path")
+
+		const baseDir = resolve(viewsDir)
+		const filters = new Set([...Object.keys(builtInFilters), ...(options.filters ?? [])])
+		const diagnostics = []
+		const templates = []
+
+		for (const name of await TemplateCompiler.findTemplates(baseDir, options.extensions)) {
+			const content = await readFile(join(baseDir, name), "utf8")
+			try {
+				const tokens = new Tokenizer(content, { trimBlocks: options.trimBlocks }).scanTokens()
+				const parser = new Parser(tokens, name)
+				templates.push({ name, ast: parser.parse() })
+
+				for (const { tag, loc } of parser.unmatchedClosingTags) {
+					const message = `Unexpected {{/${tag}}} without a matching {{#${tag}}}`
+					diagnostics.push(TemplateLinter.#diagnostic(name, loc, "error", "unmatched-closing-tag", message))
+				}
+			} catch (error) {
+				diagnostics.push(TemplateLinter.#diagnostic(name, error, "error", "syntax", error.reason ?? error.message))
+			}
+		}
+
+		// Variables set and used by each template, checked across templates once all of them are analyzed
+		const sets = []
+		const rawReferences = []
+		const used = new Set()
+		const defined = new Set(options.variables ?? [])
+
+		for (const { name, ast } of templates) {
+			for (const node of TemplateLinter.#nodes(ast)) {
+				switch (node.type) {
+					case "filter":
+						if (!filters.has(node.filter)) {
+							diagnostics.push(
+								TemplateLinter.#diagnostic(name, node.loc, "error", "unknown-filter", `Unknown filter: ${node.filter}`)
+							)
+						}
+						break
+					case "include":
+					case "extends":
+					case "import": {
+						const target = node.path?.type === "literal" ? node.path.value : null
+						if (typeof target === "string" && !(await TemplateLinter.#exists(baseDir, name, target))) {
+							diagnostics.push(
+								TemplateLinter.#diagnostic(name, node.loc, "error", "missing-include", `Template not found: ${target}`)
+							)
+						}
+						break
+					}
+					case "set":
+						if (!node.propertyChain) {
+							sets.push({ name, node })
+							defined.add(node.name)
+						} else {
+							used.add(node.name) // Setting a property uses the object
+						}
+						break
+					case "raw_html":
+						rawReferences.push({ name, node, variable: node.name.replace("#", "") })
+						used.add(node.name.replace("#", ""))
+						break
+					case "variable": {
+						const variable = node.name.split(".")[0]
+						if (variable.startsWith("html_")) rawReferences.push({ name, node, variable })
+						used.add(variable)
+						break
+					}
+					case "macro":
+						for (const param of node.params) defined.add(param.name)
+						break
+					case "each":
+						if (node.itemName) defined.add(node.itemName)
+						if (node.keyName) defined.add(node.keyName)
+						break
+				}
+			}
+		}
+
+		for (const { name, node, variable } of rawReferences) {
+			if (!defined.has(variable)) {
+				diagnostics.push(
+					TemplateLinter.#diagnostic(name, node.loc, "warning", "undefined-html", `Undefined HTML variable: ${variable}`)
+				)
+			}
+		}
+		for (const { name, node } of sets) {
+			if (!used.has(node.name)) {
+				diagnostics.push(
+					TemplateLinter.#diagnostic(name, node.loc, "warning", "unused-set", `Unused variable: ${node.name}`)
+				)
+			}
+		}
+
+		return diagnostics.sort(
+			(a, b) => a.template.localeCompare(b.template) || (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0)
+		)
+	}
+
+	/**
+	 * Formats diagnostics as text, one line each, followed by a summary.
+	 *
+	 * @param {Array<Object>} diagnostics - The diagnostics returned by `lint`
+	 * @returns {string} The formatted diagnostics
+	 */
+	static format(diagnostics) {
+		const lines = diagnostics.map((d) => {
+			const location = d.line === undefined ? d.template : `${d.template}:${d.line}:${d.column}`
+			return `${location}  ${d.severity}  ${d.message}  (${d.rule})`
+		})
+		const errors = diagnostics.filter((d) => d.severity === "error").length
+		lines.push(`${errors} error(s), ${diagnostics.length - errors} warning(s)`)
+		return lines.join("\n")
+	}
+
+	/**
+	 * Lists all the nodes of an AST.
+	 * @private
+	 */
+	static *#nodes(value) {
+		if (!value || typeof value !== "object") return
+		if (typeof value.type === "string") yield value
+
+		const children = value instanceof Map ? value.values() : Array.isArray(value) ? value : Object.values(value)
+		for (const child of children) {
+			if (child !== value.loc) yield* TemplateLinter.#nodes(child)
+		}
+	}
+
+	/**
+	 * Tells whether an included template exists, resolved like the template engine does when the template is rendered:
+	 * relative paths from the template directory, other paths from the views directory or from the theme directory
+	 * of the template (e.g. `theme` for `theme/pages/index.html`).
+	 * @private
+	 */
+	static async #exists(baseDir, name, target) {
+		const { access } = await import("node:fs/promises")
+		const { dirname, join } = await import("node:path")
+
+		const candidates = []
+		if (target.startsWith("./") || target.startsWith("../")) {
+			candidates.push(join(baseDir, dirname(name), target))
+		} else {
+			candidates.push(join(baseDir, target))
+			const segments = name.split("/")
+			if (segments.length > 2) candidates.push(join(baseDir, ...segments.slice(0, -2), target))
+		}
+
+		for (const candidate of candidates) {
+			try {
+				await access(candidate)
+				return true
+			} catch {
+				// Try the next candidate
+			}
+		}
+		return false
+	}
+
+	/**
+	 * Builds a diagnostic located at a node or error location.
+	 * @private
+	 */
+	static #diagnostic(template, location, severity, rule, message) {
+		return { template, line: location?.line, column: location?.column, severity, rule, message }
+	}
+}
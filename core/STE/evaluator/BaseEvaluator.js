@@ -1,16 +1,34 @@
 import { TokenType } from "../syntax/TokenTypes.js"
+import { isPropertyAllowed } from "./utils/callPolicy.js"
 
 export class BaseEvaluator {
 	constructor(state) {
 		this.state = state
 	}
 
+	// Prototype properties (e.g. `constructor` or `__proto__`) can't be accessed from templates
+	checkProperty(key) {
+		if (!isPropertyAllowed(key)) throw new Error(`Access to property ${key} is not allowed`)
+	}
+
 	resolveVariable(name) {
+		const scope = this.state.currentScope
+		for (const part of name.split(".")) this.checkProperty(part)
+
+		// Named loop variables take precedence, the innermost loop first
+		for (let i = this.state.loopStack.length - 1; i >= 0; i--) {
+			const variables = this.state.loopStack[i].variables
+			if (variables && name in variables) return variables[name]
+		}
+
 		// First check if it's a dotted property name in currentContext
 		if (this.state.currentContext && typeof this.state.currentContext === "object") {
 			if (name in this.state.currentContext) return this.state.currentContext[name]
 		}
 
+		// Then check the local scope (macro parameters and variables)
+		if (scope && name in scope) return scope[name]
+
 		// Then check if it's a dotted property name in globalData
 		if (name in this.state.globalData) return this.state.globalData[name]
 
@@ -42,6 +60,19 @@ export class BaseEvaluator {
 				if (found) return value
 			}
 
+			// Then try the local scope
+			if (scope && parts[0] in scope) {
+				let value = scope
+				for (const part of parts) {
+					if (value && typeof value === "object" && part in value) {
+						value = value[part]
+					} else {
+						return undefined
+					}
+				}
+				return value
+			}
+
 			// Then try globalData
 			let value = this.state.globalData
 			for (const part of parts) {
@@ -2,11 +2,12 @@ import { EvaluatorState } from "./EvaluatorState.js"
 import { BaseEvaluator } from "./BaseEvaluator.js"
 import { ExpressionEvaluator } from "./ExpressionEvaluator.js"
 import { StatementEvaluator } from "./StatementEvaluator.js"
+import { TemplateError } from "../TemplateError.js"
 
 export class Evaluator extends BaseEvaluator {
-	constructor(data, templateEngine) {
+	constructor(data, templateEngine, emit = null) {
 		// Create shared state
-		const state = new EvaluatorState(data, templateEngine)
+		const state = new EvaluatorState(data, templateEngine, emit)
 		super(state)
 
 		// Pass the same state to child evaluators
@@ -19,6 +20,16 @@ export class Evaluator extends BaseEvaluator {
 	}
 
 	async evaluateNode(node) {
+		try {
+			this.state.limits?.checkTime()
+			return await this.evaluateNodeType(node)
+		} catch (error) {
+			// Errors are located at the innermost node that knows its position in the template
+			throw node.loc ? TemplateError.from(error, node.loc) : error
+		}
+	}
+
+	async evaluateNodeType(node) {
 		switch (node.type) {
 			case "template":
 				return await this.evaluateTemplate(node)
@@ -50,12 +61,24 @@ export class Evaluator extends BaseEvaluator {
 				return this.state.currentIndex
 			case "key_ref":
 				return this.state.currentKey
+			case "loop_ref":
+				return this.state.currentLoop?.[node.name]
 			case "this_ref":
-				return this.state.currentContext
+				return this.state.thisContext
 			case "include":
 				return await this.statementEvaluator.evaluateInclude(node)
 			case "conditional":
 				return await this.statementEvaluator.evaluateConditional(node)
+			case "block":
+				return await this.statementEvaluator.evaluateBlock(node)
+			case "super":
+				return await this.statementEvaluator.evaluateSuper()
+			case "macro":
+				return this.statementEvaluator.evaluateMacro(node)
+			case "import":
+				return await this.statementEvaluator.evaluateImport(node)
+			case "call":
+				return await this.expressionEvaluator.evaluateCall(node)
 			case "unary":
 				return await this.expressionEvaluator.evaluateUnary(node)
 			case "binary":
@@ -72,8 +95,30 @@ export class Evaluator extends BaseEvaluator {
 	}
 
 	async evaluateTemplate(node) {
+		// A template extending a layout only provides blocks to it
+		const extendsNode = node.body.find((n) => n?.type === "extends")
+		if (extendsNode) {
+			try {
+				return await this.statementEvaluator.evaluateExtends(extendsNode, node)
+			} catch (error) {
+				throw extendsNode.loc ? TemplateError.from(error, extendsNode.loc) : error
+			}
+		}
+
+		// When streaming, the output of each top-level node is emitted as soon as it is rendered
 		let result = ""
-		for (const n of node.body) result += await this.evaluateNode(n)
+		let emitted = 0
+		for (const n of node.body) {
+			const output = await this.evaluateNode(n)
+			if (this.state.emit) {
+				emitted += String(output).length
+				this.state.limits?.checkOutput(emitted)
+				await this.state.emit(output)
+			} else {
+				result += output
+				this.state.limits?.checkOutput(result.length)
+			}
+		}
 		return result
 	}
 }
@@ -1,10 +1,21 @@
 export class EvaluatorState {
-	constructor(data, templateEngine) {
-		this.globalData = this.normalizeData(data)
+	constructor(data, templateEngine, emit = null) {
+		// Globals of the template engine are available to every template, data takes precedence
+		this.globalData = { ...templateEngine?.globals, ...this.normalizeData(data) }
 		this.contextStack = [this.globalData] // Stack to handle nested contexts
 		this.indexStack = [] // Stack to handle nested indices
 		this.keyStack = [] // Stack to handle nested keys
+		this.loopStack = [] // Stack of the loops being rendered, for @first, @last, @length, @parent and named variables
 		this.templateEngine = templateEngine // Store reference to template engine
+		this.emit = emit // Receives the output of the template and its layouts chunk by chunk when streaming
+		this.autoescape = templateEngine?.autoescape ?? true // Escape expression output unless disabled
+		this.callPolicy = templateEngine?.callPolicy ?? "all" // Functions and methods templates may call
+		this.limits = templateEngine?.limits ?? null // Resource limits of the render, shared with includes
+		this.blocks = new Map() // Block overrides registered by extending templates, most derived first
+		this.blockStack = [] // Stack of the blocks being rendered, used by #super
+		this.macros = new Map() // Macros defined or imported by the template, and import namespaces
+		this.macroStack = [] // Stack of the macros being called
+		this.scopeStack = [] // Stack of local variable scopes (macro parameters and their #set variables)
 	}
 
 	// Helper method to normalize input data
@@ -18,6 +29,18 @@ export class EvaluatorState {
 		return this.contextStack[this.contextStack.length - 1]
 	}
 
+	// The value of {{this}}: the innermost context that isn't a macro scope, e.g. the loop item of a macro caller
+	get thisContext() {
+		for (let i = this.contextStack.length - 1; i > 0; i--) {
+			if (!this.scopeStack.includes(this.contextStack[i])) return this.contextStack[i]
+		}
+		return this.contextStack[0]
+	}
+
+	get currentScope() {
+		return this.scopeStack[this.scopeStack.length - 1]
+	}
+
 	get currentIndex() {
 		return this.indexStack[this.indexStack.length - 1]
 	}
@@ -25,4 +48,15 @@ export class EvaluatorState {
 	get currentKey() {
 		return this.keyStack[this.keyStack.length - 1]
 	}
+
+	get currentLoop() {
+		return this.loopStack[this.loopStack.length - 1]
+	}
+
+	// Named variables of the loops being rendered (e.g. `post` in `{{#each post in posts}}`), inner loops taking precedence
+	get loopVariables() {
+		const variables = {}
+		for (const loop of this.loopStack) Object.assign(variables, loop.variables)
+		return variables
+	}
 }
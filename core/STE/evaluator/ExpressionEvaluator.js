@@ -1,24 +1,34 @@
 import { TokenType } from "../syntax/TokenTypes.js"
 import { BaseEvaluator } from "./BaseEvaluator.js"
 import { builtInFilters } from "./utils/builtInFilters.js"
+import { SafeString, isTruthy } from "./utils/SafeString.js"
+import { isCallAllowed } from "./utils/callPolicy.js"
+import { TemplateError } from "../TemplateError.js"
+import { escapeHtml } from "../../utils/escapeHtml.js"
 
 export class ExpressionEvaluator extends BaseEvaluator {
 	constructor(state, evaluator) {
 		super(state)
 
 		this.evaluator = evaluator // Store reference to the main Evaluator
-		this.filters = { ...builtInFilters } // Add built-in filters
+		this.filters = { ...builtInFilters, ...state.templateEngine?.filters } // Add built-in and custom filters
 	}
 
 	async evaluateExpression(node) {
 		const result = await this.evaluator.evaluateNode(node.expression)
-		if (result !== undefined) {
-			if (Array.isArray(result)) {
-				return JSON.stringify(result) // Proper serialization of array values in template output
-			}
-			return result
-		}
-		return ""
+		if (result === undefined) return ""
+		if (result instanceof SafeString) return result.value
+
+		// Proper serialization of array values in template output
+		const output = Array.isArray(result) ? JSON.stringify(result) : result
+		return this.shouldEscape(node.expression) ? escapeHtml(String(output)) : output
+	}
+
+	// html_ variables are raw HTML by convention, everything else is escaped when autoescape is on
+	shouldEscape(expression) {
+		if (!this.state.autoescape) return false
+		if (expression.type === "raw_html") return false
+		return !(expression.type === "variable" && expression.name.startsWith("html_"))
 	}
 
 	async evaluateVariable(node) {
@@ -51,6 +61,7 @@ export class ExpressionEvaluator extends BaseEvaluator {
 	}
 
 	async evaluateProperty(node) {
+		this.checkProperty(node.property)
 		const obj = await this.evaluator.evaluateNode(node.object)
 		if (!obj) return undefined
 		return obj[node.property]
@@ -60,7 +71,10 @@ export class ExpressionEvaluator extends BaseEvaluator {
 		const obj = await this.evaluator.evaluateNode(node.object)
 		if (!obj) return undefined
 		const prop = await this.evaluator.evaluateNode(node.property)
-		if (typeof prop === "string" || typeof prop === "number") return obj[prop]
+		if (typeof prop === "string" || typeof prop === "number") {
+			this.checkProperty(prop)
+			return obj[prop]
+		}
 		return undefined
 	}
 
@@ -70,17 +84,97 @@ export class ExpressionEvaluator extends BaseEvaluator {
 		if (!filter) throw new Error(`Unknown filter: ${node.filter}`)
 
 		try {
+			// Filters work on plain values, a safe string piped into a filter is unwrapped
+			const unwrap = (v) => (v instanceof SafeString ? v.value : v)
 			const args = await Promise.all(node.arguments.map((arg) => this.evaluator.evaluateNode(arg)))
-			const result = filter(value, ...args)
+			// Filters may be async, and get the template data as `this`
+			const result = await filter.call(this.state.globalData, unwrap(value), ...args.map(unwrap))
 			return result
 		} catch (error) {
+			if (error instanceof TemplateError) throw error // Already located in a filter argument
 			throw new Error(`Error applying filter '${node.filter}': ${error.message}`)
 		}
 	}
 
+	async evaluateCall(node) {
+		const macro = this.resolveMacro(node.callee)
+		const callable = macro ? null : await this.resolveCallable(node.callee)
+
+		// An optional chain (e.g. `user?.fullName()` or `format?.(x)`) short-circuits on nullish callees
+		if (callable && callable.fn == null && node.optional) return undefined
+		if (callable && typeof callable.fn !== "function") {
+			throw new Error(`Unknown macro or function: ${callable.name}`)
+		}
+
+		const args = await Promise.all(node.arguments.map((arg) => this.evaluator.evaluateNode(arg)))
+		const namedArgs = {}
+		for (const [name, value] of node.namedArguments) {
+			namedArgs[name] = await this.evaluator.evaluateNode(value)
+		}
+
+		if (macro) return await this.evaluator.statementEvaluator.callMacro(macro, args, namedArgs)
+
+		// Functions and methods take positional arguments only
+		if (node.namedArguments.size > 0) {
+			throw new Error(`Named arguments are only supported by macros, not by ${callable.name}`)
+		}
+		if (!isCallAllowed(this.state.callPolicy, callable.fn, callable)) {
+			throw new Error(`Call to ${callable.name} is not allowed by the call policy`)
+		}
+		return await callable.fn.apply(callable.object, args)
+	}
+
+	// Resolves the function called by a call expression, and the object it is called on for methods
+	async resolveCallable(callee) {
+		const name = this.describeCallee(callee)
+
+		if (callee.type === "variable") {
+			const fn = this.resolveVariable(callee.name)
+			const globals = this.state.templateEngine?.globals
+			return { fn, name, global: typeof fn === "function" && globals?.[callee.name] === fn }
+		}
+
+		if (callee.type === "property" || callee.type === "computed_property") {
+			const object = await this.evaluator.evaluateNode(callee.object)
+			const key =
+				callee.type === "property" ? callee.property : await this.evaluator.evaluateNode(callee.property)
+			const validKey = typeof key === "string" || typeof key === "number"
+			const fn = object == null || !validKey ? undefined : object[key]
+			return { fn, name, key, object, global: false }
+		}
+
+		return { fn: await this.evaluator.evaluateNode(callee), name, global: false }
+	}
+
+	// Macros are looked up in the file of the macro being called first, then in the template
+	resolveMacro(callee) {
+		const lookup = (name) => {
+			const currentMacro = this.state.macroStack[this.state.macroStack.length - 1]
+			return currentMacro?.macros.get(name) ?? this.state.macros.get(name)
+		}
+
+		if (callee.type === "variable") {
+			const macro = lookup(callee.name)
+			return macro?.node ? macro : undefined
+		}
+		if (callee.type === "property" && callee.object.type === "variable") {
+			const namespace = lookup(callee.object.name)
+			return namespace instanceof Map ? namespace.get(callee.property) : undefined
+		}
+		return undefined
+	}
+
+	describeCallee(callee) {
+		if (callee.type === "variable") return callee.name
+		if (callee.type === "property") return `${this.describeCallee(callee.object)}.${callee.property}`
+		if (callee.type === "computed_property") return `${this.describeCallee(callee.object)}[...]`
+		if (callee.type === "call") return `${this.describeCallee(callee.callee)}(...)`
+		return callee.type
+	}
+
 	async evaluateUnary(node) {
 		const rightUnary = await this.evaluator.evaluateNode(node.right)
-		if (node.operator === TokenType.NOT) return !rightUnary
+		if (node.operator === TokenType.NOT) return !isTruthy(rightUnary)
 		if (node.operator === TokenType.MINUS) return -rightUnary
 		throw new Error(`Unknown unary operator: ${node.operator}`)
 	}
@@ -93,8 +187,10 @@ export class ExpressionEvaluator extends BaseEvaluator {
 
 	async evaluateLogical(node) {
 		const leftLogical = await this.evaluator.evaluateNode(node.left)
-		if (node.operator === TokenType.AND) return leftLogical && (await this.evaluator.evaluateNode(node.right))
-		return leftLogical || (await this.evaluator.evaluateNode(node.right))
+		if (node.operator === TokenType.AND) {
+			return isTruthy(leftLogical) ? await this.evaluator.evaluateNode(node.right) : leftLogical
+		}
+		return isTruthy(leftLogical) ? leftLogical : await this.evaluator.evaluateNode(node.right)
 	}
 
 	async evaluateComparison(node) {
@@ -105,7 +201,7 @@ export class ExpressionEvaluator extends BaseEvaluator {
 
 	async evaluateTernary(node) {
 		const condition = await this.evaluator.evaluateNode(node.condition)
-		return condition
+		return isTruthy(condition)
 			? await this.evaluator.evaluateNode(node.trueExpr)
 			: await this.evaluator.evaluateNode(node.falseExpr)
 	}
@@ -1,4 +1,5 @@
 import { BaseEvaluator } from "./BaseEvaluator.js"
+import { SafeString, isTruthy } from "./utils/SafeString.js"
 
 export class StatementEvaluator extends BaseEvaluator {
     constructor(state, evaluator) {
@@ -21,6 +22,7 @@ export class StatementEvaluator extends BaseEvaluator {
             for (let i = 0; i < node.propertyChain.length - 1; i++) {
                 const access = node.propertyChain[i]
                 const property = await this.evaluator.evaluateNode(access.property)
+                this.checkProperty(property)
 
                 // Create nested object if it doesn't exist
                 if (!(property in current) || current[property] === null) current[property] = {}
@@ -32,6 +34,7 @@ export class StatementEvaluator extends BaseEvaluator {
             // Set the final property
             const lastAccess = node.propertyChain[node.propertyChain.length - 1]
             const finalProperty = await this.evaluator.evaluateNode(lastAccess.property)
+            this.checkProperty(finalProperty)
             current[finalProperty] = value
         } else {
             if (node.name.startsWith("html_")) {
@@ -42,6 +45,8 @@ export class StatementEvaluator extends BaseEvaluator {
                     : `__HTML_${Math.random().toString(36).substring(2, 11)}__`
                 this.state.templateEngine.htmlVars.set(node.name, { marker, value })
                 this.state.globalData[node.name] = marker
+            } else if (this.state.currentScope) {
+                this.state.currentScope[node.name] = value // Inside a macro, variables stay local to the call
             } else {
                 this.state.globalData[node.name] = value // Regular variable assignment, set the variable in globalData
             }
@@ -53,54 +58,64 @@ export class StatementEvaluator extends BaseEvaluator {
     async evaluateEach(node) {
         const iterable = await this.evaluator.evaluateNode(node.iterable)
 
-        // Handle both arrays and objects
-        let result = ""
-        let index = 0
-
+        // Handle both arrays (keyed by index) and objects (keyed by property name)
+        let entries
         if (Array.isArray(iterable)) {
-            // Existing array handling
-            for (const item of iterable) {
-                this.state.contextStack.push(item)
-                this.state.indexStack.push(index)
-                this.state.keyStack.push(index.toString())
-
-                try {
-                    let iterResult = ""
-                    for (const n of node.body) {
-                        iterResult += await this.evaluator.evaluateNode(n)
-                    }
-                    result += iterResult
-                } finally {
-                    this.state.contextStack.pop()
-                    this.state.indexStack.pop()
-                    this.state.keyStack.pop()
-                }
-                index++
-            }
+            entries = iterable.map((item, index) => [index, item])
         } else if (iterable && typeof iterable === "object") {
-            // New object handling
-            for (const [key, value] of Object.entries(iterable)) {
-                this.state.contextStack.push(value)
-                this.state.indexStack.push(index)
-                this.state.keyStack.push(key)
-
-                try {
-                    let iterResult = ""
-                    for (const n of node.body) {
-                        iterResult += await this.evaluator.evaluateNode(n)
-                    }
-                    result += iterResult
-                } finally {
-                    this.state.contextStack.pop()
-                    this.state.indexStack.pop()
-                    this.state.keyStack.pop()
-                }
-                index++
-            }
+            entries = Object.entries(iterable)
+        } else if (node.elseBody && (iterable == null || iterable === "")) {
+            entries = [] // Missing values render the else branch
         } else {
             throw new Error(`Cannot iterate over ${iterable}`)
         }
 
+        if (entries.length === 0 && node.elseBody) return await this.renderBody(node.elseBody)
+
+        let result = ""
+        for (const [index, [key, item]] of entries.entries()) {
+            this.state.limits?.countIteration()
+
+            // Named loops keep the current context and expose their variables instead
+            let variables = null
+            if (node.itemName) {
+                variables = { [node.itemName]: item }
+                if (node.keyName) variables[node.keyName] = key
+            }
+
+            this.state.loopStack.push({
+                index,
+                key: String(key),
+                item,
+                first: index === 0,
+                last: index === entries.length - 1,
+                length: entries.length,
+                parent: this.state.currentLoop,
+                variables,
+            })
+            if (!node.itemName) this.state.contextStack.push(item)
+            this.state.indexStack.push(index)
+            this.state.keyStack.push(String(key))
+
+            try {
+                result += await this.renderBody(node.body)
+                this.state.limits?.checkOutput(result.length)
+            } finally {
+                this.state.loopStack.pop()
+                if (!node.itemName) this.state.contextStack.pop()
+                this.state.indexStack.pop()
+                this.state.keyStack.pop()
+            }
+        }
+
+        return result
+    }
+
+    async renderBody(body) {
+        let result = ""
+        for (const n of body) {
+            result += await this.evaluator.evaluateNode(n)
+        }
         return result
     }
 
@@ -108,11 +123,18 @@ export class StatementEvaluator extends BaseEvaluator {
         const pathValue = await this.evaluator.evaluateNode(node.path)
         if (typeof pathValue !== "string") throw new Error("Include path must be a string")
 
-        // Merge global data with current context
-        const includedData = {
-            ...this.state.globalData,
-            ...this.state.currentContext, // Add current context (current item in #each loop)
-        }
+        const data = node.data ? await this.evaluator.evaluateNode(node.data) : {}
+        if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Include data must be an object")
+
+        // Merge global data with current context, unless the include is restricted to its own data
+        const includedData = node.only
+            ? { ...data }
+            : {
+                  ...this.state.globalData,
+                  ...this.state.currentContext, // Add current context (current item in #each loop)
+                  ...this.state.loopVariables, // Add named loop variables
+                  ...data, // Explicit data takes precedence
+              }
 
         return await this.state.templateEngine.renderStringWithoutRestore(pathValue, includedData)
     }
@@ -120,7 +142,7 @@ export class StatementEvaluator extends BaseEvaluator {
     async evaluateConditional(node) {
         if (node.conditionType === "not") {
             // Return body content only if condition evaluates to false
-            if (!(await this.evaluator.evaluateNode(node.condition))) {
+            if (!isTruthy(await this.evaluator.evaluateNode(node.condition))) {
                 // Evaluate body nodes sequentially
                 let result = ""
                 for (const n of node.body) result += await this.evaluator.evaluateNode(n)
@@ -129,14 +151,17 @@ export class StatementEvaluator extends BaseEvaluator {
             return ""
         }
         if (node.conditionType === "if") {
-            if (await this.evaluator.evaluateNode(node.condition)) {
+            if (isTruthy(await this.evaluator.evaluateNode(node.condition))) {
                 // Evaluate body nodes sequentially
                 let result = ""
                 for (const n of node.body) result += await this.evaluator.evaluateNode(n)
                 return result
             }
             for (const alternate of node.alternates || []) {
-                if (alternate.conditionType === "else" || (await this.evaluator.evaluateNode(alternate.condition))) {
+                if (
+                    alternate.conditionType === "else" ||
+                    isTruthy(await this.evaluator.evaluateNode(alternate.condition))
+                ) {
                     // Evaluate alternate nodes sequentially
                     let result = ""
                     for (const n of alternate.body) result += await this.evaluator.evaluateNode(n)
@@ -146,4 +171,147 @@ export class StatementEvaluator extends BaseEvaluator {
         }
         return ""
     }
+
+    async evaluateExtends(node, template) {
+        // Register the blocks of this template, they override the blocks of its layout
+        this.registerBlocks(template.body)
+
+        // Top-level set, macro and import statements still run, so a template can pass variables
+        // and macros to its layout
+        for (const n of template.body) {
+            if (["set", "macro", "import"].includes(n?.type)) await this.evaluator.evaluateNode(n)
+        }
+
+        const pathValue = await this.evaluator.evaluateNode(node.path)
+        if (typeof pathValue !== "string") throw new Error("Extends path must be a string")
+
+        return await this.state.templateEngine.renderLayout(pathValue, this.evaluator)
+    }
+
+    registerBlocks(nodes) {
+        for (const n of nodes) {
+            if (n?.type !== "block") continue
+            if (!this.state.blocks.has(n.name)) this.state.blocks.set(n.name, [])
+            this.state.blocks.get(n.name).push(n.body)
+            this.registerBlocks(n.body) // Nested blocks can be overridden too
+        }
+    }
+
+    async evaluateBlock(node) {
+        // The most derived override comes first, the block's own content last
+        const chain = [...(this.state.blocks.get(node.name) || []), node.body]
+        return await this.renderBlockLevel(chain, 0)
+    }
+
+    async evaluateSuper() {
+        const current = this.state.blockStack[this.state.blockStack.length - 1]
+        if (!current) throw new Error("#super can only be used inside a block")
+
+        const { chain, level } = current
+        if (level + 1 >= chain.length) return ""
+        return await this.renderBlockLevel(chain, level + 1)
+    }
+
+    async renderBlockLevel(chain, level) {
+        this.state.blockStack.push({ chain, level })
+        try {
+            let result = ""
+            for (const n of chain[level]) result += await this.evaluator.evaluateNode(n)
+            return result
+        } finally {
+            this.state.blockStack.pop()
+        }
+    }
+
+    evaluateMacro(node) {
+        this.state.macros.set(node.name, { node, macros: this.state.macros })
+        return ""
+    }
+
+    async evaluateImport(node) {
+        const macros = await this.importMacros(node.path)
+
+        if (node.alias) {
+            this.state.macros.set(node.alias, macros)
+        } else {
+            for (const [name, macro] of macros) this.state.macros.set(name, macro)
+        }
+
+        return ""
+    }
+
+    // Only the macro definitions and imports of an imported file are used, the rest of it is not rendered.
+    // The macros it imports itself are added to its macros, so that its macros can call them.
+    async importMacros(path) {
+        const pathValue = await this.evaluator.evaluateNode(path)
+        if (typeof pathValue !== "string") throw new Error("Import path must be a string")
+
+        return await this.state.templateEngine.importTemplate(pathValue, async (ast) => {
+            const macros = new Map()
+            for (const n of ast.body) {
+                if (n?.type === "macro") {
+                    macros.set(n.name, { node: n, macros })
+                } else if (n?.type === "import") {
+                    const imported = await this.importMacros(n.path)
+                    if (n.alias) {
+                        macros.set(n.alias, imported)
+                    } else {
+                        for (const [name, macro] of imported) macros.set(name, macro)
+                    }
+                }
+            }
+            return macros
+        })
+    }
+
+    async callMacro(macro, args, namedArgs) {
+        const { name, params, body } = macro.node
+
+        if (args.length > params.length) {
+            throw new Error(`Macro ${name} expects at most ${params.length} arguments, got ${args.length}`)
+        }
+        for (const argName of Object.keys(namedArgs)) {
+            if (!params.some((param) => param.name === argName)) {
+                throw new Error(`Unknown argument '${argName}' for macro ${name}`)
+            }
+        }
+
+        // Recursive macros fail at the call exceeding the depth limit, before they exhaust the memory
+        this.state.limits?.checkCallDepth(this.state.macroStack.length + 1)
+
+        // Macro variables live in their own scope, which is also the context of the macro body for variables,
+        // while {{this}} keeps referring to the context of the caller
+        const scope = Object.create(null)
+        this.state.scopeStack.push(scope)
+        this.state.contextStack.push(scope)
+        this.state.macroStack.push(macro)
+        // Loop variables of the caller are not visible inside the macro
+        const loopStack = this.state.loopStack
+        this.state.loopStack = []
+
+        try {
+            for (const [i, param] of params.entries()) {
+                if (i < args.length) {
+                    scope[param.name] = args[i]
+                } else if (param.name in namedArgs) {
+                    scope[param.name] = namedArgs[param.name]
+                } else if (param.defaultValue) {
+                    scope[param.name] = await this.evaluator.evaluateNode(param.defaultValue)
+                } else {
+                    scope[param.name] = undefined
+                }
+            }
+
+            let result = ""
+            for (const n of body) result += await this.evaluator.evaluateNode(n)
+
+            // The macro output is template markup, it must not be escaped again
+            return new SafeString(result)
+        } finally {
+            this.state.scopeStack.pop()
+            this.state.contextStack.pop()
+            this.state.macroStack.pop()
+            this.state.loopStack = loopStack
+        }
+    }
 }
@@ -0,0 +1,92 @@
+/**
+ * Resource limits of a template render, for templates authored by untrusted editors.
+ * Counters are shared by a main template, its layouts and its includes, and are reset by `start()`.
+ */
+export class RenderLimits {
+	static DEFAULTS = {
+		maxIncludeDepth: 50, // Nested includes and layouts, the main template included
+		maxCallDepth: 100, // Nested macro calls, recursive calls included
+		maxIterations: 100000, // #each iterations of a whole render
+		maxOutputSize: 10 * 1024 * 1024, // Characters of the rendered output
+		timeout: 0, // Milliseconds, 0 for no timeout
+	}
+
+	/**
+	 * @param {Object} [limits] - Limits overriding the defaults, `Infinity` (or 0 for the timeout) disables one
+	 * @param {number} [limits.maxIncludeDepth=50] - Maximum depth of nested includes and layouts
+	 * @param {number} [limits.maxCallDepth=100] - Maximum depth of nested macro calls
+	 * @param {number} [limits.maxIterations=100000] - Maximum number of loop iterations
+	 * @param {number} [limits.maxOutputSize=10485760] - Maximum length of the rendered output
+	 * @param {number} [limits.timeout=0] - Maximum duration of a render in milliseconds
+	 */
+	constructor(limits = {}) {
+		for (const [name, value] of Object.entries(limits)) {
+			if (!(name in RenderLimits.DEFAULTS)) throw new Error(`Unknown template limit: ${name}`)
+			if (typeof value !== "number" || Number.isNaN(value) || value < 0) {
+				throw new Error(`Invalid template limit ${name}: ${value}, expected a positive number`)
+			}
+		}
+		Object.assign(this, RenderLimits.DEFAULTS, limits)
+
+		this.iterations = 0
+		this.deadline = Infinity
+	}
+
+	// Resets the counters at the beginning of a render
+	start() {
+		this.iterations = 0
+		this.deadline = this.timeout > 0 ? Date.now() + this.timeout : Infinity
+	}
+
+	checkDepth(depth) {
+		if (depth > this.maxIncludeDepth) {
+			throw new Error(`Include depth limit exceeded (maxIncludeDepth: ${this.maxIncludeDepth})`)
+		}
+	}
+
+	checkCallDepth(depth) {
+		if (depth > this.maxCallDepth) {
+			throw new Error(`Macro call depth limit exceeded (maxCallDepth: ${this.maxCallDepth})`)
+		}
+	}
+
+	countIteration() {
+		if (++this.iterations > this.maxIterations) {
+			throw new Error(`Loop iteration limit exceeded (maxIterations: ${this.maxIterations})`)
+		}
+	}
+
+	checkOutput(length) {
+		if (length > this.maxOutputSize) {
+			throw new Error(`Output size limit exceeded (maxOutputSize: ${this.maxOutputSize})`)
+		}
+	}
+
+	checkTime() {
+		if (Date.now() > this.deadline) throw new Error(`Render timeout exceeded (timeout: ${this.timeout} ms)`)
+	}
+
+	/**
+	 * Rejects when the render takes longer than the timeout, even while it waits for an async filter or function.
+	 * The render itself stops at its next node, as `checkTime` fails from then on.
+	 *
+	 * @param {Promise} promise - The render
+	 * @returns {Promise} The render, or a rejection after the timeout
+	 */
+	async race(promise) {
+		if (this.deadline === Infinity) return await promise
+
+		let timer
+		const timeout = new Promise((_, reject) => {
+			timer = setTimeout(() => {
+				this.deadline = 0
+				reject(new Error(`Render timeout exceeded (timeout: ${this.timeout} ms)`))
+			}, this.deadline - Date.now())
+		})
+		try {
+			return await Promise.race([promise, timeout])
+		} finally {
+			clearTimeout(timer)
+		}
+	}
+}
@@ -0,0 +1,28 @@
+/**
+ * Wraps a string that must be written to the template output as is, without HTML escaping.
+ * Returned by the `safe` filter and by the built-in filters producing HTML markup,
+ * custom filters return one to output HTML markup too.
+ */
+export class SafeString {
+	/**
+	 * @param {*} value - The value to mark as safe, converted to a string
+	 */
+	constructor(value) {
+		this.value = value == null ? "" : String(value)
+	}
+
+	toString() {
+		return this.value
+	}
+}
+
+/**
+ * Tells whether a template value is truthy in conditions, as in JavaScript except for safe strings,
+ * which are truthy only when their string isn't empty.
+ *
+ * @param {*} value - The value to test
+ * @returns {boolean} Whether the value is truthy
+ */
+export function isTruthy(value) {
+	return value instanceof SafeString ? value.value !== "" : Boolean(value)
+}
@@ -1,3 +1,6 @@
+import { escapeHtml } from "../../../utils/escapeHtml.js"
+import { SafeString, isTruthy } from "./SafeString.js"
+
 // Common helper function for handling nested property access
 const getNestedValue = (obj, path) => {
     // Handle empty or null path
@@ -85,6 +88,24 @@ function getTimezoneOffsetString(date) {
     return `${sign}${hours}:${minutes}`
 }
 
+// Month and weekday names of a locale, as used by dateFormat
+const localeNames = new Map()
+function getLocaleNames(locale) {
+    if (!localeNames.has(locale)) {
+        const name = (options) => (date) => new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" }).format(date)
+        const months = Array.from({ length: 12 }, (_, month) => new Date(Date.UTC(2024, month, 1)))
+        const weekdays = Array.from({ length: 7 }, (_, day) => new Date(Date.UTC(2024, 0, 7 + day))) // 2024-01-07 is a Sunday
+
+        localeNames.set(locale, {
+            monthNames: months.map(name({ month: "long" })),
+            monthNamesShort: months.map(name({ month: "short" })),
+            weekdayNames: weekdays.map(name({ weekday: "long" })),
+            weekdayNamesShort: weekdays.map(name({ weekday: "short" })),
+        })
+    }
+    return localeNames.get(locale)
+}
+
 export const builtInFilters = {
     cycle,
     next,
@@ -117,15 +138,24 @@ export const builtInFilters = {
         return chunks
     },
 
-    currency: (value, symbol = "$") => {
+    // currency, dateFormat and numberFormat format for the locale passed as last argument,
+    // or for the `locale` template variable (set by the i18n middleware), they are functions to get the template data as `this`
+    currency(value, symbol = "$", locale = this?.locale) {
         const number = Number(value)
         if (isNaN(number)) {
             throw new Error(`currency filter expects a number, but got ${typeof value}`)
         }
-        return `${number.toFixed(2)} ${symbol}`
+        if (!locale) return `${number.toFixed(2)} ${symbol}`
+
+        // ISO 4217 codes (e.g. "EUR") are written the way the locale writes amounts
+        if (/^[A-Z]{3}$/.test(symbol)) {
+            return new Intl.NumberFormat(locale, { style: "currency", currency: symbol }).format(number)
+        }
+        const formatted = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(number)
+        return `${formatted} ${symbol}`
     },
 
-    dateFormat: (value, format = "YYYY-MM-DD", useUTC = true, locale = {}) => {
+    dateFormat(value, format = "YYYY-MM-DD", useUTC = true, locale = this?.locale) {
         if (value === null || value === undefined) return ""
 
         const date = new Date(value)
@@ -171,9 +201,10 @@ export const builtInFilters = {
             weekdayNamesShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
         }
 
+        // Names are given as an object, or come from a locale (e.g. "fr")
         const loc = {
             ...defaultLocale,
-            ...locale,
+            ...(typeof locale === "string" ? getLocaleNames(locale) : locale),
         }
 
         // Replacements map
@@ -224,10 +255,6 @@ export const builtInFilters = {
     },
 
     defaults: (value, ...fallbacks) => {
-        // Helper to check if a value is truthy
-        // (eliminates all falsy values: false, 0, "", null, undefined, NaN)
-        const isTruthy = (val) => Boolean(val)
-
         // If value is truthy, return it
         if (isTruthy(value)) {
             return value
@@ -238,18 +265,21 @@ export const builtInFilters = {
         return validFallback !== undefined ? validFallback : ""
     },
 
-    dump: (value) => `<pre>${JSON.stringify(value, null, 2)}</pre>`,
+    dump: (value) => new SafeString(`<pre>${escapeHtml(String(JSON.stringify(value, null, 2)))}</pre>`),
 
     escape: (value) => {
         if (typeof value !== "string") {
             throw new Error(`escape filter expects a string, but got ${typeof value}`)
         }
-        return String(value)
-            .replace(/&/g, "&amp;amp;") // Double-escape & first
-            .replace(/</g, "&amp;lt;") // Then escape < with &amp;lt;
-            .replace(/>/g, "&amp;gt;") // Then escape > with &amp;gt;
-            .replace(/"/g, "&amp;quot;") // Then escape " with &amp;quot;
-            .replace(/'/g, "&amp;#39;") // Then escape ' with &amp;#39;
+        // Already escaped, so the result is marked safe to avoid escaping it once more
+        return new SafeString(
+            String(value)
+                .replace(/&/g, "&amp;amp;") // Double-escape & first
+                .replace(/</g, "&amp;lt;") // Then escape < with &amp;lt;
+                .replace(/>/g, "&amp;gt;") // Then escape > with &amp;gt;
+                .replace(/"/g, "&amp;quot;") // Then escape " with &amp;quot;
+                .replace(/'/g, "&amp;#39;") // Then escape ' with &amp;#39;
+        )
     },
 
     fileSize: (bytes) => {
@@ -420,11 +450,14 @@ export const builtInFilters = {
         return String(value).toLowerCase()
     },
 
-    numberFormat: (value, decimals = 0) => {
+    numberFormat(value, decimals = 0, locale = this?.locale) {
         const number = Number(value)
         if (isNaN(number)) {
             throw new Error("numberFormat filter expects a number")
         }
+        if (locale) {
+            return new Intl.NumberFormat(locale, { notation: "compact", maximumFractionDigits: decimals }).format(number)
+        }
         const suffixes = ["", "K", "M", "B", "T"]
         const suffixNum = Math.floor(("" + parseInt(number)).length / 3)
         let shortValue = parseFloat(
@@ -443,7 +476,7 @@ export const builtInFilters = {
         // Convert to string and handle non-string inputs gracefully
         const str = String(value)
 
-        return str.replace(/\s/g, "&nbsp;") // Replace all spaces with &nbsp;
+        return new SafeString(escapeHtml(str).replace(/\s/g, "&nbsp;")) // Replace all spaces with &nbsp;
     },
 
     range: (value, lower, upper, inclusive = false) => {
@@ -495,6 +528,9 @@ export const builtInFilters = {
         return number.toFixed(precision)
     },
 
+    // Marks a value as safe, so it is written to the output without HTML escaping
+    safe: (value) => new SafeString(value),
+
     safeStringify: (value, indent = 2) => {
         const seen = new WeakSet()
         return JSON.stringify(
@@ -672,7 +708,7 @@ export const builtInFilters = {
         }
 
         // Return the <a> tag with appropriate attributes
-        return `<a href="${escapedUrl}" ${attributes}>${escapedText}</a>`
+        return new SafeString(`<a href="${escapedUrl}" ${attributes}>${escapedText}</a>`)
     },
 
     trim: (value) => {
@@ -0,0 +1,76 @@
+/**
+ * Sandbox of the functions and methods called from template expressions.
+ *
+ * Whatever the policy, a template can never call a function constructor (which would evaluate arbitrary code),
+ * nor a method held by `constructor`, `__proto__`, `prototype` or the legacy accessor helpers.
+ * Templates can't read or set these properties either.
+ */
+
+export const CALL_POLICIES = ["all", "globals", "none"]
+
+const FORBIDDEN_KEYS = new Set([
+	"constructor",
+	"prototype",
+	"__proto__",
+	"__defineGetter__",
+	"__defineSetter__",
+	"__lookupGetter__",
+	"__lookupSetter__",
+])
+
+const FORBIDDEN_CALLABLES = new Set([
+	Function,
+	(async () => {}).constructor,
+	(function* () {}).constructor,
+	(async function* () {}).constructor,
+	eval,
+])
+
+/**
+ * Checks a call policy option.
+ *
+ * @param {string|Function} policy - One of `CALL_POLICIES`, or a function deciding for each call
+ * @returns {string|Function} The policy
+ */
+export function validateCallPolicy(policy) {
+	if (typeof policy !== "function" && !CALL_POLICIES.includes(policy)) {
+		throw new Error(`Invalid call policy: ${policy}, expected a function or one of ${CALL_POLICIES.join(", ")}`)
+	}
+	return policy
+}
+
+/**
+ * Tells whether a template may access a property, prototype properties are always denied.
+ *
+ * @param {string|number} key - The property name
+ * @returns {boolean} True if the property can be read or set
+ */
+export function isPropertyAllowed(key) {
+	return !FORBIDDEN_KEYS.has(String(key))
+}
+
+/**
+ * Tells whether a template may call a function.
+ * - `"all"`: any function or method reachable from the template data and globals
+ * - `"globals"`: only the global functions of the template engine, called by name
+ * - `"none"`: no functions, only macros
+ * - a function `(fn, { name, key, object, global }) => boolean` deciding for each call
+ *
+ * @param {string|Function} policy - The call policy
+ * @param {Function} fn - The function about to be called
+ * @param {Object} info - The call details
+ * @param {string} info.name - The callee as written in the template (e.g. `user.fullName`)
+ * @param {string|number} [info.key] - The property holding the method, for method calls
+ * @param {*} [info.object] - The object the method is called on, for method calls
+ * @param {boolean} info.global - True for a global function of the template engine
+ * @returns {boolean} True if the call is allowed
+ */
+export function isCallAllowed(policy, fn, info) {
+	// Also covers `call`, `apply` and `bind` called on a function constructor
+	if (FORBIDDEN_CALLABLES.has(fn) || FORBIDDEN_CALLABLES.has(info.object)) return false
+	if (info.key !== undefined && !isPropertyAllowed(info.key)) return false
+
+	if (typeof policy === "function") return Boolean(policy(fn, info))
+	if (policy === "globals") return info.global
+	return policy === "all"
+}
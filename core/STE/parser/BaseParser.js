@@ -1,4 +1,5 @@
 import { TokenType } from "../syntax/TokenTypes.js"
+import { TemplateError } from "../TemplateError.js"
 
 export class BaseParser {
 	constructor(state) {
@@ -39,6 +40,16 @@ export class BaseParser {
 
 	consume(type, message) {
 		if (this.check(type)) return this.advance()
-		throw new Error(`${message} at position ${this.peek().position}`)
+		throw this.error(message)
+	}
+
+	// Location of a token in the template, recorded on AST nodes to locate evaluation errors
+	location(token = this.peek()) {
+		return { template: this.state.template, line: token.line, column: token.column }
+	}
+
+	// Error located at a token, the next one by default
+	error(message, token = this.peek()) {
+		return new TemplateError(message, this.location(token))
 	}
 }
@@ -7,7 +7,10 @@ export class ExpressionParser extends BaseParser {
     }
 
     parseExpression() {
-        return this.parseFilter() // Start with filter
+        const start = this.peek()
+        const expr = this.parseFilter() // Start with filter
+        expr.loc ??= this.location(start)
+        return expr
     }
 
     // Check for filter first
@@ -18,7 +21,8 @@ export class ExpressionParser extends BaseParser {
         // Keep checking for more filters while we see pipe tokens
         while (this.match(TokenType.PIPE_FILTER)) {
             // Get the filter name - change IDENTIFIER to explicit filter name consume
-            const filterName = this.consume(TokenType.IDENTIFIER, "Expect filter name after '|'").lexeme
+            const filterToken = this.consume(TokenType.IDENTIFIER, "Expect filter name after '|'")
+            const filterName = filterToken.lexeme
 
             // Check for filter arguments
             let args = []
@@ -45,6 +49,7 @@ export class ExpressionParser extends BaseParser {
                 expression: expr,
                 filter: filterName,
                 arguments: args,
+                loc: this.location(filterToken),
             }
         }
 
@@ -174,9 +179,9 @@ export class ExpressionParser extends BaseParser {
 
             // Handle quoted strings in specific contexts
             if (wasQuoted) {
-                // Case 1: Quoted strings in set value context or object literal context
-                if (this.state.parsingSetValue || this.state.isInObjectLiteral) {
-                    return { type: "literal", value }
+                // Case 1: Quoted strings in set value context, object literal context or call arguments
+                if (this.state.parsingSetValue || this.state.isInObjectLiteral || this.state.parsingArguments) {
+                    return this.chain({ type: "literal", value })
                 }
 
                 // Case 2: Quoted strings with dots, treated as variable names (outside include context)
@@ -186,15 +191,15 @@ export class ExpressionParser extends BaseParser {
                 }
             }
 
-            // Default case: Treat as a regular string literal
-            return { type: "literal", value }
+            // Default case: Treat as a regular string literal, whose members can be accessed (`"x".repeat(2)`)
+            return this.chain({ type: "literal", value })
         }
 
         if (this.match(TokenType.NUMBER)) {
-            return {
+            return this.chain({
                 type: "literal",
                 value: this.previous().literal,
-            }
+            })
         }
 
         if (this.match(TokenType.TRUE)) {
@@ -216,27 +221,41 @@ export class ExpressionParser extends BaseParser {
             }
         }
 
+        if (this.match(TokenType.AT_LOOP)) {
+            // @parent gives access to the enclosing loop (e.g. `@parent.index`)
+            return this.chain({
+                type: "loop_ref",
+                name: this.previous().literal,
+            })
+        }
+
         if (this.match(TokenType.THIS)) {
-            return {
+            return this.chain({
                 type: "this_ref",
-            }
+            })
         }
 
         if (this.match(TokenType.LBRACKET)) {
-            return this.array()
+            const start = this.previous()
+            return this.chain(this.array(), start)
         }
 
         if (this.match(TokenType.LBRACE)) {
-            return this.object()
+            const start = this.previous()
+            return this.chain(this.object(), start)
         }
 
         if (this.match(TokenType.LPAREN)) {
+            const start = this.previous()
             const expr = this.parseExpression()
             this.consume(TokenType.RPAREN, "Expect ')' after expression.")
-            return {
-                type: "grouping",
-                expression: expr,
-            }
+            return this.chain(
+                {
+                    type: "grouping",
+                    expression: expr,
+                },
+                start
+            )
         }
 
         // Handle RAW_HTML tokens (terminal values)
@@ -244,53 +263,105 @@ export class ExpressionParser extends BaseParser {
             return {
                 type: "raw_html",
                 name: this.previous().lexeme,
+                loc: this.location(this.previous()),
             }
         }
 
         // Handle regular IDENTIFIER tokens
         if (this.match(TokenType.IDENTIFIER)) {
-            let expr = {
+            return this.chain({
                 type: "variable",
                 name: this.previous().lexeme,
-            }
+                loc: this.location(this.previous()),
+            })
+        }
+
+        throw this.error(`Unexpected token: ${this.peek().lexeme}`)
+    }
 
-            while (this.match(TokenType.DOT, TokenType.LBRACKET)) {
-                const access = this.previous().type
+    // Chain: property access, computed access and calls, each optionally preceded by `?.`
+    // Once a `?.` is met, the rest of the chain is optional and short-circuits on nullish values
+    chain(expr, start = this.previous()) {
+        let optional = false
 
-                if (access === TokenType.DOT) {
-                    const name = this.consume(TokenType.IDENTIFIER, "Expect property name after '.'").lexeme
-                    expr = {
-                        type: "property",
-                        object: expr,
-                        property: name,
+        while (this.match(TokenType.DOT, TokenType.QUESTION_DOT, TokenType.LBRACKET, TokenType.LPAREN)) {
+            let access = this.previous().type
+
+            if (access === TokenType.QUESTION_DOT) {
+                optional = true
+                if (this.match(TokenType.LBRACKET, TokenType.LPAREN)) access = this.previous().type
+            }
+
+            if (access === TokenType.LPAREN) {
+                expr = this.call(expr)
+                expr.loc = this.location(start)
+            } else if (access === TokenType.LBRACKET) {
+                // Handle both numeric indices and string literals in brackets
+                let index
+                if (this.match(TokenType.STRING)) {
+                    // String literal access
+                    index = {
+                        type: "literal",
+                        value: this.previous().literal,
                     }
                 } else {
-                    // Handle both numeric indices and string literals in brackets
-                    let index
-                    if (this.match(TokenType.STRING)) {
-                        // String literal access
-                        index = {
-                            type: "literal",
-                            value: this.previous().literal,
-                        }
-                    } else {
-                        // Regular numeric or expression access
-                        index = this.parseExpression()
-                    }
+                    // Regular numeric or expression access
+                    index = this.parseExpression()
+                }
 
-                    this.consume(TokenType.RBRACKET, "Expect ']' after property access")
-                    expr = {
-                        type: "computed_property", // Node type for computed property access
-                        object: expr,
-                        property: index,
-                    }
+                this.consume(TokenType.RBRACKET, "Expect ']' after property access")
+                expr = {
+                    type: "computed_property", // Node type for computed property access
+                    object: expr,
+                    property: index,
+                }
+            } else {
+                const name = this.consume(TokenType.IDENTIFIER, "Expect property name after '.'").lexeme
+                expr = {
+                    type: "property",
+                    object: expr,
+                    property: name,
                 }
             }
 
-            return expr
+            if (optional) expr.optional = true
         }
 
-        throw new Error(`Unexpected token: ${this.peek().lexeme} at position ${this.peek().position}`)
+        return expr
+    }
+
+    // Call: positional arguments first, then named arguments (e.g. `card("Title", url = "/")`)
+    call(callee) {
+        const args = []
+        const namedArgs = new Map()
+
+        const parsingArguments = this.state.parsingArguments
+        this.state.parsingArguments = true
+
+        if (!this.check(TokenType.RPAREN)) {
+            do {
+                const next = this.state.tokens[this.state.current + 1]
+                if (this.check(TokenType.IDENTIFIER) && next?.type === TokenType.EQUAL && next.lexeme === "=") {
+                    const name = this.advance().lexeme
+                    this.advance() // Consume '='
+                    namedArgs.set(name, this.parseExpression())
+                } else if (namedArgs.size > 0) {
+                    throw this.error("Positional argument after named arguments")
+                } else {
+                    args.push(this.parseExpression())
+                }
+            } while (this.match(TokenType.COMMA))
+        }
+
+        this.state.parsingArguments = parsingArguments
+        this.consume(TokenType.RPAREN, "Expect ')' after arguments")
+
+        return {
+            type: "call",
+            callee,
+            arguments: args,
+            namedArguments: namedArgs,
+        }
     }
 
     // Collections: array - object
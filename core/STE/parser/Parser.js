@@ -4,24 +4,29 @@ import { ExpressionParser } from "./ExpressionParser.js"
 import { StatementParser } from "./StatementParser.js"
 
 class ParserState {
-	constructor(tokens) {
+	constructor(tokens, template) {
 		this.tokens = tokens
+		this.template = template // Resolved path of the parsed template, if any
 		this.current = 0
 		this.parsingInclude = false
 		this.parsingSetValue = false
 		this.isInObjectLiteral = false
+		this.parsingArguments = false
 	}
 }
 
 export class Parser extends BaseParser {
-	constructor(tokens) {
+	constructor(tokens, template) {
 		// Initialize shared state
-		const state = new ParserState(tokens)
+		const state = new ParserState(tokens, template)
 		super(state) // Pass state to BaseParser
 
 		// Inject the SAME state into child parsers
 		this.expressionParser = new ExpressionParser(this.state)
 		this.statementParser = new StatementParser(this.state, this.expressionParser)
+
+		// Closing tags without an opening tag, ignored when rendering but reported by the linter
+		this.unmatchedClosingTags = []
 	}
 
 	parse() {
@@ -37,12 +42,13 @@ export class Parser extends BaseParser {
 				statements.push({
 					type: "raw_html",
 					name: this.previous().literal,
+					loc: this.location(this.previous()),
 				})
 			} else if (this.match(TokenType.DOUBLE_BRACE_OPEN)) {
-				statements.push(this.parseStatement())
+				const statement = this.parseStatement()
+				if (statement) statements.push(statement)
 			} else {
-				const unexpectedToken = this.peek()
-				throw new Error(`Unexpected token: ${unexpectedToken.type} at position ${unexpectedToken.position}`)
+				throw this.error(`Unexpected token: ${this.peek().type}`)
 			}
 		}
 
@@ -50,22 +56,15 @@ export class Parser extends BaseParser {
 	}
 
 	parseStatement() {
-		if (this.match(TokenType.TAG_SET)) {
-			return this.statementParser.parseSet()
-		} else if (this.match(TokenType.TAG_EACH)) {
-			return this.statementParser.parseEach()
-		} else if (this.match(TokenType.TAG_INCLUDE)) {
-			return this.statementParser.parseInclude()
-		} else if (this.match(TokenType.TAG_CONDITIONAL)) {
-			return this.statementParser.parseConditional()
-		} else if (this.peek().type === TokenType.TAG_CONDITIONAL_CLOSE) {
-			this.advance() // Consume the TAG_CONDITIONAL_CLOSE
+		if (this.match(TokenType.TAG_EXTENDS)) {
+			return this.statementParser.parseExtends()
+		} else if (this.match(TokenType.TAG_CONDITIONAL_CLOSE, TokenType.TAG_EACH_CLOSE)) {
+			// Closing tags are consumed by the statement they close, this one closes nothing
+			const tag = this.previous()
+			this.unmatchedClosingTags.push({ tag: tag.literal, loc: this.location(tag) })
 			this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after closing tag")
 			return null // No statement to add for a closing tag
-		} else {
-			const expression = this.expressionParser.parseExpression()
-			this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after expression.")
-			return { type: "expression", expression }
 		}
+		return this.statementParser.parseStatement()
 	}
 }
@@ -7,7 +7,55 @@ export class StatementParser extends BaseParser {
         this.expressionParser = expressionParser // Store reference to the ExpressionParser as a dependency
     }
 
+    // Parses the statements of a conditional, loop, block or macro body, until `isEnd` finds its end
+    parseBody(isEnd, unterminatedMessage) {
+        const body = []
+        while (!isEnd()) {
+            if (this.isAtEnd()) {
+                throw this.error(unterminatedMessage)
+            }
+
+            if (this.match(TokenType.STRING)) {
+                body.push({
+                    type: "literal",
+                    value: this.previous().literal,
+                })
+            } else if (this.match(TokenType.DOUBLE_BRACE_OPEN)) {
+                body.push(this.parseStatement())
+            } else {
+                throw this.error(`Unexpected token: ${this.peek().type}`)
+            }
+        }
+        return body
+    }
+
+    // Parses a statement after its opening '{{', the same statements being allowed in every body
+    parseStatement() {
+        if (this.match(TokenType.TAG_SET)) {
+            return this.parseSet()
+        } else if (this.match(TokenType.TAG_EACH)) {
+            return this.parseEach()
+        } else if (this.match(TokenType.TAG_INCLUDE)) {
+            return this.parseInclude()
+        } else if (this.match(TokenType.TAG_CONDITIONAL)) {
+            return this.parseConditional()
+        } else if (this.match(TokenType.TAG_BLOCK)) {
+            return this.parseBlock()
+        } else if (this.match(TokenType.TAG_SUPER)) {
+            return this.parseSuper()
+        } else if (this.match(TokenType.TAG_MACRO)) {
+            return this.parseMacro()
+        } else if (this.match(TokenType.TAG_IMPORT)) {
+            return this.parseImport()
+        } else {
+            const expression = this.expressionParser.parseExpression()
+            this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after expression.")
+            return { type: "expression", expression }
+        }
+    }
+
     parseSet() {
+        const tag = this.previous()
         const name = this.consume(TokenType.IDENTIFIER, "Expect variable name after #set").lexeme
 
         // Build chain of property accesses
@@ -54,14 +102,16 @@ export class StatementParser extends BaseParser {
             name,
             propertyChain: chain.length > 0 ? chain : null,
             value,
+            loc: this.location(tag),
         }
     }
 
     parseConditional() {
-        const startConditionType = this.previous().literal
+        const tag = this.previous()
+        const startConditionType = tag.literal
 
         if (!["if", "not"].includes(startConditionType)) {
-            throw new Error(`Unexpected conditional type: ${startConditionType}. Expected 'if' or 'not'`)
+            throw this.error(`Unexpected conditional type: ${startConditionType}. Expected 'if' or 'not'`, tag)
         }
 
         let condition = this.expressionParser.parseExpression()
@@ -87,9 +137,10 @@ export class StatementParser extends BaseParser {
                     conditionType: "not",
                     condition,
                     body,
+                    loc: this.location(tag),
                 }
             }
-            throw new Error("Expected closing not tag")
+            throw this.error("Expected closing not tag")
         }
 
         // Parse alternate branches (elseif/else)
@@ -133,7 +184,7 @@ export class StatementParser extends BaseParser {
                         this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after closing tag")
                         break
                     }
-                    throw new Error("Expected closing tag after else block")
+                    throw this.error("Expected closing tag after else block")
                 }
             }
         }
@@ -144,49 +195,12 @@ export class StatementParser extends BaseParser {
             condition,
             body,
             alternates,
+            loc: this.location(tag),
         }
     }
 
     parseConditionalBody() {
-        const body = []
-
-        while (!this.checkConditionalEnd()) {
-            if (this.isAtEnd()) {
-                throw new Error("Unterminated conditional statement")
-            }
-
-            if (this.match(TokenType.STRING)) {
-                body.push({
-                    type: "literal",
-                    value: this.previous().literal,
-                })
-            } else if (this.match(TokenType.DOUBLE_BRACE_OPEN)) {
-                if (this.match(TokenType.TAG_EACH)) {
-                    body.push(this.parseEach())
-                } else if (this.match(TokenType.TAG_SET)) {
-                    body.push(this.parseSet())
-                } else if (this.match(TokenType.TAG_INCLUDE)) {
-                    body.push(this.parseInclude())
-                } else if (this.match(TokenType.RAW_HTML)) {
-                    body.push({
-                        type: "raw_html",
-                        name: this.previous().literal.replace("#", ""), // Remove the # prefix
-                    })
-                    this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after html variable")
-                } else if (
-                    this.check(TokenType.TAG_CONDITIONAL) &&
-                    !["elseif", "else", "/if"].includes(this.peek().literal)
-                ) {
-                    this.advance()
-                    body.push(this.parseConditional())
-                } else {
-                    const expr = this.expressionParser.parseExpression()
-                    this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after expression.")
-                    body.push({ type: "expression", expression: expr })
-                }
-            }
-        }
-        return body
+        return this.parseBody(() => this.checkConditionalEnd(), "Unterminated conditional statement")
     }
 
     checkConditionalEnd() {
@@ -201,58 +215,81 @@ export class StatementParser extends BaseParser {
     }
 
     parseEach() {
-        const eachType = this.previous().literal // Will be "each", "each1", or "each2"
+        const tag = this.previous()
+        const eachType = tag.literal // Will be "each", "each1", or "each2"
+        const { itemName, keyName } = this.parseLoopVariables()
         const iterableExpr = this.expressionParser.parseExpression()
         this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after each expression.")
 
         const body = this.parseEachBody(eachType)
 
+        // Optional else branch, rendered when there is nothing to iterate over
+        let elseBody = null
+        if (this.checkEachElse()) {
+            this.advance() // Consume '{{'
+            this.advance() // Consume '#else'
+            this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after else.")
+            elseBody = this.parseEachBody(eachType)
+        }
+
+        // Consume the closing each tag
+        this.match(TokenType.DOUBLE_BRACE_OPEN)
+        this.consume(TokenType.TAG_EACH_CLOSE, `Expect closing tag for ${eachType}`)
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after closing each tag")
+
         return {
             type: "each",
             eachType,
+            itemName,
+            keyName,
             iterable: iterableExpr,
             body,
+            elseBody,
+            loc: this.location(tag),
         }
     }
 
-    parseEachBody(eachType) {
-        const body = []
-        while (!this.checkEachEnd(eachType)) {
-            if (this.isAtEnd()) {
-                throw new Error(`Unterminated each loop. Expected {{/${eachType}}}`)
-            }
+    // Named loop variables: `post in posts` or `[key, value] in object`
+    parseLoopVariables() {
+        const tokens = this.state.tokens
+        const at = (offset, type) => tokens[this.state.current + offset]?.type === type
+        const isIn = (offset) => at(offset, TokenType.IDENTIFIER) && tokens[this.state.current + offset].lexeme === "in"
 
-            if (this.match(TokenType.STRING)) {
-                body.push({
-                    type: "literal",
-                    value: this.previous().literal,
-                })
-            } else if (this.match(TokenType.DOUBLE_BRACE_OPEN)) {
-                if (this.match(TokenType.TAG_SET)) {
-                    body.push(this.parseSet())
-                } else if (this.match(TokenType.TAG_EACH)) {
-                    body.push(this.parseEach())
-                } else if (this.match(TokenType.TAG_CONDITIONAL)) {
-                    body.push(this.parseConditional())
-                } else if (this.match(TokenType.TAG_INCLUDE)) {
-                    body.push(this.parseInclude())
-                } else {
-                    const expr = this.expressionParser.parseExpression()
-                    this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after expression.")
-                    body.push({
-                        type: "expression",
-                        expression: expr,
-                    })
-                }
-            }
+        if (at(0, TokenType.IDENTIFIER) && isIn(1)) {
+            const itemName = this.advance().lexeme
+            this.advance() // Consume 'in'
+            return { itemName, keyName: null }
         }
 
-        // Consume the closing each tag
-        this.match(TokenType.DOUBLE_BRACE_OPEN)
-        this.consume(TokenType.TAG_EACH_CLOSE, `Expect closing tag for ${eachType}`)
-        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after closing each tag")
+        const destructuring =
+            at(0, TokenType.LBRACKET) &&
+            at(1, TokenType.IDENTIFIER) &&
+            at(2, TokenType.COMMA) &&
+            at(3, TokenType.IDENTIFIER) &&
+            at(4, TokenType.RBRACKET) &&
+            isIn(5)
+        if (destructuring) {
+            const keyName = tokens[this.state.current + 1].lexeme
+            const itemName = tokens[this.state.current + 3].lexeme
+            this.state.current += 6
+            return { itemName, keyName }
+        }
 
-        return body
+        return { itemName: null, keyName: null }
+    }
+
+    // Parses the body of a loop, or of its else branch, up to its else or closing tag
+    parseEachBody(eachType) {
+        return this.parseBody(
+            () => this.checkEachEnd(eachType) || this.checkEachElse(),
+            `Unterminated each loop. Expected {{/${eachType}}}`
+        )
+    }
+
+    checkEachElse() {
+        if (!this.check(TokenType.DOUBLE_BRACE_OPEN)) return false
+        const nextToken = this.state.tokens[this.state.current + 1]
+        return nextToken && nextToken.type === TokenType.TAG_CONDITIONAL && nextToken.literal === "else"
     }
 
     checkEachEnd(eachType) {
@@ -262,18 +299,159 @@ export class StatementParser extends BaseParser {
     }
 
     parseInclude() {
+        const tag = this.previous()
         this.consume(TokenType.LPAREN, "Expect '(' after #include")
 
         this.state.parsingInclude = true // Set parsingInclude context flag
         const path = this.expressionParser.parseExpression()
         this.state.parsingInclude = false // Reset parsingInclude context flag
 
+        // Optional data passed to the included template: {{#include("card.html", { post: item })}}
+        let data = null
+        if (this.match(TokenType.COMMA)) {
+            data = this.expressionParser.parseExpression()
+        }
+
         this.consume(TokenType.RPAREN, "Expect ')' after include path")
+
+        // Optional `only` keyword, hiding the parent data from the included template
+        let only = false
+        if (this.check(TokenType.IDENTIFIER) && this.peek().lexeme === "only") {
+            this.advance()
+            only = true
+        }
+
         this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after include expression")
 
         return {
             type: "include",
             path: path,
+            data,
+            only,
+            loc: this.location(tag),
+        }
+    }
+
+    parseExtends() {
+        const tag = this.previous()
+        this.consume(TokenType.LPAREN, "Expect '(' after #extends")
+
+        this.state.parsingInclude = true // Layout paths are parsed like include paths
+        const path = this.expressionParser.parseExpression()
+        this.state.parsingInclude = false
+
+        this.consume(TokenType.RPAREN, "Expect ')' after extends path")
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after extends expression")
+
+        return {
+            type: "extends",
+            path,
+            loc: this.location(tag),
+        }
+    }
+
+    parseBlock() {
+        const tag = this.previous()
+        const name = this.consume(TokenType.STRING, "Expect block name after #block").literal
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after block name")
+
+        const body = this.parseTagBody(TokenType.TAG_BLOCK_CLOSE, "block", name)
+
+        return {
+            type: "block",
+            name,
+            body,
+            loc: this.location(tag),
+        }
+    }
+
+    // Parses the body of a block or macro, up to and including its closing tag
+    parseTagBody(closeType, tag, name) {
+        const body = this.parseBody(
+            () => this.checkTagEnd(closeType),
+            `Unterminated ${tag} "${name}". Expected {{/${tag}}}`
+        )
+
+        // Consume the closing tag
+        this.match(TokenType.DOUBLE_BRACE_OPEN)
+        this.consume(closeType, `Expect closing tag for ${tag} "${name}"`)
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after closing tag")
+
+        return body
+    }
+
+    checkTagEnd(closeType) {
+        if (!this.check(TokenType.DOUBLE_BRACE_OPEN)) return false
+        const nextToken = this.state.tokens[this.state.current + 1]
+        return nextToken && nextToken.type === closeType
+    }
+
+    parseSuper() {
+        const tag = this.previous()
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after #super")
+        return { type: "super", loc: this.location(tag) }
+    }
+
+    parseMacro() {
+        const tag = this.previous()
+        const name = this.consume(TokenType.IDENTIFIER, "Expect macro name after #macro").lexeme
+        this.consume(TokenType.LPAREN, "Expect '(' after macro name")
+
+        // Parameters, with optional default values (e.g. `size = "md"`)
+        const params = []
+        if (!this.check(TokenType.RPAREN)) {
+            do {
+                const param = this.consume(TokenType.IDENTIFIER, "Expect parameter name").lexeme
+                let defaultValue = null
+                if (this.check(TokenType.EQUAL) && this.peek().lexeme === "=") {
+                    this.advance()
+                    const parsingArguments = this.state.parsingArguments
+                    this.state.parsingArguments = true
+                    defaultValue = this.expressionParser.parseExpression()
+                    this.state.parsingArguments = parsingArguments
+                }
+                params.push({ name: param, defaultValue })
+            } while (this.match(TokenType.COMMA))
+        }
+
+        this.consume(TokenType.RPAREN, "Expect ')' after macro parameters")
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after macro definition")
+
+        const body = this.parseTagBody(TokenType.TAG_MACRO_CLOSE, "macro", name)
+
+        return {
+            type: "macro",
+            name,
+            params,
+            body,
+            loc: this.location(tag),
+        }
+    }
+
+    parseImport() {
+        const tag = this.previous()
+        this.consume(TokenType.LPAREN, "Expect '(' after #import")
+
+        this.state.parsingInclude = true // Import paths are parsed like include paths
+        const path = this.expressionParser.parseExpression()
+        this.state.parsingInclude = false
+
+        this.consume(TokenType.RPAREN, "Expect ')' after import path")
+
+        // Optional namespace: {{#import("macros.html") as ui}}
+        let alias = null
+        if (this.check(TokenType.IDENTIFIER) && this.peek().lexeme === "as") {
+            this.advance()
+            alias = this.consume(TokenType.IDENTIFIER, "Expect namespace name after 'as'").lexeme
+        }
+
+        this.consume(TokenType.DOUBLE_BRACE_CLOSE, "Expect '}}' after import expression")
+
+        return {
+            type: "import",
+            path,
+            alias,
+            loc: this.location(tag),
         }
     }
 }
@@ -1,12 +1,25 @@
 import { Tokenizer } from "./syntax/Tokenizer.js"
 import { Parser } from "./parser/Parser.js"
 import { Evaluator } from "./evaluator/Evaluator.js"
+import { templateCache } from "./TemplateCache.js"
+import { validateCallPolicy } from "./evaluator/utils/callPolicy.js"
+import { RenderLimits } from "./evaluator/utils/RenderLimits.js"
+import { TemplateError } from "./TemplateError.js"
+
+// Names of filters and globals, which templates reference as identifiers
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/
 
 export class STE {
+    // Extensions of the template files, other files can't be rendered, included or imported
+    static DEFAULT_EXTENSIONS = [".html", ".xml", ".txt", ".svg"]
+
     #baseDir
     #templateCache
+    #production
     #currentTemplate
     #includeStack // Track include stack
+    #resolvedStack // Resolved paths of the include stack, used to detect circular includes
+    #importStack // Resolved paths of the files whose imports are being loaded, used to detect circular imports
     #pathUtils = null
     #isRootMode
     #rootPrefix // Store the root component folder name
@@ -16,16 +29,92 @@ export class STE {
      * Creates a new instance of TemplateEngine
      * @param {string} baseDir - The base directory where template files are located
      * @param {Object} options - Configuration options
+     * @param {boolean} [options.autoescape=true] - HTML-escape the output of {{ expressions }}
+     * @param {boolean} [options.production] - Skip the modification checks of cached templates,
+     * defaults to true when NODE_ENV is "production"
+     * @param {TemplateCache} [options.cache] - The cache of parsed templates, shared by all instances by default
+     * @param {Object} [options.filters] - Custom filters, by name, added to the built-in filters
+     * @param {Object} [options.globals] - Global values and functions, available to every template
+     * @param {string|Function} [options.callPolicy="all"] - Which functions and methods templates may call:
+     * "all", "globals" (global functions only), "none" (macros only) or a function `(fn, info) => boolean`
+     * @param {boolean} [options.trimBlocks=false] - Remove the indentation before block tags and the newline after them
+     * @param {Object} [options.limits] - Resource limits of each render: maxIncludeDepth (50), maxCallDepth (100),
+     * maxIterations (100000), maxOutputSize (10485760 characters) and timeout (milliseconds, none by default)
+     * @param {Array<string>} [options.extensions] - Extensions of the template files, defaults to STE.DEFAULT_EXTENSIONS
      */
-    constructor(baseDir) {
+    constructor(baseDir, options = {}) {
         this.#baseDir = baseDir
-        this.#templateCache = new Map()
+        this.autoescape = options.autoescape ?? true
+        this.trimBlocks = options.trimBlocks ?? false
+        this.extensions = options.extensions ?? STE.DEFAULT_EXTENSIONS
+        this.filters = {}
+        this.globals = {}
+        this.callPolicy = validateCallPolicy(options.callPolicy ?? "all")
+        this.limits = new RenderLimits(options.limits)
+        this.#production = options.production ?? process.env.NODE_ENV === "production"
+        this.#templateCache = options.cache ?? templateCache
         this.#currentTemplate = null
         this.#includeStack = [] // Initialize include stack
+        this.#resolvedStack = []
+        this.#importStack = []
         this.htmlVars = new Map() // Add persistent storage for HTML variables
         this.#isRootMode = baseDir === "./"
         this.#rootPrefix = null // Will be set on first template render
         this.#basePath = null // Will be set on first template render
+
+        for (const [name, filter] of Object.entries(options.filters || {})) this.addFilter(name, filter)
+        for (const [name, value] of Object.entries(options.globals || {})) this.addGlobal(name, value)
+    }
+
+    /**
+     * Adds a custom filter, or replaces a built-in one.
+     * Filters receive the filtered value followed by their arguments, may be async,
+     * and are called with the template data as `this` (unless they are arrow functions).
+     *
+     * @param {string} name - The filter name, as used after `|` in templates
+     * @param {Function} filter - The filter function
+     * @returns {STE} The template engine instance for chaining
+     */
+    addFilter(name, filter) {
+        STE.validateFilter(name, filter)
+        this.filters[name] = filter
+        return this
+    }
+
+    /**
+     * Checks a custom filter, so that applications can reject it when registering it rather than at render time.
+     *
+     * @param {string} name - The filter name, an identifier
+     * @param {Function} filter - The filter function
+     * @throws {Error} If the name isn't an identifier or the filter isn't a function
+     */
+    static validateFilter(name, filter) {
+        if (!IDENTIFIER.test(name)) throw new Error(`Invalid filter name: ${name}`)
+        if (typeof filter !== "function") throw new Error(`Filter ${name} must be a function`)
+    }
+
+    /**
+     * Adds a global value or function, available to every template rendered by this engine.
+     * Data passed to render takes precedence over globals with the same name.
+     *
+     * @param {string} name - The variable name
+     * @param {*} value - The value, functions can be called from templates (e.g. `{{asset("app.css")}}`)
+     * @returns {STE} The template engine instance for chaining
+     */
+    addGlobal(name, value) {
+        STE.validateGlobal(name)
+        this.globals[name] = value
+        return this
+    }
+
+    /**
+     * Checks the name of a global.
+     *
+     * @param {string} name - The variable name, an identifier
+     * @throws {Error} If the name isn't an identifier
+     */
+    static validateGlobal(name) {
+        if (!IDENTIFIER.test(name)) throw new Error(`Invalid global name: ${name}`)
     }
 
     /**
@@ -34,8 +123,8 @@ export class STE {
      */
     async #initPathUtils() {
         if (!this.#pathUtils) {
-            const { dirname, resolve, join, normalize } = await import("node:path")
-            this.#pathUtils = { dirname, resolve, join, normalize }
+            const { dirname, resolve, join, normalize, relative, sep } = await import("node:path")
+            this.#pathUtils = { dirname, resolve, join, normalize, relative, sep }
         }
         return this.#pathUtils
     }
@@ -105,8 +194,8 @@ export class STE {
      * @private
      */
     async #resolvePath(filePath) {
-        if (!filePath.endsWith(".html")) {
-            throw new Error("Invalid file type. Only HTML files are supported.")
+        if (!this.extensions.some((extension) => filePath.endsWith(extension))) {
+            throw new Error(`Invalid file type: ${filePath}. Supported extensions: ${this.extensions.join(", ")}`)
         }
 
         const { dirname, resolve, join, normalize } = await this.#initPathUtils()
@@ -165,41 +254,226 @@ export class STE {
             this.#currentTemplate = filePath
 
             // Process the main template
-            const processed = await this.renderStringWithoutRestore(filePath, data)
+            this.limits.start()
+            const processed = await this.limits.race(this.renderStringWithoutRestore(filePath, data))
 
             // Restore HTML content at the end
-            let result = processed
-            for (const { marker, value } of this.htmlVars.values()) {
-                result = result.replace(marker, value)
-            }
+            const result = this.#restoreHtml(processed)
 
             // Restore previous template context
             this.#currentTemplate = previousTemplate
 
             return result
         } catch (error) {
-            this.#currentTemplate = null // Reset on error
-            console.error("[STE] Main render error:", error)
-            throw new Error(`Template rendering failed for ${filePath}: ${error.message}`)
+            this.#resetRender()
+            throw await this.#renderError(error, filePath)
         }
     }
 
     /**
-     * Reads a template file from the base directory
+     * Renders a template from a file path chunk by chunk, so that the beginning of the page can be sent
+     * while the rest is still rendering (includes, async filters or functions).
+     * Each top-level part of the template, or of the layout it extends, is written as soon as it is rendered.
+     *
+     * @param {string} filePath - The path to the template file
+     * @param {Object} data - The data object containing values
+     * @param {Function} write - Receives each rendered chunk, may return a promise to wait for (e.g. backpressure)
+     * @returns {Promise<void>} Resolves when the whole template has been written
+     */
+    async stream(filePath, data, write) {
+        try {
+            this.#setRootPrefix(filePath)
+
+            const previousTemplate = this.#currentTemplate
+            this.#currentTemplate = filePath
+
+            this.limits.start()
+            await this.limits.race(
+                this.renderStringWithoutRestore(filePath, data, async (chunk) => {
+                    this.limits.checkTime() // Nothing is written once the render has timed out
+                    if (chunk !== "") await write(this.#restoreHtml(String(chunk)))
+                })
+            )
+
+            this.#currentTemplate = previousTemplate
+        } catch (error) {
+            this.#resetRender()
+            throw await this.#renderError(error, filePath)
+        }
+    }
+
+    /**
+     * Renders a template given as a string, e.g. stored in a database, in markdown frontmatter or in an email body.
+     * Its includes, layouts and imports are resolved against the base directory.
+     *
+     * @param {string} source - The template source
+     * @param {Object} data - The data object containing values
+     * @param {Object} [options] - Render options
+     * @param {string} [options.name="string"] - The template name shown by error messages, also the path relative
+     * includes are resolved from (e.g. with "emails/welcome.txt", "./footer.txt" is emails/footer.txt)
+     * @returns {Promise<string>} The rendered template
+     */
+    async renderString(source, data, options = {}) {
+        if (typeof source !== "string") throw new Error("Template source must be a string")
+        const name = options.name ?? "string"
+
+        try {
+            const previousTemplate = this.#currentTemplate
+            this.#currentTemplate = name
+
+            this.limits.start()
+            const processed = await this.limits.race(this.#renderSource(source, name, data))
+            const result = this.#restoreHtml(processed)
+
+            this.#currentTemplate = previousTemplate
+            return result
+        } catch (error) {
+            this.#resetRender()
+
+            // Errors in the string itself are described from its source, there is no file to read
+            if (error instanceof TemplateError && error.template === name) {
+                error.templateName = name
+                if (error.line !== undefined) error.snippet = TemplateError.snippet(source, error.line, error.column)
+                error.updateMessage()
+                console.error(`[STE] Template error: ${error.message}`)
+                throw error
+            }
+            throw await this.#renderError(error, name)
+        }
+    }
+
+    /**
+     * Parses and evaluates a template string, as the outermost template of the include stack.
      * @private
      */
-    async #readFile(filePath) {
+    async #renderSource(source, name, data) {
+        let ast
+        try {
+            ast = this.#parseTemplate(source, name)
+        } catch (error) {
+            throw TemplateError.from(error, { template: name })
+        }
+
+        this.#pushTemplate(name, `string:${name}`)
         try {
-            const resolvedPath = await this.#resolvePath(filePath)
+            this.#registerHtmlVars(data)
+            return await this.#processExpressions(ast, data)
+        } catch (error) {
+            if (error instanceof TemplateError) error.includeChain ??= this.#includeChain(name)
+            throw error
+        } finally {
+            this.#popTemplate()
+        }
+    }
+
+    /**
+     * Resets the render state after a failed render.
+     * @private
+     */
+    #resetRender() {
+        this.#currentTemplate = null
+        // A render stopped by the timeout may still be pending, the next one starts with an empty include stack
+        this.#includeStack = []
+        this.#resolvedStack = []
+        this.#importStack = []
+    }
 
-            const { readFile } = await import("node:fs/promises")
-            const content = await readFile(resolvedPath, "utf8")
+    /**
+     * Logs a failed render of a main template, and returns the error to throw.
+     * Template errors are completed with their location, other errors are wrapped.
+     * @private
+     */
+    async #renderError(error, filePath) {
+        if (error instanceof TemplateError) {
+            await this.#describeError(error)
+            console.error(`[STE] Template error: ${error.message}`)
+            return error
+        }
+        console.error("[STE] Main render error:", error)
+        return new Error(`Template rendering failed for ${filePath}: ${error.message}`)
+    }
 
-            return content
+    /**
+     * Replaces the markers of html_ variables with their content.
+     * @private
+     */
+    #restoreHtml(content) {
+        let result = content
+        for (const { marker, value } of this.htmlVars.values()) {
+            result = result.replace(marker, value)
+        }
+        return result
+    }
+
+    /**
+     * Completes the message of a template error with the template name, the include chain
+     * and a snippet of the template source pointing at the error.
+     * @private
+     */
+    async #describeError(error) {
+        if (error.template) {
+            const { resolve, relative, sep } = await this.#initPathUtils()
+            error.templateName = relative(resolve(this.#baseDir), error.template).split(sep).join("/")
+
+            if (error.line !== undefined) {
+                try {
+                    const { readFile } = await import("node:fs/promises")
+                    const source = await readFile(error.template, "utf8")
+                    error.snippet = TemplateError.snippet(source, error.line, error.column)
+                } catch {
+                    // The template may have been removed since, the error is still reported without snippet
+                }
+            }
+        }
+        error.updateMessage()
+    }
+
+    /**
+     * Returns the templates being rendered, outermost first, ending with the given template.
+     * @private
+     */
+    #includeChain(filePath) {
+        const chain = [...this.#includeStack]
+        if (chain[chain.length - 1] !== filePath) chain.push(filePath)
+        return chain
+    }
+
+    /**
+     * Loads the AST of a template file from the base directory.
+     * Parsed templates are cached by resolved path, and parsed again when their file changes,
+     * unless in production mode or for precompiled templates, which are used without checking their file.
+     * @private
+     */
+    async #loadTemplate(filePath) {
+        let resolvedPath, mtimeMs, content
+        try {
+            resolvedPath = await this.#resolvePath(filePath)
+
+            // Templates parsed with another trimBlocks option are parsed again
+            let cached = this.#templateCache.get(resolvedPath)
+            if (cached && cached.trimBlocks !== this.trimBlocks) cached = undefined
+            if (cached && (this.#production || cached.mtimeMs === null)) return cached.ast
+
+            const { readFile, stat } = await import("node:fs/promises")
+            const stats = await stat(resolvedPath)
+            mtimeMs = stats.mtimeMs
+            if (cached && cached.mtimeMs === mtimeMs) return cached.ast
+
+            content = await readFile(resolvedPath, "utf8")
         } catch (error) {
             console.error("[STE] File reading error:", error)
             throw new Error(`File reading failed: ${error.message}`)
         }
+
+        let ast
+        try {
+            ast = this.#parseTemplate(content, resolvedPath)
+        } catch (error) {
+            // Tokenizer and parser errors are located in the template being parsed
+            throw TemplateError.from(error, { template: resolvedPath })
+        }
+        this.#templateCache.set(resolvedPath, ast, mtimeMs, this.trimBlocks)
+        return ast
     }
 
     /**
@@ -209,60 +483,174 @@ export class STE {
      * @private
      * @param {string} filePath - Path to the template file
      * @param {Object} data - Data object containing template variables
+     * @param {Function} [emit] - Receives the rendered content chunk by chunk instead of returning it
      * @returns {Promise<string>} The rendered template content
      */
-    async renderStringWithoutRestore(filePath, data) {
+    async renderStringWithoutRestore(filePath, data, emit) {
+        // Circular and too deep includes fail at the include tag, before anything is rendered
+        const resolvedPath = await this.#checkInclude(filePath)
+
         try {
-            const content = await this.#readFile(filePath)
+            const ast = await this.#loadTemplate(filePath)
 
             // Push the template onto the include stack AFTER reading the file
-            this.#includeStack.push(filePath)
-
-            // Process any html_ variables in the data
-            // Add null check {} to prevent error if no data object is initialized
-            for (const [key, value] of Object.entries(data || {})) {
-                if (key.startsWith("html_") && !this.htmlVars.has(key)) {
-                    const marker = `__HTML_${Math.random().toString(36).substring(2, 11)}__`
-                    this.htmlVars.set(key, { marker, value })
-                    data[key] = marker
-                }
-            }
+            this.#pushTemplate(filePath, resolvedPath)
+
+            this.#registerHtmlVars(data)
 
             // Process template
-            let processed = content
-            processed = await this.#processExpressions(processed, data)
+            const processed = await this.#processExpressions(ast, data, emit)
 
             // Pop the template from the include stack when done
-            this.#includeStack.pop()
+            this.#popTemplate()
 
             return processed
         } catch (error) {
+            // Template errors keep the chain of templates at the point of failure, and are reported once by render
+            if (error instanceof TemplateError) error.includeChain ??= this.#includeChain(filePath)
+
             // Make sure to pop from the stack even if there's an error
-            if (this.#includeStack.includes(filePath)) {
-                this.#includeStack.pop()
+            if (this.#resolvedStack[this.#resolvedStack.length - 1] === resolvedPath) {
+                this.#popTemplate()
             }
+            if (error instanceof TemplateError) throw error
             console.error("[STE] Render error:", error)
             throw new Error(`Template rendering failed for ${filePath}: ${error.message}`)
         }
     }
 
     /**
-     * Processes expressions using tokenizer/parser/evaluator
+     * Replaces the html_ variables of the data with markers, their content is restored after rendering.
      * @private
      */
-    async #processExpressions(content, data) {
+    #registerHtmlVars(data) {
+        // Add null check {} to prevent error if no data object is initialized
+        for (const [key, value] of Object.entries(data || {})) {
+            if (key.startsWith("html_") && !this.htmlVars.has(key)) {
+                const marker = `__HTML_${Math.random().toString(36).substring(2, 11)}__`
+                this.htmlVars.set(key, { marker, value })
+                data[key] = marker
+            }
+        }
+    }
+
+    /**
+     * Loads the parsed AST of an imported template file, and calls a function collecting its macros with it.
+     * Relative paths are resolved from the imported file during the call, for the files it imports itself.
+     *
+     * @param {string} filePath - Path to the template file
+     * @param {Function} collect - Called with the template AST
+     * @returns {Promise<*>} The result of the function
+     * @throws {Error} If the file imports itself, directly or through other files
+     */
+    async importTemplate(filePath, collect) {
+        const resolvedPath = await this.#resolvePath(filePath)
+        const index = this.#importStack.indexOf(resolvedPath)
+        if (index !== -1) {
+            // The include stack ends with the files being imported, as given in their import tags
+            const imports = this.#includeStack.slice(-this.#importStack.length)
+            throw new Error(`Circular import: ${[...imports.slice(index), filePath].join(" > ")}`)
+        }
+
+        const ast = await this.#loadTemplate(filePath)
+        this.#importStack.push(resolvedPath)
+        this.#pushTemplate(filePath, resolvedPath)
+        try {
+            return await collect(ast)
+        } finally {
+            this.#popTemplate()
+            this.#importStack.pop()
+        }
+    }
+
+    /**
+     * Renders a layout extended by a template, using the evaluator of the extending template
+     * so that its data and block overrides are available to the layout.
+     *
+     * @param {string} filePath - Path to the layout file
+     * @param {Evaluator} evaluator - The evaluator of the extending template
+     * @returns {Promise<string>} The rendered layout content
+     */
+    async renderLayout(filePath, evaluator) {
+        const resolvedPath = await this.#checkInclude(filePath)
+        const ast = await this.#loadTemplate(filePath)
+
+        // Relative paths inside the layout are resolved from the layout itself
+        this.#pushTemplate(filePath, resolvedPath)
         try {
-            const tokenizer = new Tokenizer(content)
-            const tokens = tokenizer.scanTokens()
+            return await evaluator.evaluate(ast)
+        } catch (error) {
+            if (error instanceof TemplateError) {
+                error.includeChain ??= this.#includeChain(filePath)
+                throw error
+            }
+            throw new Error(`Layout rendering failed for ${filePath}: ${error.message}`)
+        } finally {
+            this.#popTemplate()
+        }
+    }
+
+    /**
+     * Checks that a template can be rendered inside the templates being rendered:
+     * it must not be one of them, and the include depth limit must not be exceeded.
+     * @private
+     * @returns {Promise<string>} The resolved path of the template
+     */
+    async #checkInclude(filePath) {
+        const resolvedPath = await this.#resolvePath(filePath)
+
+        const index = this.#resolvedStack.indexOf(resolvedPath)
+        if (index !== -1) {
+            const cycle = [...this.#includeStack.slice(index), filePath]
+            throw new Error(`Circular include: ${cycle.join(" > ")}`)
+        }
+        this.limits.checkDepth(this.#includeStack.length + 1)
+
+        return resolvedPath
+    }
+
+    /**
+     * Pushes a template onto the include stack
+     * @private
+     */
+    #pushTemplate(filePath, resolvedPath) {
+        this.#includeStack.push(filePath)
+        this.#resolvedStack.push(resolvedPath)
+    }
+
+    /**
+     * Pops the last template of the include stack
+     * @private
+     */
+    #popTemplate() {
+        this.#includeStack.pop()
+        this.#resolvedStack.pop()
+    }
+
+    /**
+     * Tokenizes and parses template content into an AST
+     * @private
+     */
+    #parseTemplate(content, template) {
+        const tokenizer = new Tokenizer(content, { trimBlocks: this.trimBlocks })
+        const tokens = tokenizer.scanTokens()
 
-            const parser = new Parser(tokens)
-            const ast = parser.parse()
+        const parser = new Parser(tokens, template)
+        return parser.parse()
+    }
 
-            const evaluator = new Evaluator(data, this) // 'this' → template engine reference
+    /**
+     * Evaluates a parsed template with the given data
+     * @private
+     */
+    async #processExpressions(ast, data, emit) {
+        try {
+            const evaluator = new Evaluator(data, this, emit) // 'this' → template engine reference
 
             const result = await evaluator.evaluate(ast)
             return result
         } catch (error) {
+            if (error instanceof TemplateError) throw error
             throw new Error(`Expression processing failed: ${error.message}`)
         }
     }
@@ -270,6 +658,7 @@ export class STE {
     /**
      * Clears both the template cache and HTML variables cache.
      * Useful when templates or HTML content need to be reloaded.
+     * The template cache is shared, so this affects every instance using it.
      *
      * @public
      */
@@ -283,9 +672,11 @@ export class STE {
      * Allows selective cache clearing when only certain templates change.
      *
      * @public
-     * @param {string} template - The template path to remove from cache
+     * @param {string} template - The template path to remove from cache, as passed to render
+     * @returns {Promise<boolean>} True if the template was cached
      */
-    removeFromCache(template) {
-        this.#templateCache.delete(template)
+    async removeFromCache(template) {
+        const resolvedPath = await this.#resolvePath(template)
+        return this.#templateCache.delete(resolvedPath)
     }
 }
@@ -1,4 +1,5 @@
-import { Token } from "./Token.js";
+import { Token } from "./Token.js"
+import { TemplateError } from "../TemplateError.js"
 
 export class BaseTokenizer {
 	constructor(state) {
@@ -49,6 +50,30 @@ export class BaseTokenizer {
 
 	addToken(type, literal = null) {
 		const text = this.state.source.substring(this.state.start, this.state.current)
-		this.state.tokens.push(new Token(type, text, literal, this.state.position - text.length))
+		const { line, column } = this.locate(this.state.start)
+		this.state.tokens.push(new Token(type, text, literal, this.state.position - text.length, line, column))
+	}
+
+	// Line and column of an offset, lines are counted incrementally as tokens are added in order
+	locate(offset) {
+		const state = this.state
+		if (offset < state.located) {
+			state.line = 1
+			state.lineStart = 0
+			state.located = 0
+		}
+		for (let i = state.located; i < offset; i++) {
+			if (state.source.charCodeAt(i) === 10) {
+				state.line++
+				state.lineStart = i + 1
+			}
+		}
+		state.located = offset
+		return { line: state.line, column: offset - state.lineStart + 1 }
+	}
+
+	// Error located at the token being scanned
+	error(message, offset = this.state.start) {
+		return new TemplateError(message, this.locate(offset))
 	}
 }
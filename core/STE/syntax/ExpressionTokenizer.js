@@ -12,7 +12,7 @@ export class ExpressionTokenizer extends BaseTokenizer {
 		}
 
 		if (this.isAtEnd()) {
-			throw new Error(`Unterminated string at position ${this.state.position}`)
+			throw this.error("Unterminated string")
 		}
 
 		// Consume the closing quote
@@ -31,10 +31,20 @@ export class TagTokenizer extends BaseTokenizer {
 			this.addToken(TokenType.TAG_EACH, tag)
 		} else if (tag === "include") {
 			this.addToken(TokenType.TAG_INCLUDE)
+		} else if (tag === "extends") {
+			this.addToken(TokenType.TAG_EXTENDS)
+		} else if (tag === "block") {
+			this.addToken(TokenType.TAG_BLOCK)
+		} else if (tag === "super") {
+			this.addToken(TokenType.TAG_SUPER)
+		} else if (tag === "macro") {
+			this.addToken(TokenType.TAG_MACRO)
+		} else if (tag === "import") {
+			this.addToken(TokenType.TAG_IMPORT)
 		} else if (tag.startsWith("html_")) {
 			this.addToken(TokenType.RAW_HTML, tag)
 		} else {
-			throw new Error(`Unexpected tag: #${tag} at position ${this.state.position}`)
+			throw this.error(`Unexpected tag: #${tag}`)
 		}
 	}
 
@@ -52,14 +62,18 @@ export class TagTokenizer extends BaseTokenizer {
 				}
 			}
 
-			if (tag === "each" || tag.match(/^each\d+$/) || tag === "if" || tag === "not") {
+			if (tag === "block") {
+				this.addToken(TokenType.TAG_BLOCK_CLOSE, tag)
+			} else if (tag === "macro") {
+				this.addToken(TokenType.TAG_MACRO_CLOSE, tag)
+			} else if (tag === "each" || tag.match(/^each\d+$/) || tag === "if" || tag === "not") {
 				if (tag === "each" || tag.match(/^each\d+$/)) {
 					this.addToken(TokenType.TAG_EACH_CLOSE, tag)
 				} else {
 					this.addToken(TokenType.TAG_CONDITIONAL_CLOSE, tag)
 				}
 			} else {
-				throw new Error(`Unexpected closing tag: /${tag} at position ${this.state.position}`)
+				throw this.error(`Unexpected closing tag: /${tag}`)
 			}
 		} else {
 			this.addToken(TokenType.DIVIDE)
@@ -67,13 +81,20 @@ export class TagTokenizer extends BaseTokenizer {
 	}
 
 	handleAtSymbol() {
-		// Check if it's @index or @key
-		if (this.match("i") && this.match("n") && this.match("d") && this.match("e") && this.match("x")) {
+		let name = ""
+		while (this.isAlpha(this.peek())) {
+			name += this.advance()
+		}
+
+		// Loop helpers: @index, @key, @first, @last, @length and @parent
+		if (name === "index") {
 			this.addToken(TokenType.AT_INDEX)
-		} else if (this.match("k") && this.match("e") && this.match("y")) {
+		} else if (name === "key") {
 			this.addToken(TokenType.AT_KEY)
+		} else if (["first", "last", "length", "parent"].includes(name)) {
+			this.addToken(TokenType.AT_LOOP, name)
 		} else {
-			throw new Error(`Unexpected @ syntax at position ${this.state.position}`)
+			throw this.error("Unexpected @ syntax")
 		}
 	}
 }
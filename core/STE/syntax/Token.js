@@ -1,8 +1,10 @@
 export class Token {
-	constructor(type, lexeme, literal, position) {
+	constructor(type, lexeme, literal, position, line, column) {
 		this.type = type // Type of token (text, variable, etc.)
 		this.lexeme = lexeme // The actual text/part of the template that represents this token
 		this.literal = literal // The evaluated value of the token, if applicable (often used for variables)
 		this.position = position // The position in the original template where this token starts
+		this.line = line // The line where this token starts, starting at 1
+		this.column = column // The column where this token starts, starting at 1
 	}
 }
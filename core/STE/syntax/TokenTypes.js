@@ -2,6 +2,7 @@ export const TokenType = {
 	AND: "AND",
 	AT_INDEX: "AT_INDEX",
 	AT_KEY: "AT_KEY",
+	AT_LOOP: "AT_LOOP", // @first, @last, @length, @parent
 	COLON: "COLON",
 	COMMENT_CLOSE: "COMMENT_CLOSE", // #}
 	COMMENT_OPEN: "COMMENT_OPEN", // {#
@@ -31,18 +32,26 @@ export const TokenType = {
 	PLUS: "PLUS",
 	POWER: "POWER",
 	QUESTION: "QUESTION",
+	QUESTION_DOT: "QUESTION_DOT", // ?.
 	RAW_HTML: "RAW_HTML",
 	RBRACKET: "RBRACKET",
 	RPAREN: "RPAREN",
 	STRICT_EQUAL: "STRICT_EQUAL",
 	STRICT_NOT_EQUAL: "STRICT_NOT_EQUAL",
 	STRING: "STRING",
+	TAG_BLOCK: "TAG_BLOCK",
+	TAG_BLOCK_CLOSE: "TAG_BLOCK_CLOSE",
 	TAG_CONDITIONAL: "TAG_CONDITIONAL",
 	TAG_CONDITIONAL_CLOSE: "TAG_CONDITIONAL_CLOSE",
 	TAG_EACH: "TAG_EACH",
 	TAG_EACH_CLOSE: "TAG_EACH_CLOSE",
+	TAG_EXTENDS: "TAG_EXTENDS",
+	TAG_IMPORT: "TAG_IMPORT",
 	TAG_INCLUDE: "TAG_INCLUDE",
+	TAG_MACRO: "TAG_MACRO",
+	TAG_MACRO_CLOSE: "TAG_MACRO_CLOSE",
 	TAG_SET: "TAG_SET",
+	TAG_SUPER: "TAG_SUPER",
 	THIS: "THIS",
 	TRUE: "TRUE",
 	LBRACE: "LBRACE",
@@ -6,10 +6,36 @@ import { OperatorTokenizer } from "./OperatorTokenizer.js"
 import { TagTokenizer } from "./TagTokenizer.js"
 import { TokenizerState } from "./TokenizerState.js"
 
+// Tags that only control the template, and whose surrounding whitespace is stripped by the trimBlocks option
+const BLOCK_TAG = /\{\{-?\s*[#/](?:set|if|elseif|else|not|each\d*|block|extends|macro|import)(?![A-Za-z0-9_])/y
+
+// Tokens that end an operand, after which `.` is a member access rather than the start of a number
+const OPERAND_ENDS = new Set([
+    TokenType.IDENTIFIER,
+    TokenType.NUMBER,
+    TokenType.STRING,
+    TokenType.TRUE,
+    TokenType.FALSE,
+    TokenType.THIS,
+    TokenType.RPAREN,
+    TokenType.RBRACKET,
+    TokenType.RBRACE,
+    TokenType.AT_INDEX,
+    TokenType.AT_KEY,
+    TokenType.AT_LOOP,
+    TokenType.RAW_HTML,
+])
+
 export class Tokenizer extends BaseTokenizer {
-    constructor(source) {
+    /**
+     * @param {string} source - The template source
+     * @param {Object} [options] - Tokenizer options
+     * @param {boolean} [options.trimBlocks=false] - Remove the indentation before block tags
+     * and the newline after them, so that tags alone on their line leave no blank line
+     */
+    constructor(source, options = {}) {
         // Create shared state
-        const state = new TokenizerState(source)
+        const state = new TokenizerState(source, options)
         super(state)
 
         this.expressionTokenizer = new ExpressionTokenizer(state)
@@ -27,11 +53,14 @@ export class Tokenizer extends BaseTokenizer {
             }
         }
 
-        this.state.tokens.push(new Token(TokenType.EOF, "", null, this.state.position))
+        const { line, column } = this.locate(this.state.current)
+        this.state.tokens.push(new Token(TokenType.EOF, "", null, this.state.position, line, column))
         return this.state.tokens
     }
 
     scanText() {
+        this.skipTrimmedWhitespace()
+
         // Accumulate text until we hit a potential expression start
         while (!this.isAtEnd()) {
             if (this.peek() === "{" && this.peekNext() === "{") {
@@ -42,8 +71,8 @@ export class Tokenizer extends BaseTokenizer {
 
         // If we accumulated any text, add it as a STRING token
         if (this.state.current > this.state.start) {
-            const text = this.state.source.substring(this.state.start, this.state.current)
-            this.addToken(TokenType.STRING, text)
+            const text = this.trimText(this.state.source.substring(this.state.start, this.state.current))
+            if (text) this.addToken(TokenType.STRING, text)
         }
 
         // Reset start position before scanning any special tokens
@@ -87,7 +116,12 @@ export class Tokenizer extends BaseTokenizer {
                 this.addToken(TokenType.RBRACKET)
                 break
             case ".":
-                this.addToken(TokenType.DOT)
+                // `.5` is a number where an operand is expected, e.g. after the `?` of `a?.5:1`
+                if (this.isDigit(this.peek()) && !this.followsOperand()) {
+                    this.expressionTokenizer.number()
+                } else {
+                    this.addToken(TokenType.DOT)
+                }
                 break
             case ",":
                 this.addToken(TokenType.COMMA)
@@ -96,7 +130,12 @@ export class Tokenizer extends BaseTokenizer {
                 this.addToken(TokenType.PLUS)
                 break
             case "-":
-                this.addToken(TokenType.MINUS)
+                // `-}}` trims the whitespace after the expression
+                if (this.peek() === "}" && this.peekNext() === "}") {
+                    this.state.trimAfter = true
+                } else {
+                    this.addToken(TokenType.MINUS)
+                }
                 break
             case "*":
                 if (this.match("*")) {
@@ -137,7 +176,13 @@ export class Tokenizer extends BaseTokenizer {
             case "\n":
                 break
             case "?":
-                this.addToken(TokenType.QUESTION)
+                // Optional chaining `?.`, except before a digit as in JavaScript
+                if (this.peek() === "." && !this.isDigit(this.peekNext())) {
+                    this.advance()
+                    this.addToken(TokenType.QUESTION_DOT)
+                } else {
+                    this.addToken(TokenType.QUESTION)
+                }
                 break
             case ":":
                 this.addToken(TokenType.COLON)
@@ -148,14 +193,67 @@ export class Tokenizer extends BaseTokenizer {
                 } else if (this.isAlpha(c)) {
                     this.expressionTokenizer.identifier()
                 } else {
-                    throw new Error(`Unexpected character: ${c} at position ${this.state.position}`)
+                    throw this.error(`Unexpected character: ${c}`)
                 }
                 break
         }
     }
 
+    // Whether the previous token ends an operand, whose members a following `.` accesses
+    followsOperand() {
+        const previous = this.state.tokens[this.state.tokens.length - 1]
+        return OPERAND_ENDS.has(previous?.type)
+    }
+
+    // Skips the whitespace trimmed by a `-}}` marker, or the newline after a block tag with trimBlocks
+    skipTrimmedWhitespace() {
+        const trim = this.state.trimNext
+        this.state.trimNext = null
+
+        if (trim === "all") {
+            while (/\s/.test(this.peek()) && !this.isAtEnd()) this.advance()
+        } else if (trim === "line") {
+            const match = /[ \t]*\r?\n/y
+            match.lastIndex = this.state.current
+            if (match.test(this.state.source)) {
+                while (this.state.current < match.lastIndex) this.advance()
+            }
+        }
+        this.state.start = this.state.current
+    }
+
+    // Trims the end of a text followed by a `{{-` marker, or the indentation of a block tag with trimBlocks
+    trimText(text) {
+        const next = this.state.current
+        if (this.isAtEnd()) return text
+
+        if (this.isTrimMarker(next + 2)) return text.trimEnd()
+
+        if (this.state.trimBlocks && this.isBlockTag(next)) {
+            // Only the indentation of a tag starting its line is removed
+            const lineStart = text.length - text.match(/[ \t]*$/)[0].length
+            const before = lineStart > 0 ? text[lineStart - 1] : this.state.source[this.state.start - 1]
+            if (before === undefined || before === "\n") return text.slice(0, lineStart)
+        }
+
+        return text
+    }
+
+    // A `-` right after `{{` is a trim marker when followed by whitespace or a tag, not a negative number
+    isTrimMarker(offset) {
+        const source = this.state.source
+        return source[offset] === "-" && /[\s#/]/.test(source[offset + 1] ?? "")
+    }
+
+    isBlockTag(offset) {
+        BLOCK_TAG.lastIndex = offset
+        return BLOCK_TAG.test(this.state.source)
+    }
+
     handleOpeningBrace() {
         if (this.match("{")) {
+            this.state.inBlockTag = this.isBlockTag(this.state.start)
+            if (this.isTrimMarker(this.state.current)) this.advance() // Consume the `{{-` marker
             this.addToken(TokenType.DOUBLE_BRACE_OPEN)
             this.state.isInExpression = true
         } else if (this.state.isInExpression) {
@@ -171,6 +269,14 @@ export class Tokenizer extends BaseTokenizer {
         } else if (this.match("}")) {
             this.addToken(TokenType.DOUBLE_BRACE_CLOSE)
             this.state.isInExpression = false
+
+            // Whitespace to skip before the next text
+            if (this.state.trimAfter) {
+                this.state.trimNext = "all"
+            } else if (this.state.trimBlocks && this.state.inBlockTag) {
+                this.state.trimNext = "line"
+            }
+            this.state.trimAfter = false
         }
     }
 }
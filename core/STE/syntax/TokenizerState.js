@@ -1,11 +1,18 @@
 export class TokenizerState {
-	constructor(source) {
+	constructor(source, options = {}) {
 		this.source = source
+		this.trimBlocks = options.trimBlocks ?? false // Strip the whitespace around block tags
 		this.tokens = []
 		this.start = 0
 		this.current = 0
 		this.position = 0
+		this.line = 1 // Line of the last located position
+		this.lineStart = 0 // Offset of the first character of that line
+		this.located = 0 // Offset up to which lines have been counted
 		this.isInExpression = false
 		this.braceCount = 0
+		this.inBlockTag = false // The expression being scanned is a block tag (e.g. {{#if}} or {{/each}})
+		this.trimAfter = false // A `-}}` marker was met in the expression being scanned
+		this.trimNext = null // Whitespace to skip at the start of the next text: "all" or "line"
 	}
 }
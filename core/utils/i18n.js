@@ -0,0 +1,238 @@
+import { readdir, readFile } from "node:fs/promises"
+import { extname, join } from "node:path"
+import { formatMessage } from "./messageFormat.js"
+import { parseCookies } from "./cookieManager.js"
+
+/**
+ * Message catalogs and locale detection.
+ * Catalogs are loaded from a directory with one file per locale, named after it: `en.json`, `fr.properties`, `pt-BR.json`.
+ * JSON catalogs can nest keys (`{ "nav": { "home": "Home" } }` defines `nav.home`), and a locale may have both files.
+ * Applications use it through `enableI18n`, and it can also be used on its own, e.g. with STE directly.
+ */
+export class I18n {
+	#catalogs = new Map() // Messages by locale, each a Map of flat keys to messages
+
+	/**
+	 * @param {Object} [options] - Configuration options
+	 * @param {string} [options.directory="locales"] - The directory of the message catalogs
+	 * @param {string} [options.defaultLocale="en"] - The locale used when no other one is detected, and for missing messages
+	 * @param {Array<string>} [options.locales] - The supported locales, defaults to the locales of the catalogs
+	 * @param {string|false} [options.cookie="locale"] - The cookie holding the locale chosen by the user, false to ignore cookies
+	 * @param {boolean} [options.prefix=false] - Detect the locale from the first path segment (e.g. `/fr/about`),
+	 * which is removed from `req.url` before routing
+	 */
+	constructor(options = {}) {
+		this.directory = options.directory ?? "locales"
+		this.defaultLocale = options.defaultLocale ?? "en"
+		this.locales = options.locales ?? null
+		this.cookie = options.cookie ?? "locale"
+		this.prefix = options.prefix ?? false
+	}
+
+	/**
+	 * Loads the message catalogs of the directory.
+	 * @returns {Promise<I18n>} The instance, once loaded
+	 */
+	async load() {
+		const files = await readdir(this.directory)
+
+		for (const file of files.sort()) {
+			const extension = extname(file)
+			if (extension !== ".json" && extension !== ".properties") continue
+
+			const content = await readFile(join(this.directory, file), "utf8")
+			let messages
+			try {
+				messages = extension === ".json" ? JSON.parse(content) : parseProperties(content)
+			} catch (error) {
+				throw new Error(`Invalid message catalog ${file}: ${error.message}`)
+			}
+			this.addMessages(file.slice(0, -extension.length), messages)
+		}
+
+		if (!this.locales) {
+			const locales = new Set([this.defaultLocale, ...this.#catalogs.keys()])
+			this.locales = [...locales].sort()
+		}
+		return this
+	}
+
+	/**
+	 * Adds messages to the catalog of a locale, replacing existing messages with the same keys.
+	 *
+	 * @param {string} locale - The locale (e.g. "fr")
+	 * @param {Object} messages - The messages by key, nested objects define dotted keys
+	 * @returns {I18n} The instance for chaining
+	 */
+	addMessages(locale, messages) {
+		if (!this.#catalogs.has(locale)) this.#catalogs.set(locale, new Map())
+		flattenMessages(messages, "", this.#catalogs.get(locale))
+		return this
+	}
+
+	/**
+	 * Translates a message.
+	 * Messages missing from the locale are looked up in its language (`fr` for `fr-CA`), then in the default locale.
+	 *
+	 * @param {string} key - The message key (e.g. "nav.home")
+	 * @param {Object} [values] - The values of the message arguments (e.g. `{ count: 3 }`)
+	 * @param {string} [locale] - The locale, the default locale if omitted
+	 * @returns {string} The formatted message, or the key itself when no catalog has it
+	 */
+	t(key, values = {}, locale = this.defaultLocale) {
+		for (const candidate of localeFallbacks(locale, this.defaultLocale)) {
+			const message = this.#catalogs.get(candidate)?.get(key)
+			if (message !== undefined) return formatMessage(message, values, candidate)
+		}
+		return String(key)
+	}
+
+	/**
+	 * Returns the supported locale matching a language tag, exactly or by language (`fr-CA` matches `fr`).
+	 *
+	 * @param {string} tag - The language tag
+	 * @param {boolean} [exact=false] - Only accept an exact (case insensitive) match
+	 * @returns {string|null} The supported locale, if any
+	 */
+	resolveLocale(tag, exact = false) {
+		if (!tag || !this.locales) return null
+		const lowerTag = String(tag).toLowerCase()
+
+		const match = this.locales.find((locale) => locale.toLowerCase() === lowerTag)
+		if (match || exact) return match ?? null
+
+		const language = lowerTag.split("-")[0]
+		return (
+			this.locales.find((locale) => locale.toLowerCase() === language) ??
+			this.locales.find((locale) => locale.toLowerCase().split("-")[0] === language) ??
+			null
+		)
+	}
+
+	/**
+	 * Picks the supported locale preferred by an Accept-Language header.
+	 *
+	 * @param {string} header - The header value (e.g. "fr-CH, fr;q=0.9, en;q=0.8")
+	 * @returns {string|null} The preferred supported locale, if any
+	 */
+	negotiate(header) {
+		if (!header) return null
+
+		const ranges = header
+			.split(",")
+			.map((range) => {
+				const [tag, ...params] = range.trim().split(";")
+				const q = params.find((param) => param.trim().startsWith("q="))
+				return { tag: tag.trim(), q: q ? Number(q.trim().slice(2)) : 1 }
+			})
+			.filter((range) => range.tag && range.tag !== "*" && range.q > 0)
+			.sort((a, b) => b.q - a.q)
+
+		for (const { tag } of ranges) {
+			const locale = this.resolveLocale(tag)
+			if (locale) return locale
+		}
+		return null
+	}
+
+	/**
+	 * Creates the locale detection middleware.
+	 * The locale is taken from the path prefix (when enabled), the locale cookie, the Accept-Language header,
+	 * or the default locale, in that order. It sets `req.locale`, `res.locale` (passed to `res.render` templates
+	 * as the `locale` variable), `req.t(key, values)` and the Content-Language header.
+	 *
+	 * @returns {Function} The middleware
+	 */
+	middleware() {
+		return (req, res) => {
+			let locale = null
+
+			if (this.prefix) {
+				const match = /^\/([^/?#]+)(?=[/?#]|$)/.exec(req.url)
+				locale = match ? this.resolveLocale(match[1], true) : null
+				if (locale) {
+					// Routes are matched without the prefix: /fr/about is routed as /about
+					req.originalUrl = req.url
+					const rest = req.url.slice(match[0].length)
+					req.url = rest.startsWith("/") ? rest : `/${rest}`
+				}
+			}
+
+			if (!locale && this.cookie) locale = this.resolveLocale(parseCookies(req.headers.cookie)[this.cookie])
+			locale ??= this.negotiate(req.headers["accept-language"]) ?? this.defaultLocale
+
+			req.locale = locale
+			res.locale = locale
+			req.t = (key, values) => this.t(key, values, locale)
+			res.setHeader("Content-Language", locale)
+		}
+	}
+
+	/**
+	 * Creates the `t` template filter: `{{ "cart.items" | t({ count: items.length }) }}`.
+	 * Messages are translated to the locale given as second argument, or to the `locale` template variable.
+	 *
+	 * @returns {Function} The filter
+	 */
+	filter() {
+		const i18n = this
+		return function (key, values, locale) {
+			return i18n.t(key, values, locale ?? this?.locale ?? i18n.defaultLocale)
+		}
+	}
+}
+
+/**
+ * Lists the locales to try for a locale, most specific first: `fr-CA`, then `fr`, then the default locale.
+ *
+ * @param {string} locale - The requested locale
+ * @param {string} [defaultLocale] - The default locale
+ * @returns {Array<string>} The locales to try
+ */
+export function localeFallbacks(locale, defaultLocale) {
+	const fallbacks = [locale]
+	if (locale?.includes("-")) fallbacks.push(locale.split("-")[0])
+	if (defaultLocale) fallbacks.push(defaultLocale)
+	return [...new Set(fallbacks.filter(Boolean))]
+}
+
+/**
+ * Parses a `.properties` catalog: `key = value` or `key: value` lines, `#` and `!` comments,
+ * lines continued by a trailing backslash and `\n`, `\t` or `\uXXXX` escapes.
+ *
+ * @param {string} content - The file content
+ * @returns {Object} The messages by key
+ */
+export function parseProperties(content) {
+	const messages = {}
+	const lines = content.split(/\r?\n/)
+
+	for (let i = 0; i < lines.length; i++) {
+		let line = lines[i].trimStart()
+		if (!line || line.startsWith("#") || line.startsWith("!")) continue
+
+		// An odd number of trailing backslashes continues the line
+		while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+			line = line.slice(0, -1) + lines[++i].trimStart()
+		}
+
+		const separator = /^((?:\\.|[^\\=:\s])*)\s*[=:]?\s*/.exec(line)
+		messages[unescapeProperty(separator[1])] = unescapeProperty(line.slice(separator[0].length))
+	}
+	return messages
+}
+
+function unescapeProperty(text) {
+	const escapes = { t: "\t", n: "\n", r: "\r", f: "\f" }
+	return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, escaped) =>
+		escaped.length === 5 ? String.fromCharCode(parseInt(escaped.slice(1), 16)) : (escapes[escaped] ?? escaped)
+	)
+}
+
+function flattenMessages(messages, prefix, catalog) {
+	for (const [key, value] of Object.entries(messages)) {
+		const path = prefix ? `${prefix}.${key}` : key
+		if (value && typeof value === "object" && !Array.isArray(value)) flattenMessages(value, path, catalog)
+		else if (value != null) catalog.set(path, String(value))
+	}
+}
@@ -0,0 +1,199 @@
+/**
+ * Formats translated messages written with the ICU message syntax:
+ * - `{name}` inserts a value
+ * - `{count, plural, =0 {no items} one {# item} other {# items}}` picks a plural form, `#` being the number
+ * - `{rank, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}` picks an ordinal form
+ * - `{gender, select, female {her} male {his} other {their}}` picks a form by value
+ * - `{price, number}`, `{ratio, number, percent}`, `{day, date, long}` and `{day, time}` format values for the locale
+ *
+ * Single quotes escape syntax characters: `'{'` is a literal brace and `''` a single quote.
+ */
+
+const parsedMessages = new Map() // Parsed messages by source, catalogs only contain a limited number of them
+
+/**
+ * Formats a message with values, for a locale.
+ *
+ * @param {string} message - The message, in ICU message syntax
+ * @param {Object} [values] - The values of the message arguments, missing ones are left as `{name}`
+ * @param {string} [locale="en"] - The locale used for plural rules, numbers and dates
+ * @returns {string} The formatted message
+ */
+export function formatMessage(message, values = {}, locale = "en") {
+	let parts = parsedMessages.get(message)
+	if (!parts) {
+		parts = parseMessage(message)
+		parsedMessages.set(message, parts)
+	}
+	return formatParts(parts, values ?? {}, locale, null)
+}
+
+function parseMessage(source) {
+	const state = { source, pos: 0 }
+	const parts = parseParts(state, false)
+	if (state.pos < source.length) throw syntaxError(state, "unexpected }")
+	return parts
+}
+
+// Parses text and arguments until the end of the message or of the enclosing plural or select option
+function parseParts(state, inPlural) {
+	const { source } = state
+	const parts = []
+	let text = ""
+
+	while (state.pos < source.length) {
+		const char = source[state.pos]
+		if (char === "}") break
+
+		if (char === "{") {
+			if (text) parts.push(text)
+			text = ""
+			parts.push(parseArgument(state, inPlural))
+			continue
+		}
+
+		if (char === "#" && inPlural) {
+			if (text) parts.push(text)
+			text = ""
+			parts.push({ type: "pound" })
+			state.pos++
+			continue
+		}
+
+		if (char === "'") {
+			const next = source[state.pos + 1]
+			if (next === "'") {
+				text += "'"
+				state.pos += 2
+				continue
+			}
+			// A quote before a syntax character starts literal text, up to the next quote
+			if (next === "{" || next === "}" || (next === "#" && inPlural)) {
+				const end = source.indexOf("'", state.pos + 1)
+				const stop = end === -1 ? source.length : end
+				text += source.slice(state.pos + 1, stop)
+				state.pos = stop + 1
+				continue
+			}
+		}
+
+		text += char
+		state.pos++
+	}
+
+	if (text) parts.push(text)
+	return parts
+}
+
+function parseArgument(state, inPlural) {
+	state.pos++ // Opening brace
+
+	const name = readWord(state)
+	if (!name) throw syntaxError(state, "expected an argument name")
+	if (consume(state, "}")) return { type: "argument", name }
+	expect(state, ",")
+
+	const type = readWord(state)
+	if (type === "plural" || type === "selectordinal" || type === "select") {
+		expect(state, ",")
+		const node = { type, name, offset: 0, options: {} }
+
+		while (!consume(state, "}")) {
+			const selector = readWord(state)
+			if (!selector) throw syntaxError(state, `expected a ${type} option`)
+			if (selector.startsWith("offset:")) {
+				node.offset = Number(selector.slice(7))
+				continue
+			}
+			expect(state, "{")
+			node.options[selector] = parseParts(state, type === "select" ? inPlural : true)
+			expect(state, "}")
+		}
+
+		if (!node.options.other) throw syntaxError(state, `${type} argument ${name} needs an "other" option`)
+		return node
+	}
+
+	if (type !== "number" && type !== "date" && type !== "time") {
+		throw syntaxError(state, `unknown argument type ${type}`)
+	}
+	let style
+	if (consume(state, ",")) style = readWord(state)
+	expect(state, "}")
+	return { type, name, style }
+}
+
+// Reads a name, type, style or option selector, skipping the whitespace around it
+function readWord(state) {
+	skipWhitespace(state)
+	const start = state.pos
+	while (state.pos < state.source.length && !/[\s{},]/.test(state.source[state.pos])) state.pos++
+	const word = state.source.slice(start, state.pos)
+	skipWhitespace(state)
+	return word
+}
+
+function skipWhitespace(state) {
+	while (state.pos < state.source.length && /\s/.test(state.source[state.pos])) state.pos++
+}
+
+function consume(state, char) {
+	skipWhitespace(state)
+	if (state.source[state.pos] !== char) return false
+	state.pos++
+	return true
+}
+
+function expect(state, char) {
+	if (!consume(state, char)) throw syntaxError(state, `expected ${char}`)
+}
+
+function syntaxError(state, reason) {
+	return new Error(`Invalid message "${state.source}": ${reason} at position ${state.pos}`)
+}
+
+function formatParts(parts, values, locale, plural) {
+	let output = ""
+	for (const part of parts) {
+		if (typeof part === "string") output += part
+		else if (part.type === "pound") output += plural ? formatNumber(plural.value, locale) : "#"
+		else output += formatArgument(part, values, locale, plural)
+	}
+	return output
+}
+
+function formatArgument(part, values, locale, plural) {
+	const value = values[part.name]
+	if (value === undefined && part.type !== "select") return `{${part.name}}`
+
+	switch (part.type) {
+		case "argument":
+			return value === null ? "" : String(value)
+		case "plural":
+		case "selectordinal": {
+			const number = Number(value)
+			const offsetNumber = number - part.offset
+			// Exact matches (e.g. `=0`) take precedence over the plural category of the locale
+			let option = part.options[`=${number}`]
+			if (!option) {
+				const type = part.type === "plural" ? "cardinal" : "ordinal"
+				const category = new Intl.PluralRules(locale, { type }).select(offsetNumber)
+				option = part.options[category] ?? part.options.other
+			}
+			return formatParts(option, values, locale, { value: offsetNumber })
+		}
+		case "select":
+			return formatParts(part.options[String(value)] ?? part.options.other, values, locale, plural)
+		case "number":
+			return formatNumber(value, locale, part.style)
+		case "date":
+			return new Intl.DateTimeFormat(locale, { dateStyle: part.style || "medium" }).format(new Date(value))
+		case "time":
+			return new Intl.DateTimeFormat(locale, { timeStyle: part.style || "short" }).format(new Date(value))
+	}
+}
+
+function formatNumber(value, locale, style) {
+	const options = style === "percent" ? { style: "percent" } : style === "integer" ? { maximumFractionDigits: 0 } : {}
+	return new Intl.NumberFormat(locale, options).format(Number(value))
+}
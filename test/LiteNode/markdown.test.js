@@ -0,0 +1,101 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { cp, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { fileURLToPath } from "node:url"
+import { MarkdownHandler } from "../../core/LiteNode/methods/markdownHandler.js"
+
+const views = fileURLToPath(new URL("../fixtures/views", import.meta.url))
+
+test("parsed files are copies of the cached files", async () => {
+	const handler = new MarkdownHandler(views)
+
+	const file = handler.parseMarkdownFile("posts/first.md")
+	file.frontmatter.title = "Changed"
+	file.frontmatter.tags.push("changed")
+	file.frontmatter.date.setUTCFullYear(2000)
+	const next = handler.parseMarkdownFile("posts/first.md")
+	assert.notEqual(next, file)
+	assert.equal(next.frontmatter.title, "First")
+	assert.deepEqual(next.frontmatter.tags, ["node"])
+	assert.equal(next.frontmatter.date.toISOString(), "2024-05-01T00:00:00.000Z")
+
+	const [first] = await handler.parseMarkdownFileS("posts")
+	first.frontmatter.layout = "x.html"
+	assert.equal((await handler.parseMarkdownFileS("posts"))[0].frontmatter.layout, undefined)
+})
+
+test("collection queries return copies of the indexed files", async () => {
+	const handler = new MarkdownHandler(views)
+	const posts = handler.collection("posts").sort("date", "desc")
+
+	const [latest] = await posts.all()
+	latest.frontmatter.title = "Changed"
+	assert.equal((await posts.first()).frontmatter.title, "Second")
+
+	const index = await handler.collectionIndex("posts")
+	index[0].frontmatter.draft = true
+	assert.equal(await handler.collection("posts").excludeDrafts().count(), 2)
+})
+
+test("collection indexes follow file changes without the watcher", async (t) => {
+	const dir = await mkdtemp(join(tmpdir(), "litenode-"))
+	t.after(() => rm(dir, { recursive: true, force: true }))
+	await cp(join(views, "posts"), join(dir, "posts"), { recursive: true })
+	const handler = new MarkdownHandler(dir)
+	const posts = handler.collection("posts").sort("date")
+
+	assert.equal((await posts.first()).frontmatter.title, "First")
+	await writeFile(join(dir, "posts/first.md"), "---\ntitle: First, edited\ndate: 2024-05-01\n---\n\nHello")
+	assert.equal((await posts.first()).frontmatter.title, "First, edited")
+
+	await writeFile(join(dir, "posts/third.md"), "---\ntitle: Third\ndate: 2024-04-01\n---\n")
+	assert.equal((await posts.first()).frontmatter.title, "Third")
+	assert.equal(await posts.count(), 3)
+})
+
+test("unwatch drops the collection indexes", async (t) => {
+	const dir = await mkdtemp(join(tmpdir(), "litenode-"))
+	t.after(() => rm(dir, { recursive: true, force: true }))
+	await cp(join(views, "posts"), join(dir, "posts"), { recursive: true })
+	const handler = new MarkdownHandler(dir)
+	if (!handler.watch()) return t.skip("recursive watching is not supported")
+
+	assert.equal(await handler.collection("posts").count(), 2)
+	handler.unwatch()
+	await writeFile(join(dir, "posts/third.md"), "---\ntitle: Third\n---\n")
+	assert.equal(await handler.collection("posts").count(), 3)
+})
+
+test("collection functions receive copies of the indexed files", async () => {
+	const handler = new MarkdownHandler(views)
+	const posts = handler.collection("posts")
+
+	const titles = await posts
+		.where((file) => {
+			file.frontmatter.title = "Changed"
+			return true
+		})
+		.sort((a, b) => {
+			a.frontmatter.tags.push("changed")
+			return b.frontmatter.date - a.frontmatter.date
+		})
+		.extract(["title", "tags"])
+	assert.deepEqual(titles, [
+		{ title: "Second", tags: ["web"] },
+		{ title: "First", tags: ["node"] },
+	])
+})
+
+test("dates sort before date strings that don't parse", async (t) => {
+	const dir = await mkdtemp(join(tmpdir(), "litenode-"))
+	t.after(() => rm(dir, { recursive: true, force: true }))
+	await cp(join(views, "posts"), join(dir, "posts"), { recursive: true })
+	await writeFile(join(dir, "posts/0-soon.md"), "---\ntitle: Soon\ndate: soon\n---\n")
+	const posts = new MarkdownHandler(dir).collection("posts")
+
+	const titles = async (order) => (await posts.sort("date", order).all()).map((file) => file.frontmatter.title)
+	assert.deepEqual(await titles("asc"), ["First", "Second", "Soon"])
+	assert.deepEqual(await titles("desc"), ["Second", "First", "Soon"])
+})
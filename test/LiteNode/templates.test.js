@@ -0,0 +1,14 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { LiteNode } from "../../core/LiteNode/LiteNode.js"
+
+test("filters and globals are checked when registered", () => {
+	const app = new LiteNode("static", "views")
+
+	assert.throws(() => app.addFilter("my-filter", (value) => value), /Invalid filter name: my-filter/)
+	assert.throws(() => app.addFilter("excerpt", "not a function"), /Filter excerpt must be a function/)
+	assert.throws(() => app.addGlobal("site name", "My Site"), /Invalid global name: site name/)
+
+	assert.equal(app.addFilter("excerpt", (value) => value), app)
+	assert.equal(app.addGlobal("siteName", "My Site"), app)
+})
@@ -0,0 +1,24 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { MarkdownProcessor } from "../../core/SMP/MarkdownProcessor.js"
+
+test("block quotes and lists nested too deeply are text", () => {
+	const processor = new MarkdownProcessor()
+
+	const quotes = processor.processContent(`${">".repeat(5000)} deep`)
+	assert.equal(quotes.match(/<blockquote>/g).length, 100)
+	assert.match(quotes, new RegExp(`<p>${"&gt;".repeat(4900)} deep</p>`))
+
+	const lists = processor.processContent(`${"- ".repeat(5000)}deep`)
+	assert.equal(lists.match(/<ul>/g).length, 50)
+})
+
+test("link destinations nest a limited number of parentheses", () => {
+	const processor = new MarkdownProcessor()
+	const link = (levels) => `[a](${"(".repeat(levels)}x${")".repeat(levels)})`
+
+	assert.match(processor.processContent(link(32)), /<a href="\({32}x\){32}">a<\/a>/)
+	assert.doesNotMatch(processor.processContent(link(33)), /<a /)
+	const unclosed = "[a](".repeat(20000)
+	assert.ok(processor.processContent(unclosed) === `<p>${unclosed}</p>\n`)
+})
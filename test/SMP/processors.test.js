@@ -0,0 +1,33 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { MarkdownProcessor } from "../../core/SMP/MarkdownProcessor.js"
+
+test("inline and block patterns may have the global and sticky flags", () => {
+	const processor = new MarkdownProcessor()
+	processor.addProcessor({
+		name: "emoji",
+		stage: "inline",
+		trigger: ":",
+		pattern: /:(\w+):/gy,
+		render: (m) => `<i>${m[1]}</i>`,
+	})
+	processor.addProcessor({
+		name: "note",
+		stage: "block",
+		start: /^:::\s*(\w+)/y,
+		end: /^:::\s*$/g,
+		render: (m, content) => `<div class="${m[1]}">${content}</div>\n`,
+	})
+
+	const markdown = "::: note\nHi :wave:\n:::\n\n:smile: and :wave:"
+	const html = '<div class="note"><p>Hi <i>wave</i></p>\n</div>\n<p><i>smile</i> and <i>wave</i></p>\n'
+	assert.equal(processor.processContent(markdown), html)
+	assert.equal(processor.processContent(markdown), html)
+})
+
+test("inline processors need a pattern", () => {
+	const processor = new MarkdownProcessor()
+	assert.throws(() => processor.addProcessor({ name: "emoji", stage: "inline", trigger: ":", render: () => "" }), {
+		message: 'Markdown processor "emoji" (inline) requires a "pattern" RegExp',
+	})
+})
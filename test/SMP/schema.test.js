@@ -0,0 +1,136 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { join, sep } from "node:path"
+import { fileURLToPath } from "node:url"
+import { FrontmatterError } from "../../core/SMP/FrontmatterError.js"
+import { FrontmatterSchema } from "../../core/SMP/FrontmatterSchema.js"
+import { MarkdownProcessor } from "../../core/SMP/MarkdownProcessor.js"
+
+const views = fileURLToPath(new URL("../fixtures/views", import.meta.url))
+
+const posts = new FrontmatterSchema(
+	{
+		title: "string",
+		subtitle: "string?",
+		date: "date",
+		draft: { type: "boolean", default: false },
+		status: { type: "string", enum: ["draft", "published"], default: "published" },
+		tags: { type: "array", items: "string", default: [] },
+		author: {
+			type: "object",
+			properties: {
+				name: "string",
+				email: {
+					type: "string",
+					validate: (value) => (value.includes("@") ? null : "expected an email address"),
+				},
+			},
+		},
+		rating: "integer?",
+	},
+	{ strict: true }
+)
+
+test("valid frontmatter gets its defaults and its date strings as dates", () => {
+	const frontmatter = { title: "Hi", date: "2024-05-01", author: { name: "Ann", email: "ann@example.com" } }
+	const { data, errors } = posts.validate(frontmatter)
+
+	assert.deepEqual(errors, [])
+	assert.deepEqual(data, {
+		title: "Hi",
+		date: new Date("2024-05-01T00:00:00Z"),
+		author: { name: "Ann", email: "ann@example.com" },
+		draft: false,
+		status: "published",
+		tags: [],
+	})
+	assert.equal(frontmatter.date, "2024-05-01")
+	data.tags.push("changed")
+	assert.deepEqual(posts.validate(frontmatter).data.tags, [])
+})
+
+test("every problem is reported with its dotted key", () => {
+	const { errors } = posts.validate({
+		date: 5,
+		tags: ["a", 2],
+		status: "old",
+		author: { email: "nope" },
+		rating: 1.5,
+		subtitle: null,
+		extra: 1,
+	})
+	assert.deepEqual(errors, [
+		{ key: "title", message: "required field is missing" },
+		{ key: "date", message: "expected a date, got the number 5" },
+		{ key: "status", message: 'expected one of "draft", "published", got the string "old"' },
+		{ key: "tags.1", message: "expected a string, got the number 2" },
+		{ key: "author.name", message: "required field is missing" },
+		{ key: "author.email", message: "expected an email address" },
+		{ key: "rating", message: "expected an integer, got the number 1.5" },
+		{ key: "extra", message: "unknown key" },
+	])
+})
+
+test("invalid schemas are rejected when defined", () => {
+	const invalid = (fields) => () => new FrontmatterSchema(fields)
+
+	assert.throws(invalid("string"), /^Error: Invalid frontmatter schema: expected an object of fields$/)
+	assert.throws(invalid({ a: "strnig" }), /for a: unknown type "strnig", expected one of: string, number, /)
+	assert.throws(invalid({ a: { type: "array", items: "nope" } }), /for a\.items: unknown type "nope"/)
+	assert.throws(invalid({ a: { type: "string", items: "string" } }), /for a: items need the array type/)
+	assert.throws(invalid({ a: { type: "string", enum: "a" } }), /for a: enum must be an array/)
+	assert.throws(
+		invalid({ a: { type: "string", default: 3 } }),
+		/for a: invalid default, expected a string, got the number 3/
+	)
+})
+
+test("files that don't match their schema fail with the line of each problem", () => {
+	const processor = new MarkdownProcessor(views)
+	const schema = new FrontmatterSchema({
+		title: "string",
+		tags: { type: "array", items: "number" },
+		summary: "string",
+	})
+
+	assert.throws(
+		() => processor.processFile("posts/first.md", { schema }),
+		(error) => {
+			assert.ok(error instanceof FrontmatterError)
+			const file = join(views, "posts/first.md").split(sep).join("/")
+			assert.deepEqual(error.errors, [
+				{ file, line: 4, key: "tags.0", message: 'expected a number, got the string "node"' },
+				{ file, line: 1, key: "summary", message: "required field is missing" },
+			])
+			assert.match(
+				error.message,
+				/^Invalid frontmatter \(2 errors in 1 file\):\n {2}.*first\.md:4 tags\.0: expected/
+			)
+			return true
+		}
+	)
+})
+
+test("defaults that can't be copied are rejected with the schema", () => {
+	assert.throws(
+		() => new FrontmatterSchema({ slugify: { type: "any", default: (title) => title.toLowerCase() } }),
+		/Invalid frontmatter schema for slugify: invalid default, functions and other values that can't be copied/
+	)
+	const schema = new FrontmatterSchema({ meta: { type: "any", default: { tags: [] } } })
+	assert.deepEqual(schema.validate({}).data, { meta: { tags: [] } })
+})
+
+test("dates that don't exist are rejected instead of rolled over", () => {
+	const schema = new FrontmatterSchema({ date: "date" })
+	assert.deepEqual(schema.validate({ date: "2024-02-31" }).errors, [
+		{ key: "date", message: 'expected a date, got the string "2024-02-31"' },
+	])
+	assert.deepEqual(schema.validate({ date: "2024-02-29T24:30:00Z" }).errors, [
+		{ key: "date", message: 'expected a date, got the string "2024-02-29T24:30:00Z"' },
+	])
+	assert.equal(schema.validate({ date: "2024-02-29" }).data.date.toISOString(), "2024-02-29T00:00:00.000Z")
+
+	const { frontmatter } = new MarkdownProcessor().splitContent("---\nday: 2023-02-29\nleap: 2024-02-29\n---\n")
+	assert.equal(frontmatter.day, "2023-02-29")
+	assert.equal(frontmatter.leap.toISOString(), "2024-02-29T00:00:00.000Z")
+})
@@ -0,0 +1,85 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { TomlParser } from "../../core/SMP/TomlParser.js"
+
+test("tables, arrays of tables and dotted keys build nested objects", () => {
+	const source = [
+		'title = "Hello"',
+		'site.name = "Blog"',
+		"",
+		"[params]",
+		'author = { name = "Ann", links = ["a", "b"] }',
+		"",
+		"[[menu]]",
+		'name = "Home"',
+		"[[menu]]",
+		'name = "About"',
+		"weight = 2",
+	].join("\n")
+	const keyLines = new Map()
+
+	assert.deepEqual(TomlParser.parse(source, { keyLines }), {
+		title: "Hello",
+		site: { name: "Blog" },
+		params: { author: { name: "Ann", links: ["a", "b"] } },
+		menu: [{ name: "Home" }, { name: "About", weight: 2 }],
+	})
+	assert.equal(keyLines.get("params.author"), 5)
+	assert.equal(keyLines.get("menu.1.weight"), 11)
+})
+
+test("strings, numbers and booleans follow TOML 1.0", () => {
+	const source = [
+		'basic = "tab\\there \\u00e9"',
+		"literal = 'C:\\path'",
+		'multiline = """\nfirst \\\n  second"""',
+		"hex = 0xff",
+		"binary = 0b101",
+		"big = 1_000",
+		"float = -2.5e3",
+		"infinite = -inf",
+		"yes = true",
+		"list = [\n  1,\n  2, # comment\n]",
+	].join("\n")
+
+	assert.deepEqual(TomlParser.parse(source), {
+		basic: "tab\there é",
+		literal: "C:\\path",
+		multiline: "first second",
+		hex: 255,
+		binary: 5,
+		big: 1000,
+		float: -2500,
+		infinite: -Infinity,
+		yes: true,
+		list: [1, 2],
+	})
+})
+
+test("dates are parsed in UTC without offset, local times are kept as strings", () => {
+	const data = TomlParser.parse(
+		"day = 2024-05-01\nlocal = 2024-05-01T10:30:00\noffset = 2024-05-01T10:30:00+02:00\ntime = 07:30:00"
+	)
+	assert.equal(data.day.toISOString(), "2024-05-01T00:00:00.000Z")
+	assert.equal(data.local.toISOString(), "2024-05-01T10:30:00.000Z")
+	assert.equal(data.offset.toISOString(), "2024-05-01T08:30:00.000Z")
+	assert.equal(data.time, "07:30:00")
+
+	assert.throws(() => TomlParser.parse("day = 2024-02-31"), /Line 1: Invalid date: 2024-02-31/)
+	assert.throws(() => TomlParser.parse("at = 2024-05-01T24:00:00"), /Invalid date/)
+})
+
+test("errors report their line", () => {
+	const failure = (source) => {
+		try {
+			TomlParser.parse(source)
+		} catch (error) {
+			return { line: error.line, message: error.message }
+		}
+	}
+
+	assert.deepEqual(failure('title = "a"\ntitle = "b"'), { line: 2, message: "Line 2: Duplicate key: title" })
+	assert.deepEqual(failure("[params]\n[params]"), { line: 2, message: "Line 2: Table [params] is already defined" })
+	assert.deepEqual(failure('\n\nname = "Ann'), { line: 3, message: "Line 3: Unterminated string" })
+	assert.deepEqual(failure("count = 12 apples"), { line: 1, message: "Line 1: Unexpected content after the value" })
+})
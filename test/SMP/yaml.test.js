@@ -0,0 +1,76 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { FrontmatterParser } from "../../core/SMP/FrontmatterParser.js"
+
+const parse = (source, options) => FrontmatterParser.parse(source.split("\n"), "yaml", options)
+
+test("plain values are resolved with the core schema, and timestamps as dates", () => {
+	const data = parse("title: Hugo: a guide\ncount: 0x1F\nratio: .5\nempty:\nyes: True\nno: 'false'\nday: 2024-05-01")
+	assert.deepEqual(data, {
+		title: "Hugo: a guide",
+		count: 31,
+		ratio: 0.5,
+		empty: null,
+		yes: true,
+		no: "false",
+		day: new Date("2024-05-01T00:00:00Z"),
+	})
+	assert.deepEqual(parse("s: !!str 12\ni: !!int '7'\nq: \"tab\\there \\u00e9\""), { s: "12", i: 7, q: "tab\there é" })
+	assert.deepEqual(parse("title: a # comment\n# full line\nmulti: first\n  second line"), {
+		title: "a",
+		multi: "first second line",
+	})
+})
+
+test("block and flow collections nest", () => {
+	assert.deepEqual(parse("links:\n  - name: Docs\n    url: /docs\n  - name: Blog\n    url: /blog"), {
+		links: [
+			{ name: "Docs", url: "/docs" },
+			{ name: "Blog", url: "/blog" },
+		],
+	})
+	assert.deepEqual(parse("tags: [a, 'b c', {x: 1}]\nmeta: { a: [1,\n  2], b: null }"), {
+		tags: ["a", "b c", { x: 1 }],
+		meta: { a: [1, 2], b: null },
+	})
+	assert.deepEqual(parse("? explicit\n: value"), { explicit: "value" })
+})
+
+test("block values keep or fold their lines following their chomping indicator", () => {
+	const data = parse("literal: |\n  line 1\n  line 2\nfolded: >-\n  one\n  two\n\n  three\nkeep: |+\n  x\n\nnext: 1")
+	assert.deepEqual(data, { literal: "line 1\nline 2\n", folded: "one two\nthree", keep: "x\n\n", next: 1 })
+})
+
+test("anchors, aliases and merge keys reuse values", () => {
+	assert.deepEqual(parse("base: &base\n  a: 1\n  b: 2\nchild:\n  <<: *base\n  b: 3\nalias: *base"), {
+		base: { a: 1, b: 2 },
+		child: { a: 1, b: 3 },
+		alias: { a: 1, b: 2 },
+	})
+})
+
+test("key lines are recorded and errors report the line in the file", () => {
+	const keyLines = new Map()
+	parse("title: Hello\nauthor:\n  name: Ann\ntags:\n  - a\n  - b", { firstLine: 2, keyLines })
+	assert.deepEqual(Object.fromEntries(keyLines), {
+		title: 2,
+		author: 3,
+		"author.name": 4,
+		tags: 5,
+		"tags.0": 6,
+		"tags.1": 7,
+	})
+
+	const failure = (source) => {
+		try {
+			parse(source, { firstLine: 2 })
+		} catch (error) {
+			return { line: error.line, reason: error.reason }
+		}
+	}
+	assert.deepEqual(failure("a: 1\na: 2"), { line: 3, reason: "Duplicate key: a" })
+	assert.deepEqual(failure("a: [1, 2"), { line: 2, reason: "Unterminated flow collection, expected ]" })
+	assert.deepEqual(failure("a: *missing"), { line: 2, reason: "Unknown alias: *missing" })
+	assert.deepEqual(failure("a:\n  b: 1\n c: 2"), { line: 4, reason: "Bad indentation of a mapping entry" })
+	assert.deepEqual(failure("- 1\n- 2"), { line: 2, reason: "Frontmatter must be a mapping of keys to values" })
+})
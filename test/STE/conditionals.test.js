@@ -0,0 +1,18 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { STE } from "../../core/STE/ste.js"
+import { SafeString } from "../../core/STE/evaluator/utils/SafeString.js"
+
+test("a safe string is truthy only when it isn't empty", async () => {
+	const ste = new STE("views")
+	const data = { empty: new SafeString(""), html: new SafeString("<b>x</b>") }
+
+	assert.equal(await ste.renderString("{{#if empty}}yes{{#else}}no{{/if}}", data), "no")
+	assert.equal(await ste.renderString("{{#if html}}yes{{#else}}no{{/if}}", data), "yes")
+	assert.equal(await ste.renderString("{{#not empty}}none{{/not}}", data), "none")
+	assert.equal(await ste.renderString("{{#if x}}a{{#elseif html}}b{{/if}}", data), "b")
+	assert.equal(await ste.renderString("{{#if title | safe}}yes{{#else}}no{{/if}}", { title: "" }), "no")
+	const source = '{{ empty ? "yes" : "no" }}|{{ !empty }}|{{ empty || "fallback" }}'
+	assert.equal(await ste.renderString(source, data), "no|true|fallback")
+	assert.equal(await ste.renderString('{{ empty | defaults("fallback") }}', data), "fallback")
+})
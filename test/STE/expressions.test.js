@@ -0,0 +1,16 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { STE } from "../../core/STE/ste.js"
+
+test("a ternary may be followed by a number starting with a dot", async () => {
+	const ste = new STE("views")
+	assert.equal(await ste.renderString("{{ a?.5:1 }}|{{ b?.5:1 }}", { a: true, b: false }), "0.5|1")
+	assert.equal(await ste.renderString("{{ user?.name }}|{{ (n).toFixed(1) }}", { n: 2 }), "|2.0")
+})
+
+test("members of literals can be accessed and called", async () => {
+	const ste = new STE("views")
+	assert.equal(await ste.renderString('{{ "x".repeat(2) }}|{{ "abc".length }}', {}), "xx|3")
+	assert.equal(await ste.renderString("{{ [1, 2, 3].length }}|{{ {a: 1}.a }}|{{ 2.5.toFixed(0) }}", {}), "3|1|3")
+	assert.equal(await ste.renderString('{{#set label = "new".toUpperCase()}}{{ label }}', {}), "NEW")
+})
@@ -0,0 +1,25 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { fileURLToPath } from "node:url"
+import { STE } from "../../core/STE/ste.js"
+
+const views = fileURLToPath(new URL("../fixtures/views", import.meta.url))
+
+test("a block nested in a conditional can be overridden", async () => {
+	const ste = new STE(views)
+	assert.equal(await ste.render("pages/sidebar.html", { sidebar: true }), "<main>Post</main>\n<aside>Links</aside>\n")
+	assert.equal(await ste.render("pages/sidebar.html", { sidebar: false }), "<main>Post</main>\n\n")
+	assert.equal(await ste.render("layouts/sidebar.html", { sidebar: true }), "<main></main>\n<aside>Default</aside>\n")
+})
+
+test("a block nested in a loop is overridden for each item", async () => {
+	const ste = new STE(views)
+	assert.equal(await ste.render("pages/list.html", { items: [1, 2] }), "<ul><li>Item 1</li><li>Item 2</li></ul>\n")
+})
+
+test("macros can be defined in conditionals and blocks", async () => {
+	const ste = new STE(views)
+	const conditional = "{{#if show}}{{#macro tag(x)}}[{{x}}]{{/macro}}{{/if}}"
+	const block = '{{#block "a"}}{{#macro b()}}b{{/macro}}{{b()}}{{/block}}'
+	assert.equal(await ste.renderString(`${conditional}${block}{{tag(1)}}`, { show: true }), "b[1]")
+})
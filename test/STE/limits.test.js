@@ -0,0 +1,22 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { STE } from "../../core/STE/ste.js"
+import { TemplateError } from "../../core/STE/TemplateError.js"
+
+test("recursive macros fail at the call depth limit", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const ste = new STE("views")
+	await assert.rejects(ste.renderString("{{#macro m()}}{{m()}}{{/macro}}{{m()}}", {}), (error) => {
+		assert.ok(error instanceof TemplateError)
+		assert.match(error.message, /Macro call depth limit exceeded \(maxCallDepth: 100\)/)
+		return true
+	})
+})
+
+test("macros may recurse up to the call depth limit", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const ste = new STE("views", { limits: { maxCallDepth: 3 } })
+	const source = "{{#macro m(n)}}{{#if n}}{{m(n - 1)}}{{/if}}x{{/macro}}"
+	assert.equal(await ste.renderString(`${source}{{m(2)}}`, {}), "xxx")
+	await assert.rejects(ste.renderString(`${source}{{m(3)}}`, {}), /maxCallDepth: 3/)
+})
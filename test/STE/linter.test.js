@@ -0,0 +1,182 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { dirname, join } from "node:path"
+import { STE } from "../../core/STE/ste.js"
+import { TemplateLinter } from "../../core/STE/TemplateLinter.js"
+
+test("unmatched closing tags are ignored when rendering and reported by the linter", async (t) => {
+	const views = await mkdtemp(join(tmpdir(), "litenode-lint-"))
+	t.after(() => rm(views, { recursive: true, force: true }))
+	await writeFile(join(views, "page.html"), "<p>{{title}}</p>{{/if}}\n{{#each items}}{{this}}{{/each}}{{/each}}")
+
+	const ste = new STE(views)
+	assert.equal(await ste.render("page.html", { title: "Hi", items: [1, 2] }), "<p>Hi</p>\n12")
+
+	const diagnostics = await TemplateLinter.lint(views)
+	assert.deepEqual(
+		diagnostics.map(({ line, column, severity, rule, message }) => ({ line, column, severity, rule, message })),
+		[
+			{
+				line: 1,
+				column: 19,
+				severity: "error",
+				rule: "unmatched-closing-tag",
+				message: "Unexpected {{/if}} without a matching {{#if}}",
+			},
+			{
+				line: 2,
+				column: 35,
+				severity: "error",
+				rule: "unmatched-closing-tag",
+				message: "Unexpected {{/each}} without a matching {{#each}}",
+			},
+		]
+	)
+})
+
+test("html_ variables are reported when no template sets them", async (t) => {
+	const views = await mkdtemp(join(tmpdir(), "litenode-lint-"))
+	t.after(() => rm(views, { recursive: true, force: true }))
+	await writeFile(join(views, "layout.html"), "<main>{{html_body}}</main>\n<aside>{{#html_aside}}</aside>{{html_footer}}")
+	await writeFile(join(views, "page.html"), '{{#set html_body = "<p>Hi</p>"}}{{#include("layout.html")}}')
+
+	const diagnostics = await TemplateLinter.lint(views, { variables: ["html_footer"] })
+	assert.deepEqual(
+		diagnostics.map(({ template, line, column, rule, message }) => ({ template, line, column, rule, message })),
+		[
+			{
+				template: "layout.html",
+				line: 2,
+				column: 10,
+				rule: "undefined-html",
+				message: "Undefined HTML variable: html_aside",
+			},
+		]
+	)
+
+	await writeFile(join(views, "page.html"), '{{#include("layout.html")}}')
+	const [diagnostic] = await TemplateLinter.lint(views, { variables: ["html_aside", "html_footer"] })
+	assert.deepEqual(
+		{ line: diagnostic.line, column: diagnostic.column, message: diagnostic.message },
+		{ line: 1, column: 9, message: "Undefined HTML variable: html_body" }
+	)
+})
+
+// Lints a views directory made of the given templates, by path
+async function lintViews(t, templates, options) {
+	const views = await mkdtemp(join(tmpdir(), "litenode-lint-"))
+	t.after(() => rm(views, { recursive: true, force: true }))
+	for (const [name, content] of Object.entries(templates)) {
+		await mkdir(dirname(join(views, name)), { recursive: true })
+		await writeFile(join(views, name), content)
+	}
+	return await TemplateLinter.lint(views, options)
+}
+
+test("templates that can't be parsed are reported as syntax errors", async (t) => {
+	const diagnostics = await lintViews(t, { "page.html": "{{#if open}}<p>{{title}}</p>", "ok.html": "{{title}}" })
+	assert.deepEqual(diagnostics, [
+		{
+			template: "page.html",
+			line: 1,
+			column: 29,
+			severity: "error",
+			rule: "syntax",
+			message: "Unterminated conditional statement",
+		},
+	])
+})
+
+test("filters must be built in or given in the options", async (t) => {
+	const templates = { "page.html": "{{title | upper}}\n{{title | shout | truncate(3)}}" }
+	assert.deepEqual(
+		(await lintViews(t, templates)).map(({ line, column, rule, message }) => ({ line, column, rule, message })),
+		[
+			{ line: 1, column: 11, rule: "unknown-filter", message: "Unknown filter: upper" },
+			{ line: 2, column: 11, rule: "unknown-filter", message: "Unknown filter: shout" },
+		]
+	)
+	assert.deepEqual(await lintViews(t, templates, { filters: ["upper", "shout"] }), [])
+})
+
+test("included, extended and imported templates must exist", async (t) => {
+	const diagnostics = await lintViews(t, {
+		"pages/index.html":
+			'{{#include("partials/nav.html")}}{{#include("./footer.html")}}\n{{#extends("missing.html")}}',
+		"pages/footer.html": "<footer></footer>",
+		"partials/nav.html": '{{#import("./icons.html")}}',
+		"theme/pages/index.html": '{{#include("partials/nav.html")}}',
+		"theme/partials/nav.html": "<nav></nav>",
+	})
+	assert.deepEqual(
+		diagnostics.map(({ template, line, rule, message }) => ({ template, line, rule, message })),
+		[
+			{
+				template: "pages/index.html",
+				line: 2,
+				rule: "missing-include",
+				message: "Template not found: missing.html",
+			},
+			{
+				template: "partials/nav.html",
+				line: 1,
+				rule: "missing-include",
+				message: "Template not found: ./icons.html",
+			},
+		]
+	)
+})
+
+test("variables set but used by no template are reported", async (t) => {
+	const diagnostics = await lintViews(t, {
+		"page.html": '{{#set unused = 1}}{{#set count = 2}}{{#set page = {}}}{{#set page.title = "Home"}}',
+		"layout.html": "{{count}}",
+	})
+	assert.deepEqual(diagnostics, [
+		{
+			template: "page.html",
+			line: 1,
+			column: 3,
+			severity: "warning",
+			rule: "unused-set",
+			message: "Unused variable: unused",
+		},
+	])
+})
+
+test("only templates with the given extensions are linted", async (t) => {
+	const templates = { "page.html": "{{title | upper}}", "notes.txt": "{{#if" }
+	assert.deepEqual(
+		(await lintViews(t, templates)).map(({ template }) => template),
+		["notes.txt", "page.html"]
+	)
+	assert.deepEqual(
+		(await lintViews(t, templates, { extensions: [".html"] })).map(({ template }) => template),
+		["page.html"]
+	)
+})
+
+test("diagnostics are formatted one per line with a summary", () => {
+	const diagnostics = [
+		{
+			template: "page.html",
+			line: 2,
+			column: 5,
+			severity: "error",
+			rule: "unknown-filter",
+			message: "Unknown filter: shout",
+		},
+		{ template: "layout.html", severity: "warning", rule: "unused-set", message: "Unused variable: count" },
+	]
+	assert.equal(
+		TemplateLinter.format(diagnostics),
+		[
+			"page.html:2:5  error  Unknown filter: shout  (unknown-filter)",
+			"layout.html  warning  Unused variable: count  (unused-set)",
+			"1 error(s), 1 warning(s)",
+		].join("\n")
+	)
+	assert.equal(TemplateLinter.format([]), "0 error(s), 0 warning(s)")
+})
@@ -0,0 +1,30 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { fileURLToPath } from "node:url"
+import { STE } from "../../core/STE/ste.js"
+
+const views = fileURLToPath(new URL("../fixtures/views", import.meta.url))
+
+test("imported macros can call the macros imported by their own file", async () => {
+	// pages/cards.html imports macros/cards.html, which imports macros/icons.html and macros/buttons.html,
+	// which imports macros/icons.html itself
+	const ste = new STE(views)
+	assert.equal(await ste.render("pages/cards.html", {}), "\n<div>★ Post <button>★ Open</button></div>\n")
+})
+
+test("circular imports fail", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const ste = new STE(views)
+	await assert.rejects(ste.render("pages/loop.html", {}), {
+		message: /Circular import: macros\/loop-a\.html > macros\/loop-b\.html > macros\/loop-a\.html/,
+	})
+})
+
+test("this refers to the context of the macro caller", async () => {
+	const ste = new STE(views)
+	const data = { items: ["a", "b"], people: [{ name: "Ann" }] }
+	const macro = "{{#macro item(x)}}[{{this}}|{{x}}]{{/macro}}{{#macro person()}}{{this.name}}{{/macro}}"
+	assert.equal(await ste.renderString(`${macro}{{#each items}}{{item(@index)}}{{/each}}`, data), "[a|0][b|1]")
+	assert.equal(await ste.renderString(`${macro}{{#each people}}{{person()}}{{/each}}`, data), "Ann")
+	assert.equal(await ste.renderString(`${macro}{{item(1)}}`, data), "[[object Object]|1]")
+})
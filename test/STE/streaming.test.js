@@ -0,0 +1,124 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { createServer } from "node:http"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { STE } from "../../core/STE/ste.js"
+import { extendResponse } from "../../core/LiteNode/methods/extendResponse.js"
+
+async function views(t) {
+	const dir = await mkdtemp(join(tmpdir(), "litenode-stream-"))
+	t.after(() => rm(dir, { recursive: true, force: true }))
+	await writeFile(join(dir, "layout.html"), '<html>{{#block "body"}}{{/block}}</html>\n{{#include("footer.html")}}')
+	await writeFile(join(dir, "footer.html"), "<footer>{{year}}</footer>")
+	await writeFile(join(dir, "page.html"), '{{#extends("layout.html")}}{{#block "body"}}<p>{{title}}</p>{{/block}}')
+	await writeFile(join(dir, "broken.html"), "<h1>{{title}}</h1>{{fail()}}")
+	return dir
+}
+
+// Renders a template with res.render in a server, and returns the response
+async function serve(t, dir, template, data, templateOptions = {}) {
+	const server = createServer((req, res) => {
+		extendResponse(res, dir, templateOptions)
+		res.render(template, data, { stream: true })
+	})
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	t.after(() => new Promise((resolve) => server.close(resolve)))
+	return await fetch(`http://127.0.0.1:${server.address().port}/`)
+}
+
+test("a template is written chunk by chunk, in order and as rendered", async (t) => {
+	const dir = await views(t)
+	const ste = new STE(dir)
+	const data = { title: "Hi", year: 2024 }
+
+	const chunks = []
+	await ste.stream("page.html", data, (chunk) => {
+		chunks.push(chunk)
+	})
+	assert.deepEqual(chunks, ["<html>", "<p>Hi</p>", "</html>\n", "<footer>2024</footer>"])
+	assert.equal(chunks.join(""), await ste.render("page.html", data))
+})
+
+test("streaming waits for the promises returned by write", async (t) => {
+	const dir = await views(t)
+	const events = []
+	await new STE(dir).stream("footer.html", { year: 2024 }, async (chunk) => {
+		events.push(`start ${chunk}`)
+		await new Promise((resolve) => setTimeout(resolve, 5))
+		events.push(`end ${chunk}`)
+	})
+	assert.deepEqual(events, [
+		"start <footer>",
+		"end <footer>",
+		"start 2024",
+		"end 2024",
+		"start </footer>",
+		"end </footer>",
+	])
+})
+
+test("html_ variables are restored in streamed chunks", async (t) => {
+	const dir = await views(t)
+	await writeFile(join(dir, "raw.html"), '{{#set html_x = "<b>x</b>"}}{{html_x}}')
+	const chunks = []
+	await new STE(dir).stream("raw.html", {}, (chunk) => {
+		chunks.push(chunk)
+	})
+	assert.deepEqual(chunks, ["<b>x</b>"])
+})
+
+test("the chunks written before an error are kept", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const dir = await views(t)
+	const chunks = []
+	const fail = () => {
+		throw new Error("Database unavailable")
+	}
+	await assert.rejects(
+		new STE(dir).stream("broken.html", { title: "T", fail }, (chunk) => {
+			chunks.push(chunk)
+		}),
+		/Database unavailable/
+	)
+	assert.deepEqual(chunks, ["<h1>", "T", "</h1>"])
+})
+
+test("res.render streams the template with the content type of its extension", async (t) => {
+	const dir = await views(t)
+	const response = await serve(t, dir, "page.html", { title: "Hi", year: 2024 })
+	assert.equal(response.status, 200)
+	assert.equal(response.headers.get("content-type"), "text/html")
+	assert.equal(await response.text(), "<html><p>Hi</p></html>\n<footer>2024</footer>")
+})
+
+test("errors after the first chunk are appended in development and abort the response in production", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const dir = await views(t)
+	const fail = () => {
+		throw new Error("Database <unavailable>")
+	}
+
+	const development = await serve(t, dir, "broken.html", { title: "T", fail }, { production: false })
+	assert.equal(development.status, 200)
+	const text = await development.text()
+	assert.ok(text.startsWith("<h1>T</h1>\n<pre"))
+	assert.match(text, /Database &lt;unavailable&gt;/)
+
+	const production = await serve(t, dir, "broken.html", { title: "T", fail }, { production: true })
+	assert.equal(production.status, 200)
+	await assert.rejects(production.text())
+})
+
+test("errors before the first chunk are sent as a failed render", async (t) => {
+	t.mock.method(console, "error", () => {})
+	const dir = await views(t)
+	await writeFile(join(dir, "early.html"), "{{fail()}}<p>never sent</p>")
+	const fail = () => {
+		throw new Error("Database unavailable")
+	}
+	const response = await serve(t, dir, "early.html", { fail }, { production: true })
+	assert.equal(response.status, 500)
+	assert.match(await response.text(), /Error rendering template: .*Database unavailable/)
+})
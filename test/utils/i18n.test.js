@@ -0,0 +1,90 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { I18n, parseProperties } from "../../core/utils/i18n.js"
+import { formatMessage } from "../../core/utils/messageFormat.js"
+
+test("plural, ordinal and select arguments pick their form for the locale", () => {
+	const items = "{count, plural, =0 {no items} one {# item} other {# items}}"
+	assert.equal(formatMessage(items, { count: 0 }), "no items")
+	assert.equal(formatMessage(items, { count: 1 }), "1 item")
+	assert.equal(formatMessage(items, { count: 1234 }), "1,234 items")
+	assert.equal(formatMessage("{n, plural, one {# article} other {# articles}}", { n: 1.5 }, "fr"), "1,5 article")
+	assert.equal(
+		formatMessage("{n, plural, offset:1 =0 {none} one {you and one other} other {you and # others}}", { n: 3 }),
+		"you and 2 others"
+	)
+
+	const ordinal = "{rank, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}"
+	assert.equal(formatMessage(ordinal, { rank: 22 }), "22nd")
+	assert.equal(formatMessage(ordinal, { rank: 13 }), "13th")
+	assert.equal(formatMessage("{g, select, female {her} male {his} other {their}}", { g: "x" }), "their")
+})
+
+test("values are inserted and formatted, quotes escape syntax characters", () => {
+	const day = new Date("2024-05-01T12:00:00Z")
+	assert.equal(formatMessage("Hi {name}, {missing}", { name: "Ann" }), "Hi Ann, {missing}")
+	assert.equal(formatMessage("{ratio, number, percent}", { ratio: 0.25 }), "25%")
+	assert.equal(formatMessage("{n, number}", { n: 1234.5 }, "fr"), new Intl.NumberFormat("fr").format(1234.5))
+	assert.equal(
+		formatMessage("{day, date, long}", { day }, "fr"),
+		new Intl.DateTimeFormat("fr", { dateStyle: "long" }).format(day)
+	)
+	assert.equal(formatMessage("It''s '{'literal'}'"), "It's {literal}")
+
+	assert.throws(
+		() => formatMessage("{a, plural, other {x}"),
+		/Invalid message .*: expected a plural option at position 21/
+	)
+	assert.throws(() => formatMessage("{a, foo}"), /unknown argument type foo at position 7/)
+	assert.throws(() => formatMessage("a } b"), /unexpected } at position 2/)
+})
+
+test("messages fall back to the language, then to the default locale, then to the key", () => {
+	const i18n = new I18n({ defaultLocale: "en" })
+		.addMessages("en", { nav: { home: "Home", about: "About" } })
+		.addMessages("fr", { nav: { home: "Accueil" } })
+
+	assert.equal(i18n.t("nav.home", {}, "fr-CA"), "Accueil")
+	assert.equal(i18n.t("nav.about", {}, "fr"), "About")
+	assert.equal(i18n.t("missing.key", {}, "fr"), "missing.key")
+})
+
+test("catalogs are loaded from JSON and properties files", async (t) => {
+	const directory = await mkdtemp(join(tmpdir(), "litenode-i18n-"))
+	t.after(() => rm(directory, { recursive: true, force: true }))
+	await writeFile(join(directory, "en.json"), JSON.stringify({ nav: { home: "Home" } }))
+	await writeFile(
+		join(directory, "fr.properties"),
+		"# Navigation\nnav.home = Accueil\ngreeting: Bonjour \\\n  {name}"
+	)
+	await writeFile(join(directory, "notes.txt"), "ignored")
+
+	const i18n = await new I18n({ directory }).load()
+	assert.deepEqual(i18n.locales, ["en", "fr"])
+	assert.equal(i18n.t("greeting", { name: "Ann" }, "fr"), "Bonjour Ann")
+	assert.deepEqual(parseProperties("esc=\\u00e9\\tx\n! comment"), { esc: "é\tx" })
+})
+
+test("the middleware detects the locale from the prefix, the cookie or the Accept-Language header", () => {
+	const i18n = new I18n({ prefix: true }).addMessages("en", { hi: "Hi" }).addMessages("fr", { hi: "Salut" })
+	i18n.locales = ["en", "fr", "pt-BR"]
+	const detect = (url, headers = {}) => {
+		const req = { url, headers }
+		const res = { setHeader: (name, value) => (res[name] = value) }
+		i18n.middleware()(req, res)
+		return { url: req.url, locale: req.locale, hi: req.t("hi"), language: res["Content-Language"] }
+	}
+
+	assert.deepEqual(detect("/fr/about?x=1"), { url: "/about?x=1", locale: "fr", hi: "Salut", language: "fr" })
+	assert.deepEqual(detect("/about", { cookie: "locale=fr" }).locale, "fr")
+	assert.deepEqual(detect("/about", { "accept-language": "de, pt;q=0.9, en;q=0.8" }).locale, "pt-BR")
+	assert.deepEqual(detect("/de/about", { "accept-language": "*" }), {
+		url: "/de/about",
+		locale: "en",
+		hi: "Hi",
+		language: "en",
+	})
+})
@@ -46,14 +46,20 @@ declare module "litenode" {
 
         /**
          * Renders a template with the provided data and sends it as the response.
+         * A markdown file (`.md`) is rendered through the layout named by its `layout` frontmatter key,
+         * or the `markdownLayout` template option, which receives `frontmatter`, `html_content`, `html_toc`
+         * and `file` besides the data.
          *
          * @param template - The path to the template file.
          * @param data - The data to pass to the template.
+         * @param options - Render options, `stream` sends the page chunk by chunk as it is rendered.
          * @example
          * res.render("template.html", { title: "Hello, World!" });
+         * res.render("archive.html", { posts }, { stream: true });
+         * res.render("pages/about.md");
          * @see {@link https://litenode.pages.dev/docs/rendering-templates/#render|Render Documentation}
          */
-        render(template: string, data: object): Promise<void>
+        render(template: string, data?: object, options?: { stream?: boolean }): Promise<void>
 
         /**
          * Sets the HTTP status code for the response.
@@ -140,6 +146,9 @@ declare module "litenode" {
                 domain?: string
             }
         ): this
+
+        /** The locale detected by the i18n middleware, available to `res.render` templates as `locale`. */
+        locale?: string
     }
 
     // RouteHandler interface using CustomRequest and CustomResponse
@@ -148,11 +157,181 @@ declare module "litenode" {
     }
 
     // Extend IncomingMessage with cookies
+    // Options of the template engine used by res.render and renderToFile
+    interface TemplateOptions {
+        /**
+         * HTML-escape the output of `{{ expressions }}`. Defaults to true.
+         * Values can still be written as is with the `html_` variable prefix or the `safe` filter.
+         */
+        autoescape?: boolean
+        /**
+         * Use cached templates without checking their files for changes, and don't watch markdown files in `startServer`.
+         * Defaults to true when `NODE_ENV` is "production".
+         */
+        production?: boolean
+        /** Custom filters by name, added to the built-in filters. */
+        filters?: Record<string, TemplateFilter>
+        /** Global values and functions available to every template. */
+        globals?: Record<string, any>
+        /**
+         * Which functions and methods templates may call, e.g. `{{ user.fullName() }}`. Defaults to "all".
+         * "globals" only allows global functions, "none" only macros.
+         * Function constructors and methods held by `constructor`, `__proto__` or `prototype` are never callable.
+         */
+        callPolicy?: "all" | "globals" | "none" | TemplateCallPolicy
+        /**
+         * Remove the indentation before block tags (e.g. `{{#if}}`, `{{/each}}`) and the newline after them,
+         * so that tags alone on their line leave no blank line. Defaults to false.
+         * Whitespace can also be trimmed per tag with the `{{-` and `-}}` markers.
+         */
+        trimBlocks?: boolean
+        /**
+         * Make `res.render` send the page chunk by chunk as it is rendered, instead of all at once.
+         * Defaults to false, and can be set per call with `res.render(template, data, { stream: true })`.
+         */
+        stream?: boolean
+        /**
+         * Resource limits of each render, for templates authored by untrusted editors.
+         * Circular includes always fail, and prototype properties like `constructor` or `__proto__` can't be accessed.
+         */
+        limits?: TemplateLimits
+        /**
+         * Extensions of the template files, other files can't be rendered, included or imported.
+         * Defaults to `[".html", ".xml", ".txt", ".svg"]`. `res.render` sends the content type of the extension
+         * (e.g. application/xml for `feed.xml`), unless the route sets one.
+         */
+        extensions?: string[]
+        /** The layout of markdown views (`res.render("pages/about.md")`) without a `layout` frontmatter key. */
+        markdownLayout?: string
+    }
+
+    // Resource limits of a template render, a render exceeding one of them fails
+    interface TemplateLimits {
+        /** Maximum depth of nested includes and layouts, the main template included. Defaults to 50. */
+        maxIncludeDepth?: number
+        /** Maximum depth of nested macro calls, recursive calls included. Defaults to 100. */
+        maxCallDepth?: number
+        /** Maximum number of `#each` iterations of a render, all loops included. Defaults to 100000. */
+        maxIterations?: number
+        /** Maximum length of the rendered output, in characters. Defaults to 10485760 (10 MiB). */
+        maxOutputSize?: number
+        /** Maximum duration of a render in milliseconds. Defaults to 0, no timeout. */
+        timeout?: number
+    }
+
+    // Custom call policy, returning true to allow a call from a template
+    interface TemplateCallPolicy {
+        (
+            fn: Function,
+            info: {
+                /** The callee as written in the template (e.g. "user.fullName"). */
+                name: string
+                /** The property holding the method, for method calls. */
+                key?: string | number
+                /** The object the method is called on, for method calls. */
+                object?: any
+                /** True for a global function of the template engine. */
+                global: boolean
+            }
+        ): boolean
+    }
+
+    // Custom template filter, receiving the filtered value followed by the filter arguments
+    interface TemplateFilter {
+        (this: Record<string, any>, value: any, ...args: any[]): any
+    }
+
+    // Parsed info string of a fenced code block
+    interface CodeBlockInfo {
+        /** The first word of the info string (e.g. "js"), or an empty string. */
+        language: string
+        /** The remaining `key=value` pairs and bare flags (e.g. { title: "app.js", linenums: true }). */
+        meta: Record<string, string | true>
+        /** The full, trimmed info string. */
+        info: string
+    }
+
+    // Function used to highlight code blocks in markdown files
+    interface CodeHighlighter {
+        (code: string, info: CodeBlockInfo): string | null | undefined
+    }
+
+    // Custom markdown processor, run at a given stage of the markdown pipeline
+    type MarkdownProcessor = {
+        /** A unique name, used to remove the processor. */
+        name: string
+        /** The position of the processor within its stage, lower runs first. Defaults to 0. */
+        order?: number
+    } & (
+        | {
+              /** Transforms the markdown source before parsing, or the rendered HTML. */
+              stage: "preprocess" | "postprocess"
+              process(text: string, env: Record<string, any>): string
+          }
+        | {
+              /** Lines matching `start` (and, if given, every line until one matching `end`) form a custom block. */
+              stage: "block"
+              start: RegExp
+              end?: RegExp
+              /** `content` is the rendered HTML of the block's children, or of the rest of its line. */
+              render(match: RegExpMatchArray, content: string, env: Record<string, any>): string
+          }
+        | {
+              /** Text matching `pattern` at one of the `trigger` characters is rendered by `render`. */
+              stage: "inline"
+              trigger: string
+              pattern: RegExp
+              render(match: RegExpExecArray, env: Record<string, any>): string
+          }
+    )
+
+    // Type of a frontmatter schema field
+    type FrontmatterFieldType = "string" | "number" | "integer" | "boolean" | "date" | "array" | "object" | "any"
+
+    // Frontmatter schema field: a type name, optional when suffixed with "?", or a definition
+    type FrontmatterField =
+        | FrontmatterFieldType
+        | `${FrontmatterFieldType}?`
+        | {
+              type: FrontmatterFieldType
+              /** Whether the field must be set. Defaults to true, unless the field has a default. */
+              required?: boolean
+              /** The value of the field when it is missing or null, checked against the type. */
+              default?: any
+              /** The allowed values. */
+              enum?: any[]
+              /** The field of the items of an array. */
+              items?: FrontmatterField
+              /** The fields of an object. */
+              properties?: Record<string, FrontmatterField>
+              /** Returns an error message when the value is invalid. */
+              validate?(value: any): string | null | undefined | void
+          }
+
+    // Parsed markdown file
+    interface MarkdownFile {
+        frontmatter: Record<string, any>
+        content: string
+        filePath: string
+        fileDir: string
+        fileName: string
+        fileBaseName: string
+    }
+
+    // Comparison operator of a collection query
+    type CollectionOperator = "=" | "!=" | "<" | "<=" | ">" | ">=" | "in" | "contains"
+
     module "http" {
         interface IncomingMessage {
             cookies?: {
                 [key: string]: string
             }
+            /** The locale detected by the i18n middleware. */
+            locale?: string
+            /** Translates a message to the detected locale, set by the i18n middleware. */
+            t?(key: string, values?: Record<string, any>): string
+            /** The URL before the i18n middleware removed its locale prefix. */
+            originalUrl?: string
         }
     }
 
@@ -390,6 +569,104 @@ declare module "litenode" {
          */
         use(middleware: RouteHandler): this
 
+        /**
+         * Sets the options of the template engine used by `res.render` and `renderToFile`.
+         * The given options are merged with the current ones.
+         *
+         * @param options - The template options.
+         * @returns The LiteNode instance for chaining.
+         * @example
+         * // Disable automatic HTML escaping of {{ expressions }}
+         * app.setTemplateOptions({ autoescape: false });
+         */
+        setTemplateOptions(options: TemplateOptions): this
+
+        /**
+         * Adds a custom template filter, available to `res.render` and `renderToFile`.
+         * Filters may be async, and are called with the template data as `this`.
+         * Return a `SafeString` to output HTML without escaping.
+         *
+         * @param name - The filter name, as used after `|` in templates, an identifier.
+         * @param filter - The filter function.
+         * @returns The LiteNode instance for chaining.
+         * @example
+         * app.addFilter("excerpt", (value, length = 100) => String(value).slice(0, length));
+         * // {{ post.body | excerpt(50) }}
+         */
+        addFilter(name: string, filter: TemplateFilter): this
+
+        /**
+         * Adds a global value or function, available to every template rendered by `res.render` and `renderToFile`.
+         * Data passed to the render call takes precedence over globals with the same name.
+         *
+         * @param name - The variable name, an identifier.
+         * @param value - The value. Functions can be called from templates.
+         * @returns The LiteNode instance for chaining.
+         * @example
+         * app.addGlobal("siteName", "My Site");
+         * app.addGlobal("asset", (path) => `/static/${path}`);
+         * // {{ siteName }} - {{ asset("app.css") }}
+         */
+        addGlobal(name: string, value: any): this
+
+        /**
+         * Removes parsed templates from the template cache.
+         * Templates are cached by path and parsed again when their file changes, except in production mode.
+         *
+         * @param template - The template to remove. All templates are removed when omitted.
+         * @example
+         * await app.clearTemplateCache("index.html");
+         * await app.clearTemplateCache();
+         */
+        clearTemplateCache(template?: string): Promise<void>
+
+        /**
+         * Compiles every template of the views directory, with their includes and layouts, into a JavaScript module.
+         * The module can be deployed instead of the template files and loaded with `usePrecompiledTemplates`.
+         *
+         * @param outputPath - The path of the generated module.
+         * @example
+         * await app.precompileTemplates("dist/templates.js");
+         */
+        precompileTemplates(outputPath: string): Promise<void>
+
+        /**
+         * Loads precompiled templates into the template cache. `res.render` and `renderToFile` then use them
+         * without reading or parsing template files, until the template cache is cleared.
+         *
+         * @param compiled - The path of a module generated by `precompileTemplates`, or the imported module.
+         * @returns The number of loaded templates.
+         * @example
+         * await app.usePrecompiledTemplates("dist/templates.js");
+         */
+        usePrecompiledTemplates(compiled: string | { options?: { trimBlocks?: boolean }; templates: Record<string, object> }): Promise<number>
+
+        /**
+         * Checks every template of the views directory without rendering it, e.g. in CI.
+         * Custom filters and globals of the template options are taken into account.
+         *
+         * @param options - `variables` lists the variables passed by `res.render` and `renderToFile` (e.g. "html_content").
+         * @returns The diagnostics, sorted by template, line and column.
+         * @example
+         * const diagnostics = await app.lintTemplates({ variables: ["html_content"] });
+         * console.log(TemplateLinter.format(diagnostics));
+         */
+        lintTemplates(options?: { variables?: string[] }): Promise<TemplateDiagnostic[]>
+
+        /**
+         * Renders a template given as a string (e.g. stored in a database), with includes, layouts and imports
+         * resolved against the views directory.
+         *
+         * @param source - The template source.
+         * @param data - The data object containing values.
+         * @param options - `name` is the template name shown by error messages, relative includes are resolved from it.
+         * Defaults to "string".
+         * @returns The rendered template.
+         * @example
+         * const body = await app.renderString("Hello {{ user.name }}!{{#include('emails/footer.txt')}}", { user });
+         */
+        renderString(source: string, data?: object, options?: { name?: string }): Promise<string>
+
         /**
          * Renders a template to a file.
          *
@@ -403,8 +680,35 @@ declare module "litenode" {
          */
         renderToFile(template: string, data: object, outputPath: string): Promise<void>
 
+        /**
+         * Registers the frontmatter schema of the markdown files of a directory and its subdirectories.
+         * Parsed files are validated by the schema of their closest directory, which fills in the defaults of
+         * missing fields. Invalid files throw a `FrontmatterError` listing each problem with its file and line.
+         *
+         * @param dir - The directory, relative to the views directory.
+         * @param fields - The fields by key, or `null` to remove the schema of the directory.
+         * @param options - `strict` reports keys missing from the schema, such as misspelled keys.
+         * @example
+         * app.setMarkdownSchema("posts", {
+         *     title: "string",
+         *     date: "date",
+         *     tags: { type: "array", items: "string", default: [] },
+         *     draft: { type: "boolean", default: false },
+         * });
+         */
+        setMarkdownSchema(
+            dir: string,
+            fields: Record<string, FrontmatterField> | null,
+            options?: { strict?: boolean }
+        ): this
+
         /**
          * Parses a markdown file and extracts frontmatter and content.
+         * The frontmatter is optional, and its format is detected from its delimiters: `---` for YAML,
+         * `+++` for TOML, `;;;` or a JSON object opening the file for JSON.
+         * It is validated by the schema of the file directory, if any (see `setMarkdownSchema`).
+         * Parsed files are cached, and parsed again when their modification time changes, or when the views directory
+         * watcher started by `startServer` in development reports a change.
          *
          * @param filePath - The path to the markdown file.
          * @returns An object containing frontmatter, content, filePath, fileDir, fileName and fileBaseName.
@@ -422,8 +726,20 @@ declare module "litenode" {
             fileBaseName: string
         }
 
+        /**
+         * Parses all markdown files once, for production: parsed files and directory listings are then served from
+         * memory without checking the files.
+         *
+         * @param dir - The directory to preload, relative to the views directory. Defaults to all of it.
+         * @returns A promise that resolves to the number of parsed files.
+         * @example
+         * if (process.env.NODE_ENV === "production") await app.preloadMarkdown();
+         */
+        preloadMarkdown(dir?: string): Promise<number>
+
         /**
          * Parses all markdown files in a directory and extracts their frontmatter and content.
+         * Frontmatter errors of all files are thrown together, as a `FrontmatterError`.
          *
          * @param dir - The directory containing the markdown files.
          * @returns A promise that resolves to an array of objects containing frontmatter, content, filePath, fileDir, fileName and fileBaseName.
@@ -432,7 +748,17 @@ declare module "litenode" {
          *
          * @see {@link https://litenode.pages.dev/docs/markdown/#parse-markdown-files|ParseMarkdownFileS Documentation}
          */
-        parseMarkdownFileS(dir: string): Promise<
+        parseMarkdownFileS(
+            dir: string,
+            options?: {
+                /** Keep one variant of each file for this locale: `post.fr.md`, then `post.md`, or the default locale variant. */
+                locale?: string
+                /** The locales that can suffix file names, defaults to the i18n locales. */
+                locales?: string[]
+                /** The locale of the variants used when the locale has none, defaults to the i18n default locale. */
+                defaultLocale?: string
+            }
+        ): Promise<
             {
                 frontmatter: object
                 content: string
@@ -440,9 +766,25 @@ declare module "litenode" {
                 fileDir: string
                 fileName: string
                 fileBaseName: string
+                /** The locale of the parsed variant, null for a file without locale suffix (with the locale option only). */
+                locale?: string | null
             }[]
         >
 
+        /**
+         * Starts a query over the markdown files of a content directory.
+         * The files of a directory are parsed once, into an in-memory index shared by its queries.
+         *
+         * @param dir - The directory, relative to the views directory.
+         * @returns A query of all the files of the directory, refined by chainable operations.
+         * @example
+         * const posts = app.collection("blog").excludeDrafts().sort("date", "desc");
+         * const latest = await posts.limit(5).all();
+         * const page = await posts.where("tags", "contains", "node").paginate(1, 10);
+         * const archive = await posts.between("date", "2024-01-01", "2024-12-31").groupBy("category");
+         */
+        collection(dir: string): ContentCollection
+
         /**
          * Extracts specified properties from parsed markdown files.
          * This function can handle input as an array of parsed files, a directory path, or a single markdown file path,
@@ -549,6 +891,55 @@ declare module "litenode" {
          */
         generateTOC(input: string): string
 
+        /**
+         * Sets the function used to highlight fenced code blocks in markdown files.
+         * The function receives the raw code and the parsed info string. It may return the inner HTML of the
+         * `<code>` element, a complete `<pre>` block, or `null` to fall back to the default escaped output.
+         *
+         * @param highlight - The highlighter function, or `null` to remove it.
+         * @returns The LiteNode instance for chaining.
+         * @example
+         * app.setMarkdownHighlighter((code, { language, meta }) => {
+         *     return myHighlighter.highlight(code, language);
+         * });
+         */
+        setMarkdownHighlighter(highlight: CodeHighlighter | null): this
+
+        /**
+         * Registers a custom markdown processor (e.g. admonitions, footnotes, shortcodes or emoji).
+         * Processors run at their stage (`preprocess`, `block`, `inline` or `postprocess`), sorted by `order`.
+         * The `env` object is shared by all processors of a file and holds its `frontmatter` and `filePath`.
+         *
+         * @param processor - The processor definition.
+         * @returns The LiteNode instance for chaining.
+         * @example
+         * app.addMarkdownProcessor({
+         *     name: "admonition",
+         *     stage: "block",
+         *     start: /^:::\s*(\w+)/,
+         *     end: /^:::\s*$/,
+         *     render: (match, content) => `<div class="admonition ${match[1]}">${content}</div>`,
+         * });
+         *
+         * @example
+         * app.addMarkdownProcessor({
+         *     name: "emoji",
+         *     stage: "inline",
+         *     trigger: ":",
+         *     pattern: /:(smile|heart):/,
+         *     render: (match) => ({ smile: "😄", heart: "❤️" })[match[1]],
+         * });
+         */
+        addMarkdownProcessor(processor: MarkdownProcessor): this
+
+        /**
+         * Removes a registered markdown processor.
+         *
+         * @param name - The name of the processor to remove.
+         * @returns True if a processor was removed.
+         */
+        removeMarkdownProcessor(name: string): boolean
+
         /**
          * Loads environment variables from a .env file into process.env
          * @param {string} path - Path to the .env file (default: ".env")
@@ -594,6 +985,22 @@ declare module "litenode" {
          */
         enableCookieParser(): this
 
+        /**
+         * Enables internationalization: loads the message catalogs of a directory (`en.json`, `fr.properties`, ...),
+         * adds the locale detection middleware and the `t`/`trans` template filters.
+         * The locale is detected from the path prefix (with the `prefix` option), the locale cookie,
+         * the Accept-Language header or the default locale, and is available as `req.locale` and the `locale` template variable.
+         * The `currency`, `dateFormat` and `numberFormat` filters format for that locale.
+         *
+         * @param options - I18n options.
+         * @returns The loaded I18n instance.
+         * @example
+         * await app.enableI18n({ defaultLocale: "en", prefix: true });
+         * // locales/fr.json: { "cart": "{count, plural, =0 {Panier vide} one {# article} other {# articles}}" }
+         * // Template: {{ "cart" | t({ count: items.length }) }}
+         */
+        enableI18n(options?: I18nOptions): Promise<I18n>
+
         /**
          * Creates utilities for working with signed cookies.
          * Signed cookies help protect against client tampering.
@@ -646,5 +1053,170 @@ declare module "litenode" {
         startServer(port?: number): Server
     }
 
-    export { LiteNode }
+    // A problem found in a template by the template linter
+    interface TemplateDiagnostic {
+        /** The template path relative to the views directory. */
+        template: string
+        /** The line of the problem, starting at 1. */
+        line?: number
+        /** The column of the problem, starting at 1. */
+        column?: number
+        severity: "error" | "warning"
+        rule:
+            | "syntax"
+            | "unmatched-closing-tag"
+            | "unknown-filter"
+            | "missing-include"
+            | "undefined-html"
+            | "unused-set"
+        message: string
+    }
+
+    /**
+     * Checks templates without rendering them: syntax errors, unmatched closing tags, unknown filters,
+     * missing includes, undefined `html_` references and unused `#set` variables.
+     */
+    class TemplateLinter {
+        /** Lints every template of a directory and its subdirectories. */
+        static lint(
+            viewsDir: string,
+            options?: { filters?: string[]; variables?: string[]; trimBlocks?: boolean; extensions?: string[] }
+        ): Promise<TemplateDiagnostic[]>
+        /** Formats diagnostics as text, one line each, followed by a summary. */
+        static format(diagnostics: TemplateDiagnostic[]): string
+    }
+
+    // Options of the i18n support
+    interface I18nOptions {
+        /** The directory of the message catalogs, one file per locale. Defaults to "locales". */
+        directory?: string
+        /** The locale used when no other one is detected, and for missing messages. Defaults to "en". */
+        defaultLocale?: string
+        /** The supported locales, defaults to the locales of the catalogs. */
+        locales?: string[]
+        /** The cookie holding the locale chosen by the user, false to ignore cookies. Defaults to "locale". */
+        cookie?: string | false
+        /** Detect the locale from the first path segment (e.g. `/fr/about`), removed before routing. Defaults to false. */
+        prefix?: boolean
+    }
+
+    /**
+     * Message catalogs and locale detection. Messages use the ICU syntax:
+     * `{name}`, `{count, plural, one {# item} other {# items}}`, `{gender, select, ...}`, `{price, number}`.
+     */
+    class I18n {
+        constructor(options?: I18nOptions)
+        directory: string
+        defaultLocale: string
+        /** The supported locales, set by `load` when not given. */
+        locales: string[] | null
+        /** Loads the message catalogs of the directory. */
+        load(): Promise<this>
+        /** Adds messages to the catalog of a locale, nested objects define dotted keys. */
+        addMessages(locale: string, messages: Record<string, any>): this
+        /** Translates a message, falling back to the language of the locale, then to the default locale, then to the key. */
+        t(key: string, values?: Record<string, any>, locale?: string): string
+        /** Returns the supported locale matching a language tag, exactly or by language. */
+        resolveLocale(tag: string, exact?: boolean): string | null
+        /** Picks the supported locale preferred by an Accept-Language header. */
+        negotiate(header: string): string | null
+        /** Creates the locale detection middleware. */
+        middleware(): (req: IncomingMessage, res: CustomResponse) => void
+        /** Creates the `t` template filter, translating to its locale argument or to the `locale` template variable. */
+        filter(): TemplateFilter
+    }
+
+    /**
+     * Wraps a string so that templates output it without HTML escaping.
+     *
+     * @example
+     * app.addGlobal("divider", new SafeString("<hr />"));
+     */
+    class SafeString {
+        constructor(value: any)
+        value: string
+        toString(): string
+    }
+
+    /**
+     * Error thrown when a template fails to tokenize, parse or render.
+     * Its message names the template, its include chain, and shows a snippet pointing at the offending spot.
+     */
+    class TemplateError extends Error {
+        /** What went wrong, without location. */
+        reason: string
+        /** The resolved path of the template. */
+        template?: string
+        /** The template path relative to the views directory. */
+        templateName?: string
+        /** The line of the error, starting at 1. */
+        line?: number
+        /** The column of the error, starting at 1. */
+        column?: number
+        /** The templates being rendered when the error happened, outermost first. */
+        includeChain?: string[]
+        /** The lines of template source around the error, with a caret under the offending column. */
+        snippet: string
+    }
+
+    /**
+     * An immutable query over the markdown files of a content directory: each operation returns a new query.
+     * Properties are dotted paths in the frontmatter, such as `author.name`.
+     */
+    class ContentCollection {
+        /** Keeps the files whose property equals a value. */
+        where(property: string, value: any): ContentCollection
+        /** Keeps the files whose property matches a value, dates may be compared to date strings. */
+        where(property: string, operator: CollectionOperator, value: any): ContentCollection
+        /** Keeps the files accepted by a function, called with a copy of each file. */
+        where(predicate: (file: MarkdownFile) => boolean): ContentCollection
+        /** Leaves out the files whose draft property (`draft` by default) is truthy. */
+        excludeDrafts(property?: string): ContentCollection
+        /** Keeps the files whose date property is between two dates, included. A null bound is open. */
+        between(property: string, start: Date | string | number | null, end?: Date | string | number | null): ContentCollection
+        /** Sorts the files by a property, missing values last, or with a compare function. Later sorts break ties. */
+        sort(property: string | ((a: MarkdownFile, b: MarkdownFile) => number), order?: "asc" | "desc"): ContentCollection
+        /** Keeps at most a number of files. */
+        limit(count: number): ContentCollection
+        /** Skips a number of files, before the limit applies. */
+        skip(count: number): ContentCollection
+        /** Parses the files of the directory again, to see changes made since its index was built. */
+        reload(): Promise<this>
+        /** Runs the query. */
+        all(): Promise<MarkdownFile[]>
+        /** Runs the query and returns its first file, or null. */
+        first(): Promise<MarkdownFile | null>
+        /** Runs the query and counts its files. */
+        count(): Promise<number>
+        /** Runs the query and extracts properties of its files, as `extractMarkdownProperties`. */
+        extract(properties: string[]): Promise<Record<string, any>[]>
+        /** Runs the query and paginates its files, as `paginateMarkdownFiles`. */
+        paginate(page?: number, perPage?: number): ReturnType<LiteNode["paginateMarkdownFiles"]>
+        /**
+         * Runs the query and groups its files by a property. Files whose property is an array, such as tags,
+         * are in the group of each value, and files without the property or with an empty array are in the
+         * "Undefined" group.
+         */
+        groupBy(property: string): Promise<Record<string, MarkdownFile[]>>
+    }
+
+    /**
+     * Error thrown when frontmatter can't be parsed or doesn't match its schema.
+     * Its message lists every problem, one per line, with its file and line.
+     */
+    class FrontmatterError extends Error {
+        /** The problems found, possibly in several files. */
+        errors: {
+            /** The path of the markdown file. */
+            file: string
+            /** The line of the problem, starting at 1. */
+            line?: number | null
+            /** The dotted key of the field, such as `tags.1` for the second tag. */
+            key?: string
+            /** What is wrong. */
+            message: string
+        }[]
+    }
+
+    export { LiteNode, SafeString, TemplateError, I18n, TemplateLinter, FrontmatterError }
 }